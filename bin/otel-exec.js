@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+const { parseExecArgs, runTraced, stepTraceparent } = require('../lib/exec-span');
+
+/**
+ * otel-exec entry point
+ * Usage: otel-exec [--name <span name>] [--step <step name or number>] -- <command> [args...]
+ *        otel-exec --step <step name or number> --print-traceparent
+ */
+async function main() {
+  let options;
+  let env = process.env;
+  try {
+    options = parseExecArgs(process.argv.slice(2));
+    if (options.step) {
+      env = { ...process.env, TRACEPARENT: stepTraceparent(options.step) };
+    }
+  } catch (error) {
+    process.stderr.write(`otel-exec: ${error.message}\n`);
+    process.exit(2);
+  }
+
+  if (options.printTraceparent) {
+    process.stdout.write(`${env.TRACEPARENT}\n`);
+    process.exit(0);
+  }
+
+  const { exitCode } = await runTraced({ ...options, env });
+  process.exit(exitCode);
+}
+
+main().catch(error => {
+  process.stderr.write(`otel-exec: ${error.message}\n`);
+  process.exit(1);
+});
@@ -1,13 +1,34 @@
 const core = require('@actions/core');
+const github = require('@actions/github');
 const fs = require('fs');
+const path = require('path');
 const { getConfig } = require('./lib/config');
-const { createTracerProvider } = require('./lib/exporter');
-const { trace, context } = require('@opentelemetry/api');
+const { fetchCurrentJob } = require('./lib/collector');
+const { buildStepSpanMap, jobSpanId, workflowTraceId } = require('./lib/workflow');
+const { SPANS_DIR_ENV, createSpansDir } = require('./lib/user-spans');
+const { STEP_SPANS_ENV, installExecLauncher, writeStepSpanMap } = require('./lib/exec-span');
+const { trace, context, TraceFlags } = require('@opentelemetry/api');
+const { RandomIdGenerator } = require('@opentelemetry/sdk-trace-base');
 const { W3CTraceContextPropagator } = require('@opentelemetry/core');
 
+/**
+ * Looks up the current job, whose ID the job and step span IDs derive from
+ * @returns {Promise<Object|null>} Current job from the jobs API, or null if it cannot be looked up
+ */
+async function lookupCurrentJob() {
+  try {
+    const octokit = github.getOctokit(core.getInput('github-token', { required: true }));
+    return await fetchCurrentJob(octokit, github.context);
+  } catch (error) {
+    core.info('ℹ️  Could not look up the current job; downstream jobs will not link to this job span');
+    core.debug(`Job lookup error: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Main action entry point
- * Validates configuration and creates root trace span
+ * Validates configuration and exports the job trace context
  */
 async function run() {
   try {
@@ -18,18 +39,29 @@ async function run() {
     const config = await getConfig();
 
     core.info(`✓ Configuration validated successfully`);
-    core.info(`  Project: ${config.gcpProjectId}`);
+    for (const backend of config.backends) {
+      const target = backend.exporter === 'gcp'
+        ? `project ${config.gcpProjectId}`
+        : (backend.otlpEndpoint || backend.prometheusEndpoint || backend.zipkinEndpoint || backend.filePath);
+      core.info(`  Backend: ${backend.name} (${backend.exporter} → ${target})`);
+    }
     core.info(`  Service: ${config.serviceName}`);
     core.info(`  Namespace: ${config.serviceNamespace}`);
     core.info(`  Metric prefix: ${config.metricPrefix}`);
 
-    // Create tracer provider and start root span for the job
+    // Mint the job span context; the trace ID is shared by every job of the run attempt
     core.info('');
-    core.info('Creating root trace span for workflow job...');
-    const { tracer } = createTracerProvider(config);
-
-    const jobName = process.env.GITHUB_JOB || 'unknown-job';
-    const rootSpan = tracer.startSpan(`Job: ${jobName}`);
+    core.info('Creating trace context for workflow job...');
+    const runId = String(github.context.runId);
+    const attempt = process.env.GITHUB_RUN_ATTEMPT || '1';
+    // Derived from the job ID so downstream jobs can link to it; random if the job cannot be looked up
+    const job = await lookupCurrentJob();
+    // Only the IDs are needed here; the post-action records the job span with them
+    const rootSpan = trace.wrapSpanContext({
+      traceId: workflowTraceId(runId, attempt),
+      spanId: job ? jobSpanId(runId, attempt, job.id) : new RandomIdGenerator().generateSpanId(),
+      traceFlags: TraceFlags.SAMPLED,
+    });
 
     // Export trace context in W3C Trace Context format
     const propagator = new W3CTraceContextPropagator();
@@ -41,10 +73,10 @@ async function run() {
     });
 
     const traceparent = carrier.traceparent;
+    const envFile = process.env.GITHUB_ENV;
 
     if (traceparent) {
       // Export to GITHUB_ENV so all subsequent steps can access it
-      const envFile = process.env.GITHUB_ENV;
       if (envFile) {
         fs.appendFileSync(envFile, `TRACEPARENT=${traceparent}\n`);
         core.info(`✓ Exported trace context to environment: TRACEPARENT=${traceparent}`);
@@ -67,7 +99,31 @@ async function run() {
       core.info(`  Span ID: ${rootSpan.spanContext().spanId}`);
     }
 
-    // Don't end the span yet - post-action will handle that
+    // Give steps a directory to drop span records into; the post-action exports them under the job span
+    if (envFile) {
+      const spansDir = createSpansDir();
+      fs.appendFileSync(envFile, `${SPANS_DIR_ENV}=${spansDir}\n`);
+      core.saveState('spans-dir', spansDir);
+      core.info(`✓ Exported span drop directory to environment: ${SPANS_DIR_ENV}=${spansDir}`);
+    }
+
+    // Give steps the traceparent of their own step span; step span IDs derive from the job ID and step number
+    if (envFile && job) {
+      const stepSpansFile = writeStepSpanMap(buildStepSpanMap(runId, attempt, job));
+      fs.appendFileSync(envFile, `${STEP_SPANS_ENV}=${stepSpansFile}\n`);
+      core.info(`✓ Exported step span map to environment: ${STEP_SPANS_ENV}=${stepSpansFile}`);
+    }
+
+    // Put otel-exec on PATH so steps can run commands as spans; it is bundled next to this file
+    const execCli = path.join(__dirname, 'otel-exec', 'index.js');
+    if (fs.existsSync(execCli)) {
+      core.addPath(installExecLauncher(execCli));
+      core.info('✓ Added otel-exec to PATH (usage: otel-exec -- <command>)');
+    } else {
+      core.debug(`otel-exec not found at ${execCli}`);
+    }
+
+    // The post-action records the job span under the workflow-run span with these IDs
     core.info('');
     core.info('Metrics and traces will be collected and exported after the job completes');
   } catch (error) {
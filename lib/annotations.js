@@ -0,0 +1,131 @@
+const core = require('@actions/core');
+
+/**
+ * Annotation levels reported by the checks API
+ */
+const ANNOTATION_LEVELS = ['failure', 'warning', 'notice'];
+
+/**
+ * Message of the annotation the runner adds when a step's process exits non-zero
+ */
+const EXIT_CODE_PATTERN = /^Process completed with exit code \d+\.?$/;
+
+/**
+ * Number of annotations requested per page of the checks API (its maximum)
+ */
+const ANNOTATIONS_PER_PAGE = 100;
+
+/**
+ * Fetches the check-run annotations of a job (errors, warnings and notices), following pages past 100
+ * A job's check run shares its ID, which the jobs API also reports in check_run_url
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @param {Object} job - Job from the jobs API
+ * @returns {Promise<Array<Object>>} Annotations (level, message, title, path, startLine, endLine)
+ */
+async function fetchAnnotations(octokit, context, job) {
+  const { owner, repo } = context.repo;
+  const checkRunId = Number((job.check_run_url || '').match(/\/check-runs\/(\d+)$/)?.[1] || job.id);
+
+  try {
+    const annotations = [];
+    for (let page = 1; ; page++) {
+      const { data } = await octokit.rest.checks.listAnnotations({
+        owner,
+        repo,
+        check_run_id: checkRunId,
+        per_page: ANNOTATIONS_PER_PAGE,
+        page,
+      });
+      annotations.push(...data);
+      if (data.length < ANNOTATIONS_PER_PAGE) {
+        break;
+      }
+    }
+    core.debug(`Found ${annotations.length} annotation(s) on check run ${checkRunId}`);
+
+    return annotations.map(annotation => ({
+      level: annotation.annotation_level,
+      message: annotation.message,
+      title: annotation.title || null,
+      path: annotation.path || null,
+      startLine: annotation.start_line || null,
+      endLine: annotation.end_line || null,
+    }));
+  } catch (error) {
+    core.info('ℹ️  Could not read check-run annotations (needs checks: read); spans will not carry them');
+    core.debug(`Annotations error: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Assigns annotations to the steps that produced them
+ * Annotations carry no step, so only failures can be placed: the runner's exit-code annotations belong
+ * to the failed steps in order, and when exactly one step failed, every failure annotation belongs to it.
+ * Other annotations stay on the job (stepNumber null)
+ * @param {Array<Object>} annotations - Annotations from fetchAnnotations
+ * @param {Array<Object>} steps - Parsed steps
+ * @returns {Array<Object>} Annotations with the step number they belong to
+ */
+function assignAnnotationSteps(annotations, steps) {
+  const failedSteps = steps.filter(step => step.conclusion === 'failure');
+  let exitCodeIndex = 0;
+
+  return annotations.map(annotation => {
+    let stepNumber = null;
+    if (annotation.level === 'failure') {
+      if (EXIT_CODE_PATTERN.test(annotation.message)) {
+        stepNumber = failedSteps[exitCodeIndex++]?.number ?? null;
+      } else if (failedSteps.length === 1) {
+        stepNumber = failedSteps[0].number;
+      }
+    }
+    return { ...annotation, stepNumber };
+  });
+}
+
+/**
+ * Adds annotations to a span as `annotation` events
+ * @param {Object} span - Step or job span
+ * @param {Array<Object>} annotations - Annotations to add
+ * @param {Date} time - Event time; annotations carry no timestamp, so the span's end is used
+ */
+function addAnnotationEvents(span, annotations, time) {
+  for (const annotation of annotations) {
+    const attributes = {
+      'annotation.level': annotation.level,
+      'annotation.message': annotation.message,
+    };
+    if (annotation.title) {
+      attributes['annotation.title'] = annotation.title;
+    }
+    if (annotation.path) {
+      attributes['code.filepath'] = annotation.path;
+    }
+    if (annotation.startLine) {
+      attributes['code.lineno'] = annotation.startLine;
+    }
+    span.addEvent('annotation', attributes, time);
+  }
+}
+
+/**
+ * Counts annotations by level
+ * @param {Array<Object>} annotations - Annotations
+ * @returns {Object} Count per level, including levels without annotations
+ */
+function countAnnotations(annotations) {
+  const counts = Object.fromEntries(ANNOTATION_LEVELS.map(level => [level, 0]));
+  for (const annotation of annotations) {
+    counts[annotation.level] = (counts[annotation.level] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  fetchAnnotations,
+  assignAnnotationSteps,
+  addAnnotationEvents,
+  countAnnotations,
+};
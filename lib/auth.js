@@ -0,0 +1,142 @@
+const core = require('@actions/core');
+
+/**
+ * Google Cloud token endpoints used for federation and impersonation
+ */
+const STS_TOKEN_URL = 'https://sts.googleapis.com/v1/token';
+const IAM_CREDENTIALS_ENDPOINT = 'https://iamcredentials.googleapis.com';
+
+/**
+ * Builds the IAM Credentials generateAccessToken URL for a service account
+ * @param {string} iamCredentialsEndpoint - IAM Credentials API base URL
+ * @param {string} serviceAccount - Service account email
+ * @returns {string} generateAccessToken URL
+ */
+function generateAccessTokenUrl(iamCredentialsEndpoint, serviceAccount) {
+  return `${iamCredentialsEndpoint}/v1/projects/-/serviceAccounts/${encodeURIComponent(serviceAccount)}:generateAccessToken`;
+}
+
+/**
+ * Full resource name format of a workload identity provider
+ */
+const WORKLOAD_IDENTITY_PROVIDER_PATTERN = /^projects\/[0-9]+\/locations\/global\/workloadIdentityPools\/[^/]+\/providers\/[^/]+$/;
+
+/**
+ * Builds the default OIDC audience for a workload identity provider
+ * Matches the audience google-github-actions/auth requests, so existing provider conditions keep working
+ * @param {string} workloadIdentityProvider - Full provider resource name
+ * @returns {string} Audience
+ */
+function defaultAudience(workloadIdentityProvider) {
+  return `https://iam.googleapis.com/${workloadIdentityProvider}`;
+}
+
+/**
+ * Builds external account credentials for Workload Identity Federation with GitHub OIDC
+ * google-auth-library performs the exchange whenever a token is needed: it requests a GitHub OIDC token,
+ * exchanges it at STS for a federated token, and uses that to impersonate the service account
+ * @param {Object} options - Federation options
+ * @param {string} options.workloadIdentityProvider - Full provider resource name
+ * @param {string} options.serviceAccount - Email of the service account to impersonate
+ * @param {string} options.tokenRequestUrl - GitHub OIDC token request URL (ACTIONS_ID_TOKEN_REQUEST_URL)
+ * @param {string} options.tokenRequestToken - GitHub OIDC request token (ACTIONS_ID_TOKEN_REQUEST_TOKEN)
+ * @param {string} options.audience - OIDC audience (defaults to the provider's IAM URL)
+ * @param {string} options.stsTokenUrl - STS token endpoint
+ * @param {string} options.iamCredentialsEndpoint - IAM Credentials API base URL
+ * @returns {Object} external_account credentials
+ */
+function buildWorkloadIdentityCredentials({
+  workloadIdentityProvider,
+  serviceAccount,
+  tokenRequestUrl,
+  tokenRequestToken,
+  audience = defaultAudience(workloadIdentityProvider),
+  stsTokenUrl = STS_TOKEN_URL,
+  iamCredentialsEndpoint = IAM_CREDENTIALS_ENDPOINT,
+}) {
+  if (!WORKLOAD_IDENTITY_PROVIDER_PATTERN.test(workloadIdentityProvider)) {
+    throw new Error(
+      `Invalid workload-identity-provider "${workloadIdentityProvider}". Expected the full resource name: ` +
+      'projects/<project number>/locations/global/workloadIdentityPools/<pool>/providers/<provider>'
+    );
+  }
+
+  if (!tokenRequestUrl || !tokenRequestToken) {
+    throw new Error(
+      'Workload Identity Federation requires a GitHub OIDC token. Add "permissions: id-token: write" to the workflow or job.'
+    );
+  }
+
+  const credentialSourceUrl = new URL(tokenRequestUrl);
+  credentialSourceUrl.searchParams.set('audience', audience);
+
+  return {
+    type: 'external_account',
+    audience: `//iam.googleapis.com/${workloadIdentityProvider}`,
+    subject_token_type: 'urn:ietf:params:oauth:token-type:jwt',
+    token_url: stsTokenUrl,
+    service_account_impersonation_url: generateAccessTokenUrl(iamCredentialsEndpoint, serviceAccount),
+    credential_source: {
+      url: credentialSourceUrl.toString(),
+      headers: { Authorization: `Bearer ${tokenRequestToken}` },
+      format: { type: 'json', subject_token_field_name: 'value' },
+    },
+  };
+}
+
+/**
+ * Reads Workload Identity Federation inputs and builds credentials when they are set
+ * @returns {Object|null} Federation details (credentials, service account) or null when not configured
+ */
+function getWorkloadIdentityCredentials() {
+  const workloadIdentityProvider = core.getInput('workload-identity-provider');
+  const serviceAccount = core.getInput('service-account');
+
+  if (!workloadIdentityProvider && !serviceAccount) {
+    return null;
+  }
+  if (!workloadIdentityProvider || !serviceAccount) {
+    throw new Error('workload-identity-provider and service-account must be provided together');
+  }
+
+  const tokenRequestToken = process.env.ACTIONS_ID_TOKEN_REQUEST_TOKEN;
+  if (tokenRequestToken) {
+    core.setSecret(tokenRequestToken);
+  }
+
+  const credentials = buildWorkloadIdentityCredentials({
+    workloadIdentityProvider,
+    serviceAccount,
+    tokenRequestUrl: process.env.ACTIONS_ID_TOKEN_REQUEST_URL,
+    tokenRequestToken,
+  });
+
+  core.info(`Using Workload Identity Federation: ${workloadIdentityProvider}`);
+  core.info(`Impersonating service account: ${serviceAccount}`);
+
+  return { credentials, serviceAccount };
+}
+
+/**
+ * Builds credentials that impersonate a service account using a service account key
+ * Clients built from them exchange the key for short-lived tokens of the target account,
+ * so the key itself only needs roles/iam.serviceAccountTokenCreator on the target
+ * @param {Object} sourceCredentials - Parsed service account key
+ * @param {string} targetServiceAccount - Email of the service account to impersonate
+ * @param {string} iamCredentialsEndpoint - IAM Credentials API base URL
+ * @returns {Object} impersonated_service_account credentials
+ */
+function buildImpersonatedCredentials(sourceCredentials, targetServiceAccount, iamCredentialsEndpoint = IAM_CREDENTIALS_ENDPOINT) {
+  return {
+    type: 'impersonated_service_account',
+    source_credentials: sourceCredentials,
+    service_account_impersonation_url: generateAccessTokenUrl(iamCredentialsEndpoint, targetServiceAccount),
+    endpoint: iamCredentialsEndpoint,
+  };
+}
+
+module.exports = {
+  buildImpersonatedCredentials,
+  buildWorkloadIdentityCredentials,
+  getWorkloadIdentityCredentials,
+};
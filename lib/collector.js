@@ -1,4 +1,16 @@
 const core = require('@actions/core');
+const {
+  JOBS_PER_PAGE,
+  fetchWorkflowJobs,
+  findUpstreamJobs,
+  findJobKey,
+  jobUsesAction,
+  findRunSpanJobId,
+  isLastJobInRun,
+  fetchPreviousAttemptJob,
+  findTriggeringRun,
+} = require('./workflow');
+const { fetchAnnotations, assignAnnotationSteps } = require('./annotations');
 
 /**
  * Finds the current job from the list of jobs
@@ -67,6 +79,99 @@ function findCurrentJob(jobs, currentJobName) {
   return job;
 }
 
+/**
+ * Lists the jobs of the current workflow run, following pages for runs with more than 100 jobs
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Array<Object>>} Jobs from the jobs API
+ */
+async function listRunJobs(octokit, context) {
+  const { owner, repo } = context.repo;
+  const jobs = [];
+
+  for (let page = 1; ; page++) {
+    const { data } = await octokit.rest.actions.listJobsForWorkflowRun({
+      owner,
+      repo,
+      run_id: context.runId,
+      per_page: JOBS_PER_PAGE,
+      page,
+    });
+    jobs.push(...data.jobs);
+    if (data.jobs.length < JOBS_PER_PAGE || jobs.length >= (data.total_count ?? jobs.length)) {
+      return jobs;
+    }
+  }
+}
+
+/**
+ * How long the job picked to record the workflow-run span waits for other jobs still running, and how often it checks
+ */
+const RUN_SPAN_WAIT_MS = 120000;
+const RUN_SPAN_POLL_MS = 10000;
+
+/**
+ * Waits for the other jobs of the run to complete
+ * Lets the job picked to record the workflow-run span finish the run when final jobs running in parallel end after it
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @param {number} currentJobId - ID of the current job
+ * @param {number} timeoutMs - Longest time to wait
+ * @param {number} intervalMs - Time between checks
+ * @returns {Promise<Array<Object>|null>} Jobs from the jobs API once the others completed, or null if they did not in time
+ */
+async function waitForOtherJobs(octokit, context, currentJobId, timeoutMs = RUN_SPAN_WAIT_MS, intervalMs = RUN_SPAN_POLL_MS) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+    const jobs = await listRunJobs(octokit, context);
+    if (jobs.every(job => job.id === currentJobId || job.status === 'completed')) {
+      return jobs;
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the job the action is running in
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Object>} Current job from the jobs API
+ */
+async function fetchCurrentJob(octokit, context) {
+  const jobs = await listRunJobs(octokit, context);
+  return findCurrentJob(jobs, process.env.GITHUB_JOB);
+}
+
+/**
+ * Summarizes the jobs of the run for run-level metrics and spans
+ * @param {Array<Object>} jobs - Jobs from the jobs API
+ * @param {Object|null} workflowJobs - Job definitions from the workflow file, if available
+ * @returns {Array<Object>} Job summaries
+ */
+function summarizeRunJobs(jobs, workflowJobs = null) {
+  return jobs.map(job => {
+    const key = findJobKey(workflowJobs, job.name);
+    return {
+      id: job.id,
+      name: job.name,
+      status: job.status,
+      conclusion: job.conclusion,
+      attempt: job.run_attempt ? String(job.run_attempt) : null,
+      createdAt: job.created_at ? new Date(job.created_at) : null,
+      startedAt: job.started_at ? new Date(job.started_at) : null,
+      completedAt: job.completed_at ? new Date(job.completed_at) : null,
+      labels: job.labels || [],
+      runnerName: job.runner_name || null,
+      key,
+      needs: findUpstreamJobs(workflowJobs, key, jobs),
+      // Jobs that run this action export their own spans, so the run-summary job must not record them again
+      instrumented: jobUsesAction(workflowJobs?.[key], process.env.GITHUB_ACTION_REPOSITORY),
+      steps: parseSteps(job.steps),
+    };
+  });
+}
+
 /**
  * Fetches repository size from GitHub API
  * @param {Object} octokit - Authenticated Octokit instance
@@ -114,6 +219,7 @@ function parseSteps(rawSteps) {
 
 /**
  * Calculates job duration, estimating if job is not yet complete
+ * Queue time is the wait between the job's creation and a runner picking it up
  * @param {Object} job - Job data from GitHub API
  * @returns {Object} Job timing information
  */
@@ -126,7 +232,10 @@ function calculateJobDuration(job) {
     core.debug(`Job not marked complete yet, estimating duration: ${jobDurationMs}ms`);
   }
 
-  return { jobStartedAt, jobCompletedAt, jobDurationMs };
+  const jobCreatedAt = job.created_at ? new Date(job.created_at) : null;
+  const queueTimeMs = jobCreatedAt && job.started_at ? Math.max(0, jobStartedAt - jobCreatedAt) : null;
+
+  return { jobCreatedAt, jobStartedAt, jobCompletedAt, jobDurationMs, queueTimeMs };
 }
 
 /**
@@ -203,13 +312,21 @@ function extractWorkflowPath(workflowRef) {
 function buildMetricsObject({
   context,
   job,
+  jobCreatedAt = null,
   jobStartedAt,
   jobCompletedAt,
   jobDurationMs,
+  queueTimeMs = null,
   jobConclusion,
   steps,
   repoSize,
-  prNumber
+  prNumber,
+  runJobs = [],
+  workflowJobs = null,
+  upstreamJobs = [],
+  lastJobInRun = false,
+  previousAttemptJob = null,
+  annotations = []
 }) {
   const { owner, repo } = context.repo;
 
@@ -223,11 +340,17 @@ function buildMetricsObject({
       id: job.id,
       status: job.status || 'in_progress',
       conclusion: jobConclusion,
+      createdAt: jobCreatedAt,
       startedAt: jobStartedAt,
       completedAt: jobCompletedAt,
       durationMs: jobDurationMs,
+      queueTimeMs,
+      key: process.env.GITHUB_JOB || null,
+      needs: upstreamJobs,
+      previousAttempt: previousAttemptJob,
     },
     steps,
+    annotations,
     repository: {
       owner,
       repo,
@@ -238,6 +361,9 @@ function buildMetricsObject({
       id: context.runId,
       number: context.runNumber,
       attempt: process.env.GITHUB_RUN_ATTEMPT || '1',
+      jobs: summarizeRunJobs(runJobs, workflowJobs),
+      lastJob: lastJobInRun,
+      triggeredBy: findTriggeringRun(context),
     },
     git: {
       sha: context.sha || process.env.GITHUB_SHA,
@@ -274,27 +400,44 @@ async function collectMetrics(octokit, context) {
 
   try {
     // Fetch job information for the current run
-    const { data: jobs } = await octokit.rest.actions.listJobsForWorkflowRun({
-      owner,
-      repo,
-      run_id: runId,
-    });
+    let jobs = await listRunJobs(octokit, context);
 
-    core.debug(`Found ${jobs.jobs.length} jobs`);
+    core.debug(`Found ${jobs.length} jobs`);
 
     // Find the current job
     const currentJobName = process.env.GITHUB_JOB;
-    const job = findCurrentJob(jobs.jobs, currentJobName);
+    const job = findCurrentJob(jobs, currentJobName);
     core.info(`Analyzing job: ${job.name} (${job.id})`);
 
     // Fetch repository size
     const repoSize = await fetchRepositorySize(octokit, owner, repo);
 
+    // Resolve the jobs this one needs and whether it finishes the run
+    const workflowJobs = await fetchWorkflowJobs(octokit, context);
+    const upstreamJobs = findUpstreamJobs(workflowJobs, currentJobName, jobs);
+    let lastJobInRun = isLastJobInRun(workflowJobs, currentJobName, jobs, job.id);
+    if (!lastJobInRun && findRunSpanJobId(workflowJobs, jobs) === job.id) {
+      core.info(`Waiting up to ${RUN_SPAN_WAIT_MS / 1000}s for the other jobs of the run to finish, to record the workflow-run span`);
+      const finishedJobs = await waitForOtherJobs(octokit, context, job.id);
+      if (finishedJobs) {
+        jobs = finishedJobs;
+        lastJobInRun = true;
+      } else {
+        core.info('ℹ️  Other jobs are still running; the workflow-run span is not recorded (use mode: run-summary for a reliable one)');
+      }
+    }
+
+    // Find this job in the previous attempt, so retries can be followed across traces
+    const previousAttemptJob = await fetchPreviousAttemptJob(octokit, context, job.name, process.env.GITHUB_RUN_ATTEMPT || '1');
+
     // Parse steps and calculate durations
     const steps = parseSteps(job.steps);
 
+    // Errors, warnings and notices of the job, placed on the steps that produced them where known
+    const annotations = assignAnnotationSteps(await fetchAnnotations(octokit, context, job), steps);
+
     // Calculate job duration
-    const { jobStartedAt, jobCompletedAt, jobDurationMs } = calculateJobDuration(job);
+    const { jobCreatedAt, jobStartedAt, jobCompletedAt, jobDurationMs, queueTimeMs } = calculateJobDuration(job);
 
     // Infer job conclusion from steps if not set
     const jobConclusion = inferJobConclusion(job.conclusion, steps);
@@ -306,13 +449,21 @@ async function collectMetrics(octokit, context) {
     const metrics = buildMetricsObject({
       context,
       job,
+      jobCreatedAt,
       jobStartedAt,
       jobCompletedAt,
       jobDurationMs,
+      queueTimeMs,
       jobConclusion,
       steps,
       repoSize,
-      prNumber
+      prNumber,
+      runJobs: jobs,
+      workflowJobs,
+      upstreamJobs,
+      lastJobInRun,
+      previousAttemptJob,
+      annotations
     });
 
     core.debug(`Collected metrics: ${JSON.stringify(metrics, null, 2)}`);
@@ -366,4 +517,4 @@ async function collectArtifacts(octokit, context) {
   }
 }
 
-module.exports = { collectMetrics, collectArtifacts };
+module.exports = { collectMetrics, collectArtifacts, fetchCurrentJob, waitForOtherJobs };
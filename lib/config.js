@@ -4,6 +4,8 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('yaml');
 const { GoogleAuth } = require('google-auth-library');
+const { buildImpersonatedCredentials, getWorkloadIdentityCredentials } = require('./auth');
+const { ALLOWED_ROLES, testServiceAccountPermissions } = require('./permissions');
 
 /**
  * Checks repository visibility using GitHub API
@@ -94,6 +96,7 @@ function logExcessivePermissionsError(projectId, serviceAccountEmail, excessiveR
   core.error('This service account should ONLY have:');
   core.error('  - roles/monitoring.metricWriter (for metrics)');
   core.error('  - roles/cloudtrace.agent (for traces)');
+  core.error('  - roles/logging.logWriter (for job/step logs, only with gcp-logging)');
   core.error('');
   core.error('To fix, remove excessive roles:');
   excessiveRoles.forEach(role => {
@@ -109,11 +112,12 @@ function logExcessivePermissionsError(projectId, serviceAccountEmail, excessiveR
  * @param {string} projectId - GCP project ID
  * @param {string} serviceAccountEmail - Service account email
  * @param {Object} credentials - Service account credentials
+ * @param {boolean} exportsTelemetry - Whether the exporters act as this account (false for a key that only impersonates)
  * @returns {Promise<void>}
  */
-async function checkServiceAccountPermissions(projectId, serviceAccountEmail, credentials) {
+async function checkServiceAccountPermissions(projectId, serviceAccountEmail, credentials, exportsTelemetry = true) {
   try {
-    core.info('Checking service account IAM permissions...');
+    core.info(`Checking IAM permissions of ${serviceAccountEmail}...`);
 
     const policy = await fetchIAMPolicy(credentials, projectId);
     const serviceAccountRoles = extractServiceAccountRoles(policy, serviceAccountEmail);
@@ -121,18 +125,14 @@ async function checkServiceAccountPermissions(projectId, serviceAccountEmail, cr
     core.info(`Service account has ${serviceAccountRoles.length} role(s): ${serviceAccountRoles.join(', ')}`);
 
     // Check for excessive permissions
-    const allowedRoles = [
-      'roles/monitoring.metricWriter',
-      'roles/cloudtrace.agent',
-    ];
-    const excessiveRoles = serviceAccountRoles.filter(role => !allowedRoles.includes(role));
+    const excessiveRoles = serviceAccountRoles.filter(role => !ALLOWED_ROLES.includes(role));
 
     if (excessiveRoles.length > 0) {
       logExcessivePermissionsError(projectId, serviceAccountEmail, excessiveRoles);
       throw new Error('Service account has excessive permissions - refusing to use');
     }
 
-    if (serviceAccountRoles.length === 0) {
+    if (serviceAccountRoles.length === 0 && exportsTelemetry) {
       core.warning('Service account has no IAM roles assigned - metrics export may fail');
     } else {
       core.info('✓ Service account has appropriate minimal permissions');
@@ -148,10 +148,40 @@ async function checkServiceAccountPermissions(projectId, serviceAccountEmail, cr
     core.info('   Ensure the service account has ONLY:');
     core.info('     - roles/monitoring.metricWriter (for metrics)');
     core.info('     - roles/cloudtrace.agent (for traces)');
+    core.info('     - roles/logging.logWriter (for job/step logs, only with gcp-logging)');
     core.debug(`Permission check error: ${error.message}`);
   }
 }
 
+/**
+ * Supported collection modes: the job the action runs in, or every job of the run from a final job
+ */
+const MODES = ['job', 'run-summary'];
+
+/**
+ * Supported service account permission check modes
+ */
+const PERMISSION_CHECK_MODES = ['iam-policy', 'test-iam-permissions'];
+
+/**
+ * Checks a service account's permissions with the selected mode
+ * iam-policy reads the project IAM policy (needs getIamPolicy access); test-iam-permissions probes effective
+ * permissions, including inherited ones, without extra roles
+ * @param {string} mode - Permission check mode
+ * @param {string} projectId - GCP project ID
+ * @param {string} serviceAccountEmail - Service account email
+ * @param {Object} credentials - Credentials that act as the service account
+ * @param {boolean} exportsTelemetry - Whether the exporters act as this account (false for a key that only impersonates)
+ * @returns {Promise<void>}
+ */
+async function verifyServiceAccountPermissions(mode, projectId, serviceAccountEmail, credentials, exportsTelemetry = true) {
+  if (mode === 'test-iam-permissions') {
+    await testServiceAccountPermissions(projectId, serviceAccountEmail, credentials, null, undefined, exportsTelemetry);
+  } else {
+    await checkServiceAccountPermissions(projectId, serviceAccountEmail, credentials, exportsTelemetry);
+  }
+}
+
 /**
  * Validates repository security for service account key file usage
  * @param {string} token - GitHub token
@@ -266,21 +296,430 @@ async function detectProjectFromADC() {
   return null;
 }
 
+/**
+ * Supported export backends
+ */
+const EXPORTERS = ['gcp', 'otlp-http', 'otlp-grpc', 'file', 'prometheus-pushgateway', 'prometheus-remote-write', 'zipkin'];
+
+/**
+ * Signals each backend can receive
+ */
+const BACKEND_SIGNALS = {
+  'gcp': ['metrics', 'traces'],
+  'otlp-http': ['metrics', 'traces', 'logs'],
+  'otlp-grpc': ['metrics', 'traces', 'logs'],
+  'file': ['metrics', 'traces', 'logs'],
+  'prometheus-pushgateway': ['metrics'],
+  'prometheus-remote-write': ['metrics'],
+  'zipkin': ['traces'],
+};
+
+/**
+ * Settings each exporter family accepts, and the input prefix used for them when `exporters` is not used
+ * (e.g., an otlp-http endpoint comes from the otlp-endpoint input, or `endpoint` in an exporters entry)
+ */
+const BACKEND_SETTINGS = {
+  gcp: { prefix: 'gcp', keys: ['logging', 'log-name'] },
+  'otlp-http': { prefix: 'otlp', keys: ['endpoint', 'headers', 'encoding', 'compression', 'insecure'] },
+  'otlp-grpc': { prefix: 'otlp', keys: ['endpoint', 'headers', 'compression', 'insecure'] },
+  file: { prefix: 'file', keys: ['path', 'upload-artifact', 'artifact-name'] },
+  'prometheus-pushgateway': { prefix: 'prometheus', keys: ['endpoint', 'headers', 'job', 'grouping', 'group-by-run'] },
+  'prometheus-remote-write': { prefix: 'prometheus', keys: ['endpoint', 'headers'] },
+  zipkin: { prefix: 'zipkin', keys: ['endpoint', 'headers'] },
+};
+
+/**
+ * Supported OTLP/HTTP payload encodings
+ */
+const OTLP_ENCODINGS = ['protobuf', 'json'];
+
+/**
+ * Supported OTLP payload compression algorithms
+ */
+const OTLP_COMPRESSIONS = ['none', 'gzip'];
+
+/**
+ * Parses a name: value mapping setting from YAML input or an already-parsed mapping
+ * @param {string|Object} value - Raw YAML input or mapping from a backend entry
+ * @param {string} settingName - Setting name used in error messages
+ * @returns {Object} Name to string value mapping
+ */
+function parseMappingSetting(value, settingName) {
+  if (!value) {
+    return {};
+  }
+
+  let mapping = value;
+  if (typeof value === 'string') {
+    try {
+      mapping = yaml.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid ${settingName}: ${error.message}`);
+    }
+  }
+
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`Invalid ${settingName}: must be a YAML object (name: value pairs)`);
+  }
+
+  const result = {};
+  for (const [name, entry] of Object.entries(mapping)) {
+    result[name] = String(entry);
+  }
+  return result;
+}
+
+/**
+ * Parses request headers for a backend
+ * Header values usually carry credentials, so they are masked in logs
+ * @param {string|Object} value - Raw YAML input or mapping from a backend entry
+ * @param {string} settingName - Setting name used in error messages
+ * @returns {Object} Header name to value mapping
+ */
+function parseHeaders(value, settingName) {
+  const headers = parseMappingSetting(value, settingName);
+  Object.values(headers).forEach(headerValue => core.setSecret(headerValue));
+
+  if (Object.keys(headers).length > 0) {
+    core.info(`Parsed ${Object.keys(headers).length} header(s) from ${settingName}`);
+  }
+  return headers;
+}
+
+/**
+ * Parses a boolean setting from a backend entry
+ * Accepts YAML booleans as well as "true"/"false" strings
+ * @param {*} value - Raw setting value
+ * @param {boolean} defaultValue - Value to use when the setting is absent
+ * @param {string} settingName - Setting name used in error messages
+ * @returns {boolean} Parsed value
+ */
+function parseBooleanSetting(value, defaultValue, settingName) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (['true', 'false'].includes(String(value).toLowerCase())) {
+    return String(value).toLowerCase() === 'true';
+  }
+  throw new Error(`Invalid ${settingName} "${value}": must be true or false`);
+}
+
+/**
+ * Parses a positive integer setting
+ * @param {*} value - Raw setting value
+ * @param {number} defaultValue - Value to use when the setting is absent
+ * @param {string} settingName - Setting name used in error messages
+ * @returns {number} Parsed value
+ */
+function parseIntegerSetting(value, defaultValue, settingName) {
+  if (value === undefined || value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${settingName} "${value}": must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Builds Google Cloud exporter settings
+ * Cloud Logging is opt-in because it needs an extra role (roles/logging.logWriter)
+ * @param {Object} settings - Raw settings (logging, log-name)
+ * @param {Function} settingName - Maps a setting key to the name shown in error messages
+ * @returns {Object} Google Cloud settings
+ */
+function buildGCPSettings(settings, settingName) {
+  return {
+    gcpLogging: parseBooleanSetting(settings.logging, false, settingName('logging')),
+    gcpLogName: String(settings['log-name'] || 'github-actions'),
+  };
+}
+
+/**
+ * Validates OTLP exporter settings for a backend
+ * @param {string} exporter - Selected exporter
+ * @param {Object} settings - Raw settings (endpoint, headers, encoding, compression, insecure); encoding is OTLP/HTTP only
+ * @param {Function} settingName - Maps a setting key to the name shown in error messages
+ * @returns {Object} OTLP settings
+ */
+function buildOTLPSettings(exporter, settings, settingName) {
+  if (!settings.endpoint) {
+    throw new Error(`${settingName('endpoint')} is required when exporter is "${exporter}"`);
+  }
+
+  // gRPC always sends protobuf; an encoding there would silently do nothing
+  if (exporter === 'otlp-grpc' && settings.encoding) {
+    throw new Error(`${settingName('encoding')} is not supported when exporter is "otlp-grpc" (gRPC always uses protobuf)`);
+  }
+  const encoding = settings.encoding || 'protobuf';
+  if (!OTLP_ENCODINGS.includes(encoding)) {
+    throw new Error(`Invalid ${settingName('encoding')} "${encoding}". Supported values: ${OTLP_ENCODINGS.join(', ')}`);
+  }
+
+  const compression = settings.compression || 'none';
+  if (!OTLP_COMPRESSIONS.includes(compression)) {
+    throw new Error(`Invalid ${settingName('compression')} "${compression}". Supported values: ${OTLP_COMPRESSIONS.join(', ')}`);
+  }
+
+  return {
+    otlpEndpoint: String(settings.endpoint),
+    otlpHeaders: parseHeaders(settings.headers, settingName('headers')),
+    otlpEncoding: encoding,
+    otlpCompression: compression,
+    // Only used by otlp-grpc; OTLP/HTTP takes TLS from the endpoint scheme
+    otlpInsecure: parseBooleanSetting(settings.insecure, false, settingName('insecure')),
+  };
+}
+
+/**
+ * Validates file exporter settings for a backend
+ * The path is resolved against the workspace so the file can be uploaded or inspected by later steps
+ * @param {Object} settings - Raw settings (path, upload-artifact, artifact-name)
+ * @param {Function} settingName - Maps a setting key to the name shown in error messages
+ * @returns {Object} File settings
+ */
+function buildFileSettings(settings, settingName) {
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+
+  return {
+    filePath: path.resolve(workspace, String(settings.path || 'otel-telemetry.jsonl')),
+    fileUploadArtifact: parseBooleanSetting(settings['upload-artifact'], false, settingName('upload-artifact')),
+    fileArtifactName: settings['artifact-name'] ? String(settings['artifact-name']) : null,
+  };
+}
+
+/**
+ * Validates Prometheus exporter settings for a backend
+ * Pushgateway groups default to the repository, workflow and job, so each job keeps its latest push
+ * @param {string} exporter - Selected exporter
+ * @param {Object} settings - Raw settings (endpoint, headers, job, grouping, group-by-run)
+ * @param {Function} settingName - Maps a setting key to the name shown in error messages
+ * @returns {Object} Prometheus settings
+ */
+function buildPrometheusSettings(exporter, settings, settingName) {
+  if (!settings.endpoint) {
+    throw new Error(`${settingName('endpoint')} is required when exporter is "${exporter}"`);
+  }
+
+  const prometheusSettings = {
+    prometheusEndpoint: String(settings.endpoint),
+    prometheusHeaders: parseHeaders(settings.headers, settingName('headers')),
+  };
+
+  if (exporter === 'prometheus-pushgateway') {
+    // Each push replaces its whole group and the Pushgateway keeps groups until they are deleted, so the default
+    // group is one job of the workflow, which later runs overwrite. The job name, which tells matrix legs apart
+    // (GITHUB_JOB does not), is added at export time. Groups per run attempt are opt-in, since they pile up.
+    // Labels are prefixed with github_ so they do not clash with labels made from metric attributes (run_id, job_name)
+    const grouping = {};
+    if (settings.grouping) {
+      Object.assign(grouping, parseMappingSetting(settings.grouping, settingName('grouping')));
+    } else {
+      if (process.env.GITHUB_REPOSITORY) {
+        grouping.github_repository = process.env.GITHUB_REPOSITORY;
+      }
+      if (process.env.GITHUB_WORKFLOW) {
+        grouping.github_workflow = process.env.GITHUB_WORKFLOW;
+      }
+    }
+    if (parseBooleanSetting(settings['group-by-run'], false, settingName('group-by-run'))) {
+      grouping.github_run_id = process.env.GITHUB_RUN_ID || 'unknown';
+      grouping.github_run_attempt = process.env.GITHUB_RUN_ATTEMPT || '1';
+    }
+
+    prometheusSettings.prometheusJob = String(settings.job || 'github-actions');
+    prometheusSettings.prometheusGrouping = grouping;
+    prometheusSettings.prometheusGroupByJob = !settings.grouping;
+  }
+
+  return prometheusSettings;
+}
+
+/**
+ * Builds Zipkin exporter settings
+ * @param {Object} settings - Raw settings (endpoint, headers)
+ * @param {Function} settingName - Maps a setting key to the name shown in error messages
+ * @returns {Object} Zipkin settings
+ */
+function buildZipkinSettings(settings, settingName) {
+  if (!settings.endpoint) {
+    throw new Error(`${settingName('endpoint')} is required when exporter is "zipkin"`);
+  }
+
+  return {
+    zipkinEndpoint: String(settings.endpoint),
+    zipkinHeaders: parseHeaders(settings.headers, settingName('headers')),
+  };
+}
+
+/**
+ * Builds a validated backend from its exporter type and settings
+ * @param {string} exporter - Exporter type
+ * @param {Object} settings - Raw exporter settings
+ * @param {Function} settingName - Maps a setting key to the name shown in error messages
+ * @returns {Object} Backend settings (exporter plus exporter-specific options)
+ */
+function buildBackend(exporter, settings, settingName) {
+  if (!EXPORTERS.includes(exporter)) {
+    throw new Error(`Invalid ${settingName('type')} "${exporter}". Supported values: ${EXPORTERS.join(', ')}`);
+  }
+
+  const backend = { exporter };
+  if (exporter === 'gcp') {
+    Object.assign(backend, buildGCPSettings(settings, settingName));
+  } else if (exporter === 'otlp-http' || exporter === 'otlp-grpc') {
+    Object.assign(backend, buildOTLPSettings(exporter, settings, settingName));
+  } else if (exporter === 'file') {
+    Object.assign(backend, buildFileSettings(settings, settingName));
+  } else if (exporter === 'prometheus-pushgateway' || exporter === 'prometheus-remote-write') {
+    Object.assign(backend, buildPrometheusSettings(exporter, settings, settingName));
+  } else if (exporter === 'zipkin') {
+    Object.assign(backend, buildZipkinSettings(settings, settingName));
+  }
+  return backend;
+}
+
+/**
+ * Finds two backends with the same value for a setting (an unset value counts as the same default)
+ * @param {Array<Object>} backends - Backends to compare
+ * @param {Function} getSetting - Reads the setting from a backend
+ * @returns {Array<string>|null} Names of the first two backends sharing a value, or null if all differ
+ */
+function findSharedSetting(backends, getSetting) {
+  const values = backends.map(getSetting);
+  const index = values.findIndex((value, i) => values.indexOf(value) !== i);
+  return index === -1 ? null : [backends[values.indexOf(values[index])].name, backends[index].name];
+}
+
+/**
+ * Parses the export backends from inputs
+ * Uses the `exporters` list when provided, otherwise a single backend from the top-level inputs
+ * @param {boolean} failOnError - Default fail-on-error for each backend
+ * @returns {Array<Object>} Backends, each with a unique name and its own failOnError
+ */
+function getBackends(failOnError) {
+  const exportersInput = core.getInput('exporters');
+
+  if (!exportersInput) {
+    const exporter = core.getInput('exporter') || 'gcp';
+    const { prefix, keys } = BACKEND_SETTINGS[exporter] || { prefix: null, keys: [] };
+    const settings = {};
+    for (const key of keys) {
+      settings[key] = core.getInput(`${prefix}-${key}`);
+    }
+    const backend = buildBackend(exporter, settings, key => (key === 'type' ? 'exporter' : `${prefix}-${key}`));
+
+    return [{ name: exporter, failOnError, ...backend }];
+  }
+
+  let entries;
+  try {
+    entries = yaml.parse(exportersInput);
+  } catch (error) {
+    throw new Error(`Invalid exporters: ${error.message}`);
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('Invalid exporters: must be a non-empty YAML list of backend entries');
+  }
+
+  const backends = entries.map((entry, index) => {
+    const settingName = key => `exporters[${index}].${key}`;
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Invalid exporters[${index}]: each backend entry must be a YAML object`);
+    }
+
+    const backend = buildBackend(entry.type, entry, settingName);
+    const sameType = entries.filter(e => e && e.type === entry.type).length;
+    const name = entry.name ? String(entry.name) : (sameType > 1 ? `${entry.type}-${index + 1}` : entry.type);
+
+    return {
+      name,
+      failOnError: parseBooleanSetting(entry['fail-on-error'], failOnError, settingName('fail-on-error')),
+      ...backend,
+    };
+  });
+
+  const names = backends.map(b => b.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`Invalid exporters: duplicate backend name "${duplicate}"`);
+  }
+
+  // File backends sharing a path would interleave their lines, and sharing an artifact name would fail the upload
+  const fileBackends = backends.filter(b => b.exporter === 'file');
+  const sharedPath = findSharedSetting(fileBackends, b => b.filePath);
+  if (sharedPath) {
+    throw new Error(`Invalid exporters: file backends "${sharedPath[0]}" and "${sharedPath[1]}" write to the same path; set a different path on each`);
+  }
+  const sharedArtifact = findSharedSetting(fileBackends.filter(b => b.fileUploadArtifact), b => b.fileArtifactName);
+  if (sharedArtifact) {
+    throw new Error(`Invalid exporters: file backends "${sharedArtifact[0]}" and "${sharedArtifact[1]}" upload the same artifact; set a different artifact-name on each`);
+  }
+
+  return backends;
+}
+
 /**
  * Parses and validates action configuration from inputs
  * @returns {Object} Configuration object
  */
 async function getConfig() {
+  const failOnError = core.getBooleanInput('fail-on-error');
+  const backends = getBackends(failOnError);
+  const useGCP = backends.some(backend => backend.exporter === 'gcp');
+  core.info(`Exporting to ${backends.length} backend(s): ${backends.map(b => b.name).join(', ')}`);
+
   const serviceAccountKeyFile = core.getInput('gcp-service-account-key-file');
+  const credentialsJson = core.getInput('gcp-credentials-json');
+  const impersonateServiceAccount = core.getInput('impersonate-service-account');
   let serviceAccountKey = null;
 
-  // Read service account key from file if provided
-  if (serviceAccountKeyFile) {
+  const mode = core.getInput('mode') || 'job';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode "${mode}". Supported values: ${MODES.join(', ')}`);
+  }
+
+  const permissionCheck = core.getInput('permission-check') || 'iam-policy';
+  if (!PERMISSION_CHECK_MODES.includes(permissionCheck)) {
+    throw new Error(`Invalid permission-check "${permissionCheck}". Supported values: ${PERMISSION_CHECK_MODES.join(', ')}`);
+  }
+
+  // Mask key content passed as an input before anything can log it
+  if (credentialsJson) {
+    core.setSecret(credentialsJson);
+  }
+
+  if (serviceAccountKeyFile && credentialsJson) {
+    throw new Error('Provide either gcp-service-account-key-file or gcp-credentials-json, not both');
+  }
+
+  // Workload Identity Federation replaces key files and a separate auth step (only needed for Google Cloud)
+  const workloadIdentity = useGCP ? getWorkloadIdentityCredentials() : null;
+  if (workloadIdentity && (serviceAccountKeyFile || credentialsJson)) {
+    throw new Error('Provide either a service account key (gcp-service-account-key-file or gcp-credentials-json) or workload-identity-provider, not both');
+  }
+  if (workloadIdentity && impersonateServiceAccount) {
+    throw new Error('impersonate-service-account cannot be combined with workload-identity-provider; set service-account to the account to impersonate');
+  }
+
+  // Read service account key from file if provided (only needed for Google Cloud)
+  if (serviceAccountKeyFile && useGCP) {
     const token = core.getInput('github-token');
     await validateRepositorySecurity(token);
     serviceAccountKey = readServiceAccountKeyFile(serviceAccountKeyFile);
   }
 
+  // Key content from a secret is never committed, so the repository visibility check does not apply
+  if (credentialsJson && useGCP) {
+    core.info('Using service account key from gcp-credentials-json');
+    serviceAccountKey = credentialsJson;
+  }
+
   // Parse service account key and extract information
   let gcpProjectId = core.getInput('gcp-project-id');
   let serviceAccountEmail = null;
@@ -299,6 +738,21 @@ async function getConfig() {
       serviceAccountEmail = parsed.email;
       core.info(`Using service account: ${serviceAccountEmail}`);
     }
+
+    if (keyData && keyData.private_key) {
+      core.setSecret(keyData.private_key);
+    }
+  }
+
+  // Exporters use short-lived tokens for the impersonated account instead of the raw key
+  let gcpCredentials = workloadIdentity ? workloadIdentity.credentials : null;
+  if (impersonateServiceAccount && useGCP) {
+    if (!keyData) {
+      throw new Error('impersonate-service-account requires a valid service account key (gcp-service-account-key-file or gcp-credentials-json)');
+    }
+    gcpCredentials = buildImpersonatedCredentials(keyData, impersonateServiceAccount);
+    serviceAccountKey = null;
+    core.info(`Impersonating service account: ${impersonateServiceAccount}`);
   }
 
   // Parse custom attributes
@@ -322,38 +776,76 @@ async function getConfig() {
   const config = {
     gcpProjectId,
     gcpServiceAccountKey: serviceAccountKey,
+    gcpCredentials,
     serviceName: core.getInput('service-name') || 'github-actions',
     serviceNamespace: core.getInput('service-namespace') || 'ci',
     metricPrefix: core.getInput('metric-prefix') || 'github.actions',
-    failOnError: core.getBooleanInput('fail-on-error'),
+    failOnError,
     customAttributes,
+    mode,
+    logGroupSpans: parseBooleanSetting(core.getInput('log-group-spans'), false, 'log-group-spans'),
+    jobLogs: parseBooleanSetting(core.getInput('job-logs'), false, 'job-logs'),
+    jobLogMaxLines: parseIntegerSetting(core.getInput('job-log-max-lines'), 10000, 'job-log-max-lines'),
+    jobLogMaxBytes: parseIntegerSetting(core.getInput('job-log-max-bytes'), 1048576, 'job-log-max-bytes'),
+    testReports: core.getInput('test-reports') || null,
+    coverageReports: core.getInput('coverage-reports') || null,
+    backends,
   };
 
+  // Job log lines are exported as OpenTelemetry logs; without a backend for them, skip downloading the log
+  if (config.jobLogs && !backends.some(backend => BACKEND_SIGNALS[backend.exporter].includes('logs'))) {
+    core.warning(`job-logs is set, but none of the configured backends (${backends.map(b => b.exporter).join(', ')}) accepts logs; use otlp-http, otlp-grpc or file to export job log lines`);
+    config.jobLogs = false;
+  }
+
   // Try to get project from environment
-  if (!config.gcpProjectId) {
+  if (useGCP && !config.gcpProjectId) {
     config.gcpProjectId = detectProjectFromEnvironment();
   }
 
   // Try to detect project from ADC
-  if (!config.gcpProjectId) {
+  if (useGCP && !config.gcpProjectId) {
     config.gcpProjectId = await detectProjectFromADC();
   }
 
   // Validate configuration
-  if (!config.gcpProjectId) {
-    throw new Error('gcp-project-id is required. Provide it explicitly, via service account key file, environment variable (GOOGLE_CLOUD_PROJECT), or ensure ADC is configured with a project.');
+  if (useGCP && !config.gcpProjectId) {
+    throw new Error('gcp-project-id is required. Provide it explicitly (needed with workload-identity-provider), via service account key file, environment variable (GOOGLE_CLOUD_PROJECT), or ensure ADC is configured with a project.');
   }
 
-  // Check service account permissions if using a key file
+  // Check the permissions of the account the exporters act as, and of the key's own account when it only
+  // impersonates: a leaked long-lived key must not carry excessive or dangerous roles either
+  if (impersonateServiceAccount && gcpCredentials && config.gcpProjectId) {
+    await verifyServiceAccountPermissions(permissionCheck, config.gcpProjectId, impersonateServiceAccount, gcpCredentials);
+  }
   if (keyData && serviceAccountEmail && config.gcpProjectId) {
-    await checkServiceAccountPermissions(config.gcpProjectId, serviceAccountEmail, keyData);
+    const exportsTelemetry = !(impersonateServiceAccount && gcpCredentials);
+    await verifyServiceAccountPermissions(permissionCheck, config.gcpProjectId, serviceAccountEmail, keyData, exportsTelemetry);
+  }
+  if (workloadIdentity && config.gcpProjectId) {
+    await verifyServiceAccountPermissions(
+      permissionCheck,
+      config.gcpProjectId,
+      workloadIdentity.serviceAccount,
+      workloadIdentity.credentials
+    );
   }
 
   // Log config without sensitive data
-  const safeConfig = { ...config, gcpServiceAccountKey: config.gcpServiceAccountKey ? '[REDACTED]' : null };
+  const safeConfig = {
+    ...config,
+    gcpServiceAccountKey: config.gcpServiceAccountKey ? '[REDACTED]' : null,
+    gcpCredentials: config.gcpCredentials ? '[REDACTED]' : null,
+    backends: config.backends.map(backend => ({
+      ...backend,
+      otlpHeaders: backend.otlpHeaders ? Object.keys(backend.otlpHeaders) : undefined,
+      prometheusHeaders: backend.prometheusHeaders ? Object.keys(backend.prometheusHeaders) : undefined,
+      zipkinHeaders: backend.zipkinHeaders ? Object.keys(backend.zipkinHeaders) : undefined,
+    })),
+  };
   core.debug(`Configuration: ${JSON.stringify(safeConfig, null, 2)}`);
 
   return config;
 }
 
-module.exports = { getConfig };
+module.exports = { BACKEND_SIGNALS, getConfig };
@@ -0,0 +1,257 @@
+const core = require('@actions/core');
+const glob = require('@actions/glob');
+const fs = require('fs');
+const path = require('path');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+/**
+ * Coverage kinds reported per file and recorded as gauges
+ */
+const COVERAGE_KINDS = ['lines', 'branches', 'functions'];
+
+/**
+ * Cobertura elements that may repeat, parsed as arrays even when they appear once
+ */
+const COBERTURA_ARRAY_ELEMENTS = ['source', 'package', 'class', 'method', 'line'];
+
+const coberturaParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  parseAttributeValue: false,
+  isArray: name => COBERTURA_ARRAY_ELEMENTS.includes(name),
+});
+
+/**
+ * Creates empty coverage counts for a file
+ * @returns {Object} Found and hit counts per coverage kind
+ */
+function emptyCounts() {
+  return Object.fromEntries(COVERAGE_KINDS.map(kind => [kind, { found: 0, hit: 0 }]));
+}
+
+/**
+ * Parses an lcov tracefile
+ * The LF/LH, BRF/BRH and FNF/FNH summaries are used when present, otherwise the DA, BRDA and FNDA records are counted
+ * @param {string} text - Report content
+ * @returns {Array<Object>} Files (path, lines, branches, functions)
+ */
+function parseLcov(text) {
+  const files = [];
+  let file = null;
+  let summary = {};
+
+  for (const line of text.split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    const key = separator === -1 ? line.trim() : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1);
+
+    if (key === 'SF') {
+      file = { path: value.trim(), ...emptyCounts() };
+      summary = {};
+    } else if (!file) {
+      continue;
+    } else if (key === 'end_of_record') {
+      for (const [kind, foundKey, hitKey] of [['lines', 'LF', 'LH'], ['branches', 'BRF', 'BRH'], ['functions', 'FNF', 'FNH']]) {
+        if (summary[foundKey] !== undefined) {
+          file[kind] = { found: summary[foundKey], hit: summary[hitKey] || 0 };
+        }
+      }
+      files.push(file);
+      file = null;
+    } else if (['LF', 'LH', 'BRF', 'BRH', 'FNF', 'FNH'].includes(key)) {
+      summary[key] = Number(value) || 0;
+    } else if (key === 'DA') {
+      const [, hits] = value.split(',');
+      file.lines.found++;
+      file.lines.hit += Number(hits) > 0 ? 1 : 0;
+    } else if (key === 'BRDA') {
+      const taken = value.split(',')[3];
+      file.branches.found++;
+      file.branches.hit += taken !== '-' && Number(taken) > 0 ? 1 : 0;
+    } else if (key === 'FNDA') {
+      file.functions.found++;
+      file.functions.hit += Number(value.split(',')[0]) > 0 ? 1 : 0;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Parses a Cobertura XML report
+ * Class file names are relative to the report's first `<source>`; classes sharing a file are added up
+ * @param {string} xml - Report content
+ * @returns {Array<Object>} Files (path, lines, branches, functions)
+ * @throws {Error} If the content is not well-formed Cobertura XML
+ */
+function parseCobertura(xml) {
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new Error(`invalid XML at line ${validation.err.line}: ${validation.err.msg}`);
+  }
+
+  const { coverage } = coberturaParser.parse(xml);
+  if (!coverage) {
+    throw new Error('no <coverage> root element');
+  }
+
+  const source = coverage.sources?.source?.[0];
+  const sourceDir = typeof source === 'string' ? source.trim() : '';
+  const files = new Map();
+
+  for (const pkg of coverage.packages?.package || []) {
+    for (const cls of pkg.classes?.class || []) {
+      if (!cls.filename) {
+        continue;
+      }
+      const filePath = sourceDir ? path.join(sourceDir, cls.filename) : cls.filename;
+      if (!files.has(filePath)) {
+        files.set(filePath, { path: filePath, ...emptyCounts() });
+      }
+      const file = files.get(filePath);
+
+      for (const line of cls.lines?.line || []) {
+        file.lines.found++;
+        file.lines.hit += Number(line.hits) > 0 ? 1 : 0;
+        const conditions = String(line['condition-coverage'] || '').match(/\((\d+)\/(\d+)\)/);
+        if (line.branch === 'true' && conditions) {
+          file.branches.hit += Number(conditions[1]);
+          file.branches.found += Number(conditions[2]);
+        }
+      }
+      for (const method of cls.methods?.method || []) {
+        file.functions.found++;
+        const covered = (method.lines?.line || []).some(line => Number(line.hits) > 0) || Number(method['line-rate']) > 0;
+        file.functions.hit += covered ? 1 : 0;
+      }
+    }
+  }
+
+  return [...files.values()];
+}
+
+/**
+ * Parses a coverage report, detecting lcov or Cobertura from its content
+ * @param {string} text - Report content
+ * @returns {Array<Object>} Files (path, lines, branches, functions)
+ * @throws {Error} If the format is not recognized or the report cannot be parsed
+ */
+function parseCoverageReport(text) {
+  const content = text.replace(/^\uFEFF/, '').trimStart();
+  if (content.startsWith('<')) {
+    return parseCobertura(content);
+  }
+  if (/^SF:/m.test(content)) {
+    return parseLcov(content);
+  }
+  throw new Error('not an lcov or Cobertura XML report');
+}
+
+/**
+ * Finds the top-level directory of a covered file
+ * @param {string} filePath - File path relative to the workspace
+ * @returns {string} First path segment, or "." for files at the root
+ */
+function topLevelDirectory(filePath) {
+  const segments = filePath.split(/[\\/]/).filter(Boolean);
+  return segments.length > 1 ? segments[0] : '.';
+}
+
+/**
+ * Adds up coverage counts overall and per top-level directory
+ * @param {Array<Object>} files - Covered files with paths relative to the workspace
+ * @returns {Object} Total counts and counts keyed by top-level directory
+ */
+function summarizeCoverage(files) {
+  const total = emptyCounts();
+  const directories = {};
+
+  for (const file of files) {
+    const directory = topLevelDirectory(file.path);
+    directories[directory] = directories[directory] || emptyCounts();
+    for (const kind of COVERAGE_KINDS) {
+      for (const counts of [total[kind], directories[directory][kind]]) {
+        counts.found += file[kind].found;
+        counts.hit += file[kind].hit;
+      }
+    }
+  }
+
+  return { total, directories };
+}
+
+/**
+ * Resolves the path of a covered file as written in a report
+ * Relative paths are relative to where the tool ran: the report's directory or one of its parents up to the
+ * workspace (packages/a for packages/a/coverage/lcov.info). The nearest one holding the file wins; paths that
+ * exist in none of them are taken as relative to the workspace
+ * @param {string} filePath - Path from the report
+ * @param {string} report - Absolute path of the report
+ * @param {string} workspace - Workspace directory
+ * @returns {string} Absolute path of the covered file
+ */
+function resolveCoveredPath(filePath, report, workspace) {
+  if (path.isAbsolute(filePath)) {
+    return filePath;
+  }
+  let dir = path.dirname(report);
+  while (!path.relative(workspace, dir).startsWith('..')) {
+    const candidate = path.resolve(dir, filePath);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    if (path.relative(workspace, dir) === '' || dir === path.dirname(dir)) {
+      break;
+    }
+    dir = path.dirname(dir);
+  }
+  return path.resolve(workspace, filePath);
+}
+
+/**
+ * Finds and parses the coverage reports matching the configured glob patterns
+ * A file covered by several reports (e.g. unit and integration runs) counts once, with the report that covers it best;
+ * reports that cannot be read or parsed are skipped
+ * @param {string} patterns - Newline-separated glob patterns
+ * @returns {Promise<Object|null>} Coverage summary, or null if no report could be read
+ */
+async function readCoverageReports(patterns) {
+  const globber = await glob.create(patterns, { matchDirectories: false });
+  const reports = await globber.glob();
+  const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+  const files = new Map();
+
+  for (const report of reports) {
+    const reportPath = path.relative(workspace, report);
+    try {
+      const parsed = parseCoverageReport(fs.readFileSync(report, 'utf8'));
+      for (const file of parsed) {
+        const filePath = path.relative(workspace, resolveCoveredPath(file.path, report, workspace));
+        const existing = files.get(filePath);
+        if (!existing || file.lines.hit > existing.lines.hit) {
+          files.set(filePath, { ...file, path: filePath });
+        }
+      }
+      core.debug(`Read coverage of ${parsed.length} file(s) from ${reportPath}`);
+    } catch (error) {
+      core.info(`ℹ️  Skipping coverage report ${reportPath}: ${error.message}`);
+    }
+  }
+
+  if (files.size === 0) {
+    core.info(`ℹ️  No coverage found in reports matching ${patterns.split('\n').map(p => p.trim()).filter(Boolean).join(', ')}`);
+    return null;
+  }
+
+  core.info(`Read coverage of ${files.size} file(s) from ${reports.length} report(s)`);
+  return summarizeCoverage([...files.values()]);
+}
+
+module.exports = {
+  COVERAGE_KINDS,
+  parseLcov,
+  parseCobertura,
+  parseCoverageReport,
+  summarizeCoverage,
+  readCoverageReports,
+};
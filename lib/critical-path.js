@@ -0,0 +1,158 @@
+const core = require('@actions/core');
+
+/**
+ * Computes the critical path of a run over the `needs:` graph of its jobs
+ * Each job costs the time it spent queued and running, counted from when the last job it needs finished
+ * (or from its creation for jobs without needs). The critical path is the chain of jobs with the largest
+ * total cost; the slack of a job is how much longer it could have taken without lengthening that path
+ * @param {Array<Object>} runJobs - Run job summaries (id, name, conclusion, createdAt, startedAt, completedAt, needs, steps)
+ * @returns {Object|null} Critical path (durationMs, job IDs on the path in order, every job's cost, slack and the steps
+ *   that ran in it), or null if no job has finished
+ */
+function findCriticalPath(runJobs) {
+  const ran = runJobs.filter(job => job.startedAt && job.completedAt && job.conclusion !== 'skipped');
+  if (ran.length === 0) {
+    return null;
+  }
+
+  const byId = new Map(ran.map(job => [job.id, job]));
+  const upstreamIds = new Map(ran.map(job => [
+    job.id,
+    [...new Set((job.needs || []).map(upstream => upstream.id))].filter(id => byId.has(id) && id !== job.id),
+  ]));
+
+  // Earliest finish of each job along its longest chain of needs
+  const costs = new Map();
+  const finishes = new Map();
+  const visiting = new Set();
+  const earliestFinish = (job) => {
+    if (finishes.has(job.id)) {
+      return finishes.get(job.id);
+    }
+    if (visiting.has(job.id)) {
+      return 0; // needs cannot form a cycle in a valid workflow; stop rather than recurse forever
+    }
+    visiting.add(job.id);
+
+    const upstream = upstreamIds.get(job.id).map(id => byId.get(id));
+    const readyAt = Math.min(
+      job.startedAt.getTime(),
+      Math.max((job.createdAt || job.startedAt).getTime(), ...upstream.map(up => up.completedAt.getTime()))
+    );
+    costs.set(job.id, Math.max(0, job.completedAt.getTime() - readyAt));
+    finishes.set(job.id, costs.get(job.id) + Math.max(0, ...upstream.map(earliestFinish)));
+
+    visiting.delete(job.id);
+    return finishes.get(job.id);
+  };
+  ran.forEach(earliestFinish);
+
+  const durationMs = Math.max(...finishes.values());
+
+  // Latest finish of each job that keeps every downstream job within the critical path duration
+  const downstreamIds = new Map(ran.map(job => [job.id, []]));
+  for (const [id, upstream] of upstreamIds) {
+    upstream.forEach(upId => downstreamIds.get(upId).push(id));
+  }
+  const latestFinishes = new Map();
+  const latestFinish = (id) => {
+    if (!latestFinishes.has(id)) {
+      latestFinishes.set(id, durationMs); // guards against cycles like earliestFinish
+      const downstream = downstreamIds.get(id).map(downId => latestFinish(downId) - costs.get(downId));
+      latestFinishes.set(id, Math.min(durationMs, ...downstream));
+    }
+    return latestFinishes.get(id);
+  };
+
+  // Walk back from the job finishing last through the need that finished last
+  const path = [];
+  let current = ran.find(job => finishes.get(job.id) === durationMs);
+  while (current) {
+    path.unshift(current.id);
+    const upstream = upstreamIds.get(current.id).filter(id => !path.includes(id));
+    current = upstream.length > 0
+      ? byId.get(upstream.reduce((best, id) => (finishes.get(id) > finishes.get(best) ? id : best)))
+      : null;
+  }
+
+  return {
+    durationMs,
+    path,
+    jobs: ran.map(job => ({
+      id: job.id,
+      name: job.name,
+      costMs: costs.get(job.id),
+      slackMs: path.includes(job.id) ? 0 : Math.max(0, latestFinish(job.id) - finishes.get(job.id)),
+      critical: path.includes(job.id),
+      // A job's steps run one after another, so all of them make up its running time
+      steps: (job.steps || [])
+        .filter(step => step.durationMs > 0 && step.conclusion !== 'skipped')
+        .map(step => ({ name: step.name, durationMs: step.durationMs })),
+    })),
+  };
+}
+
+/**
+ * Formats a duration for the job summary
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration such as "4m 05s" or "12s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+/**
+ * Escapes text for a job summary table cell, which is written as HTML
+ * @param {string} text - Text such as a job or step name
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes the critical path to the job summary: the jobs on it in order with their steps, then the other jobs by slack
+ * @param {Object} criticalPath - Critical path from findCriticalPath
+ * @returns {Promise<void>}
+ */
+async function writeCriticalPathSummary(criticalPath) {
+  const jobs = new Map(criticalPath.jobs.map(job => [job.id, job]));
+  const header = (...cells) => cells.map(data => ({ data, header: true }));
+
+  const onPath = criticalPath.path.map(id => jobs.get(id)).map(job => [
+    escapeHtml(job.name),
+    formatDuration(job.costMs),
+    job.steps.map(step => `${escapeHtml(step.name)} (${formatDuration(step.durationMs)})`).join(', '),
+  ]);
+  const others = criticalPath.jobs
+    .filter(job => !job.critical)
+    .sort((a, b) => a.slackMs - b.slackMs)
+    .map(job => [escapeHtml(job.name), formatDuration(job.costMs), formatDuration(job.slackMs)]);
+
+  core.summary
+    .addHeading('Critical path', 3)
+    .addRaw(`The run's longest chain of dependent jobs took ${formatDuration(criticalPath.durationMs)}, counting queue and run time from when each job's needs finished.`, true)
+    .addTable([header('Job', 'Queued + running', 'Steps'), ...onPath]);
+
+  if (others.length > 0) {
+    core.summary
+      .addRaw('Jobs off the critical path could take this much longer without delaying the run:', true)
+      .addTable([header('Job', 'Queued + running', 'Slack'), ...others]);
+  }
+
+  await core.summary.write();
+}
+
+module.exports = {
+  findCriticalPath,
+  formatDuration,
+  writeCriticalPathSummary,
+};
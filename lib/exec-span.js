@@ -0,0 +1,269 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RandomIdGenerator } = require('@opentelemetry/sdk-trace-base');
+const { SPANS_DIR_ENV } = require('./user-spans');
+
+/**
+ * W3C traceparent header format (version 00)
+ */
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Environment variable pointing at the step span map written by the main action
+ */
+const STEP_SPANS_ENV = 'OTEL_STEP_SPANS';
+
+const USAGE = 'Usage: otel-exec [--name <span name>] [--step <step name or number>] -- <command> [args...]\n'
+  + '       otel-exec --step <step name or number> --print-traceparent';
+
+/**
+ * Parses otel-exec arguments: options, then the command after `--`
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Span name and step (if set), whether to print the step traceparent, command and command arguments
+ * @throws {Error} If no command is given or an option is unknown
+ */
+function parseExecArgs(argv) {
+  const separator = argv.indexOf('--');
+  let options = [];
+  let commandLine = argv;
+  if (separator !== -1) {
+    options = argv.slice(0, separator);
+    commandLine = argv.slice(separator + 1);
+  } else if (argv[0]?.startsWith('--')) {
+    options = argv;
+    commandLine = [];
+  }
+
+  let name = null;
+  let step = null;
+  let printTraceparent = false;
+  for (let i = 0; i < options.length; i++) {
+    if (options[i] === '--name' && i + 1 < options.length) {
+      name = options[++i];
+    } else if (options[i] === '--step' && i + 1 < options.length) {
+      step = options[++i];
+    } else if (options[i] === '--print-traceparent') {
+      printTraceparent = true;
+    } else {
+      throw new Error(`Unknown option "${options[i]}". ${USAGE}`);
+    }
+  }
+
+  if (printTraceparent) {
+    if (!step || commandLine.length > 0) {
+      throw new Error(`--print-traceparent needs --step and no command. ${USAGE}`);
+    }
+    return { name, step, printTraceparent, command: null, args: [] };
+  }
+  if (commandLine.length === 0) {
+    throw new Error(`No command given. ${USAGE}`);
+  }
+
+  return { name, step, printTraceparent, command: commandLine[0], args: commandLine.slice(1) };
+}
+
+/**
+ * Writes the step span map for running steps to look up their step span's traceparent
+ * @param {Object} stepSpanMap - Map from buildStepSpanMap
+ * @param {string} dir - Directory to write the map to
+ * @returns {string} Map file path
+ */
+function writeStepSpanMap(stepSpanMap, dir = process.env.RUNNER_TEMP || os.tmpdir()) {
+  const file = path.join(dir, 'otel-step-spans.json');
+  fs.writeFileSync(file, JSON.stringify(stepSpanMap, null, 2));
+  return file;
+}
+
+/**
+ * Looks up the traceparent of a step span in the step span map
+ * @param {string} step - Step name as the jobs API reports it, or step number
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {string} traceparent of the step span
+ * @throws {Error} If the map is unavailable or does not list the step
+ */
+function stepTraceparent(step, env = process.env) {
+  const file = env[STEP_SPANS_ENV];
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`${STEP_SPANS_ENV} is not set; step spans are only known when the action can look up the current job`);
+  }
+
+  const { steps } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const match = /^\d+$/.test(step)
+    ? steps.find(candidate => candidate.number === Number(step))
+    : steps.find(candidate => candidate.name === step);
+  if (!match) {
+    throw new Error(`Unknown step "${step}". Known steps: ${steps.map(candidate => `${candidate.number} "${candidate.name}"`).join(', ')}`);
+  }
+  return match.traceparent;
+}
+
+/**
+ * Parses a W3C traceparent value
+ * @param {string} traceparent - traceparent value
+ * @returns {Object|null} Trace ID, span ID and flags, or null if missing or malformed
+ */
+function parseTraceparent(traceparent) {
+  const match = (traceparent || '').trim().match(TRACEPARENT_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2], traceFlags: match[3] };
+}
+
+/**
+ * Builds the span record for a finished command, in the OTEL_SPANS_DIR record format
+ * @param {Object} run - Command run details
+ * @param {string} run.name - Span name
+ * @param {string} run.command - Command
+ * @param {Array<string>} run.args - Command arguments
+ * @param {Date} run.start - Start time
+ * @param {Date} run.end - End time
+ * @param {string} run.spanId - Span ID handed to the command
+ * @param {string|null} run.parentSpanId - Span ID from the caller's TRACEPARENT
+ * @param {number|null} run.exitCode - Exit code, or null if the command did not exit normally
+ * @param {string|null} run.signal - Signal that ended the command
+ * @param {string|null} run.error - Error that prevented the command from starting
+ * @returns {Object} Span record
+ */
+function buildExecSpanRecord({ name, command, args, start, end, spanId, parentSpanId, exitCode, signal, error }) {
+  const attributes = {
+    'process.command': command,
+    'process.command_args': [command, ...args],
+    'process.command_line': [command, ...args].join(' '),
+  };
+  if (exitCode !== null && exitCode !== undefined) {
+    attributes['process.exit.code'] = exitCode;
+  }
+  if (signal) {
+    attributes['process.exit.signal'] = signal;
+  }
+
+  let statusMessage;
+  if (error) {
+    statusMessage = `Failed to start: ${error}`;
+  } else if (signal) {
+    statusMessage = `Terminated by ${signal}`;
+  } else if (exitCode !== 0) {
+    statusMessage = `Exited with code ${exitCode}`;
+  }
+
+  const record = {
+    name,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    attributes,
+    status: statusMessage ? 'error' : 'unset',
+    spanId,
+  };
+  if (statusMessage) {
+    record.statusMessage = statusMessage;
+  }
+  if (parentSpanId) {
+    record.parentSpanId = parentSpanId;
+  }
+  return record;
+}
+
+/**
+ * Runs a command as a traced span
+ * The command inherits stdio and gets a TRACEPARENT pointing at its own span; the span is written
+ * to OTEL_SPANS_DIR for the post-action to export under the job span
+ * @param {Object} options - Run options
+ * @param {string} options.command - Command
+ * @param {Array<string>} options.args - Command arguments
+ * @param {string} options.name - Span name (defaults to the command line)
+ * @param {Object} options.env - Environment (defaults to process.env)
+ * @returns {Promise<Object>} Exit code to exit with, and the span record file (null if not written)
+ */
+async function runTraced({ command, args = [], name = null, env = process.env }) {
+  const parent = parseTraceparent(env.TRACEPARENT);
+  const ids = new RandomIdGenerator();
+  const traceId = parent ? parent.traceId : ids.generateTraceId();
+  const spanId = ids.generateSpanId();
+
+  const start = new Date();
+  const result = await new Promise(resolve => {
+    const child = spawn(command, args, {
+      stdio: 'inherit',
+      // Windows needs a shell to find `.cmd` and `.bat` commands such as npm through PATHEXT
+      shell: process.platform === 'win32',
+      env: { ...env, TRACEPARENT: `00-${traceId}-${spanId}-${parent ? parent.traceFlags : '01'}` },
+    });
+
+    // Let the command handle interrupts; otel-exec exits once it does
+    const forward = signal => child.kill(signal);
+    process.on('SIGINT', forward);
+    process.on('SIGTERM', forward);
+    const finish = outcome => {
+      process.off('SIGINT', forward);
+      process.off('SIGTERM', forward);
+      resolve(outcome);
+    };
+
+    child.on('error', error => finish({ exitCode: null, signal: null, error: error.message }));
+    child.on('exit', (exitCode, signal) => finish({ exitCode, signal, error: null }));
+  });
+  const end = new Date();
+
+  const record = buildExecSpanRecord({
+    name: name || [command, ...args].join(' '),
+    command,
+    args,
+    start,
+    end,
+    spanId,
+    parentSpanId: parent ? parent.spanId : null,
+    ...result,
+  });
+
+  let file = null;
+  const spansDir = env[SPANS_DIR_ENV];
+  if (spansDir && fs.existsSync(spansDir)) {
+    // The command already ran, so a span that cannot be written must not change its exit code
+    try {
+      file = path.join(spansDir, `otel-exec-${spanId}.json`);
+      fs.writeFileSync(file, JSON.stringify(record));
+    } catch (error) {
+      file = null;
+      process.stderr.write(`otel-exec: could not record the span for "${record.name}": ${error.message}\n`);
+    }
+  } else {
+    process.stderr.write(`otel-exec: ${SPANS_DIR_ENV} is not set; the span for "${record.name}" was not recorded\n`);
+  }
+
+  let exitCode = result.exitCode;
+  if (result.error) {
+    process.stderr.write(`otel-exec: ${record.statusMessage}\n`);
+    exitCode = 127;
+  } else if (result.signal) {
+    exitCode = 128 + (os.constants.signals[result.signal] || 0);
+  }
+
+  return { exitCode, file };
+}
+
+/**
+ * Writes otel-exec launchers for POSIX shells and Windows into a directory for PATH
+ * @param {string} cliPath - Path of the bundled otel-exec script
+ * @param {string} dir - Directory to write the launchers to
+ * @returns {string} Launcher directory
+ */
+function installExecLauncher(cliPath, dir = path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'otel-bin')) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'otel-exec'), `#!/bin/sh\nexec "${process.execPath}" "${cliPath}" "$@"\n`, { mode: 0o755 });
+  fs.writeFileSync(path.join(dir, 'otel-exec.cmd'), `@"${process.execPath}" "${cliPath}" %*\r\n`);
+  return dir;
+}
+
+module.exports = {
+  STEP_SPANS_ENV,
+  installExecLauncher,
+  parseExecArgs,
+  parseTraceparent,
+  writeStepSpanMap,
+  stepTraceparent,
+  buildExecSpanRecord,
+  runTraced,
+};
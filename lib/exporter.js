@@ -2,10 +2,41 @@ const core = require('@actions/core');
 const { MeterProvider, PeriodicExportingMetricReader } = require('@opentelemetry/sdk-metrics');
 const { MetricExporter } = require('@google-cloud/opentelemetry-cloud-monitoring-exporter');
 const { TraceExporter } = require('@google-cloud/opentelemetry-cloud-trace-exporter');
-const { BasicTracerProvider, BatchSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { OTLPMetricExporter: OTLPHttpJsonMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-http');
+const { OTLPMetricExporter: OTLPHttpProtoMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-proto');
+const { OTLPTraceExporter: OTLPHttpJsonTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { OTLPTraceExporter: OTLPHttpProtoTraceExporter } = require('@opentelemetry/exporter-trace-otlp-proto');
+const { OTLPMetricExporter: OTLPGrpcMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-grpc');
+const { OTLPTraceExporter: OTLPGrpcTraceExporter } = require('@opentelemetry/exporter-trace-otlp-grpc');
+const { OTLPLogExporter: OTLPHttpJsonLogExporter } = require('@opentelemetry/exporter-logs-otlp-http');
+const { OTLPLogExporter: OTLPHttpProtoLogExporter } = require('@opentelemetry/exporter-logs-otlp-proto');
+const { OTLPLogExporter: OTLPGrpcLogExporter } = require('@opentelemetry/exporter-logs-otlp-grpc');
+const { ZipkinExporter } = require('@opentelemetry/exporter-zipkin');
+const grpc = require('@grpc/grpc-js');
+const fs = require('fs');
+const { FileLogExporter, FileMetricExporter, FileSpanExporter, uploadTelemetryArtifact } = require('./file-exporter');
+const { PrometheusPushgatewayExporter, PrometheusRemoteWriteExporter } = require('./prometheus-exporter');
+const { exportLogs } = require('./logging');
+const { jobSpanId, stepSpanId, workflowRunSpanContext } = require('./workflow');
+const { SPANS_DIR_ENV, createUserSpans } = require('./user-spans');
+const { addAnnotationEvents, countAnnotations } = require('./annotations');
+const { countTestCases } = require('./test-reports');
+const { COVERAGE_KINDS } = require('./coverage');
+const { BACKEND_SIGNALS } = require('./config');
+const { BasicTracerProvider, BatchSpanProcessor, RandomIdGenerator } = require('@opentelemetry/sdk-trace-base');
 const { context, trace } = require('@opentelemetry/api');
+const { SeverityNumber } = require('@opentelemetry/api-logs');
+const { BatchLogRecordProcessor, LoggerProvider } = require('@opentelemetry/sdk-logs');
+const { ExportResultCode } = require('@opentelemetry/core');
 const { resourceFromAttributes } = require('@opentelemetry/resources');
-const { ATTR_SERVICE_NAME, ATTR_SERVICE_NAMESPACE, ATTR_SERVICE_INSTANCE_ID } = require('@opentelemetry/semantic-conventions');
+const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+// service.namespace and service.instance.id are only published in the incubating entry point
+const { ATTR_SERVICE_NAMESPACE, ATTR_SERVICE_INSTANCE_ID } = require('@opentelemetry/semantic-conventions/incubating');
+
+/**
+ * Most passing or skipped test case spans recorded per job; failed cases are always recorded
+ */
+const MAX_TEST_CASE_SPANS = 1000;
 
 /**
  * Estimates GitHub Actions cost based on runner type and duration
@@ -52,26 +83,106 @@ function estimateJobCost(runnerOS, runnerLabel, durationMs) {
 }
 
 /**
- * Creates and configures an OpenTelemetry MeterProvider with GCP exporter
+ * Builds the OTLP/HTTP URL for a signal from the configured endpoint
+ * Like OTEL_EXPORTER_OTLP_ENDPOINT, the endpoint is a base URL and /v1/<signal> is appended
+ * @param {string} endpoint - Base OTLP endpoint (e.g., http://collector:4318)
+ * @param {string} signal - Signal path segment (metrics or traces)
+ * @returns {string} Full URL for the signal
+ */
+function otlpSignalUrl(endpoint, signal) {
+  return `${endpoint.replace(/\/+$/, '')}/v1/${signal}`;
+}
+
+/**
+ * Creates the OTLP/HTTP metric exporter for the configured encoding
  * @param {Object} config - Configuration object
- * @returns {Object} MeterProvider and meters
+ * @returns {Object} OTLP metric exporter
  */
-function createMeterProvider(config) {
-  core.info('Initializing OpenTelemetry MeterProvider with Google Cloud Monitoring exporter');
+function createOTLPHttpMetricExporter(config) {
+  const exporterOptions = {
+    url: otlpSignalUrl(config.otlpEndpoint, 'metrics'),
+    headers: config.otlpHeaders || {},
+    compression: config.otlpCompression || 'none',
+  };
 
-  const resource = resourceFromAttributes({
-    [ATTR_SERVICE_NAME]: config.serviceName,
-    [ATTR_SERVICE_NAMESPACE]: config.serviceNamespace,
-    [ATTR_SERVICE_INSTANCE_ID]: process.env.GITHUB_RUN_ID || 'unknown',
-  });
+  if (config.otlpEncoding === 'json') {
+    return new OTLPHttpJsonMetricExporter(exporterOptions);
+  }
+  return new OTLPHttpProtoMetricExporter(exporterOptions);
+}
+
+/**
+ * Creates the OTLP/HTTP span exporter for the configured encoding
+ * @param {Object} config - Configuration object
+ * @returns {Object} OTLP span exporter
+ */
+function createOTLPHttpSpanExporter(config) {
+  const exporterOptions = {
+    url: otlpSignalUrl(config.otlpEndpoint, 'traces'),
+    headers: config.otlpHeaders || {},
+    compression: config.otlpCompression || 'none',
+  };
+
+  if (config.otlpEncoding === 'json') {
+    return new OTLPHttpJsonTraceExporter(exporterOptions);
+  }
+  return new OTLPHttpProtoTraceExporter(exporterOptions);
+}
+
+/**
+ * Creates the OTLP/HTTP log record exporter for the configured encoding
+ * @param {Object} config - Configuration object
+ * @returns {Object} OTLP log record exporter
+ */
+function createOTLPHttpLogExporter(config) {
+  const exporterOptions = {
+    url: otlpSignalUrl(config.otlpEndpoint, 'logs'),
+    headers: config.otlpHeaders || {},
+    compression: config.otlpCompression || 'none',
+  };
+
+  if (config.otlpEncoding === 'json') {
+    return new OTLPHttpJsonLogExporter(exporterOptions);
+  }
+  return new OTLPHttpProtoLogExporter(exporterOptions);
+}
+
+/**
+ * Builds OTLP/gRPC exporter options shared by metrics, traces and logs
+ * Headers are sent as gRPC metadata on every export request
+ * @param {Object} config - Configuration object
+ * @returns {Object} OTLP/gRPC exporter options
+ */
+function buildOTLPGrpcOptions(config) {
+  const metadata = new grpc.Metadata();
+  for (const [name, value] of Object.entries(config.otlpHeaders || {})) {
+    metadata.set(name, value);
+  }
+
+  return {
+    url: config.otlpEndpoint,
+    credentials: config.otlpInsecure ? grpc.credentials.createInsecure() : grpc.credentials.createSsl(),
+    metadata,
+    compression: config.otlpCompression || 'none',
+  };
+}
 
+/**
+ * Creates the Google Cloud Monitoring metric exporter
+ * @param {Object} config - Configuration object
+ * @returns {Object} Cloud Monitoring metric exporter
+ */
+function createGCPMetricExporter(config) {
   // Configure exporter options
   const exporterOptions = {
     projectId: config.gcpProjectId,
   };
 
-  // If service account key is provided, parse and use it
-  if (config.gcpServiceAccountKey) {
+  // Prefer Workload Identity Federation, then a service account key, then ADC
+  if (config.gcpCredentials) {
+    exporterOptions.credentials = config.gcpCredentials;
+    core.info('Using Workload Identity Federation credentials');
+  } else if (config.gcpServiceAccountKey) {
     try {
       const credentials = JSON.parse(config.gcpServiceAccountKey);
       exporterOptions.credentials = credentials;
@@ -84,7 +195,86 @@ function createMeterProvider(config) {
     core.info('Using Application Default Credentials');
   }
 
-  const exporter = new MetricExporter(exporterOptions);
+  return new MetricExporter(exporterOptions);
+}
+
+/**
+ * Creates the metric exporter for the configured backend
+ * @param {Object} config - Configuration object
+ * @returns {Object} Push metric exporter
+ */
+function createMetricExporter(config) {
+  switch (config.exporter) {
+    case 'otlp-http':
+      core.info(`Exporting metrics via OTLP/HTTP (${config.otlpEncoding}) to ${config.otlpEndpoint}`);
+      return createOTLPHttpMetricExporter(config);
+    case 'otlp-grpc':
+      core.info(`Exporting metrics via OTLP/gRPC (${config.otlpInsecure ? 'insecure' : 'TLS'}) to ${config.otlpEndpoint}`);
+      return new OTLPGrpcMetricExporter(buildOTLPGrpcOptions(config));
+    case 'file':
+      core.info(`Writing metrics as OTLP/JSON lines to ${config.filePath}`);
+      return new FileMetricExporter(config.filePath);
+    case 'prometheus-pushgateway':
+      core.info(`Pushing metrics to Prometheus Pushgateway at ${config.prometheusEndpoint} (job: ${config.prometheusJob})`);
+      return new PrometheusPushgatewayExporter({
+        endpoint: config.prometheusEndpoint,
+        headers: config.prometheusHeaders,
+        job: config.prometheusJob,
+        grouping: config.prometheusGrouping,
+      });
+    case 'prometheus-remote-write':
+      core.info(`Sending metrics via Prometheus remote-write to ${config.prometheusEndpoint}`);
+      return new PrometheusRemoteWriteExporter({
+        endpoint: config.prometheusEndpoint,
+        headers: config.prometheusHeaders,
+      });
+    default:
+      core.info('Exporting metrics to Google Cloud Monitoring');
+      return createGCPMetricExporter(config);
+  }
+}
+
+/**
+ * Failed metric exports per MeterProvider
+ * PeriodicExportingMetricReader reports export failures to the global error handler
+ * instead of rejecting forceFlush(), so shutdown() checks this to surface them
+ */
+const metricExportFailures = new WeakMap();
+
+/**
+ * Wraps a metric or log record exporter's export() to remember failed results
+ * @param {Object} exporter - Push metric exporter or log record exporter
+ * @param {Array<string>} failures - Collected failure messages
+ */
+function trackExportFailures(exporter, failures) {
+  const originalExport = exporter.export.bind(exporter);
+  exporter.export = (items, resultCallback) => {
+    originalExport(items, (result) => {
+      if (result.code !== ExportResultCode.SUCCESS) {
+        failures.push(result.error?.message || JSON.stringify(result.error) || 'unknown error');
+      }
+      resultCallback(result);
+    });
+  };
+}
+
+/**
+ * Creates and configures an OpenTelemetry MeterProvider with the configured exporter
+ * @param {Object} config - Configuration object
+ * @returns {Object} MeterProvider and meters
+ */
+function createMeterProvider(config) {
+  core.info(`Initializing OpenTelemetry MeterProvider with ${config.exporter || 'gcp'} exporter`);
+
+  const resource = resourceFromAttributes({
+    [ATTR_SERVICE_NAME]: config.serviceName,
+    [ATTR_SERVICE_NAMESPACE]: config.serviceNamespace,
+    [ATTR_SERVICE_INSTANCE_ID]: process.env.GITHUB_RUN_ID || 'unknown',
+  });
+
+  const exporter = createMetricExporter(config);
+  const exportFailures = [];
+  trackExportFailures(exporter, exportFailures);
 
   // Note: We use PeriodicExportingMetricReader not for periodic exports,
   // but because it handles metric aggregation and collection.
@@ -99,6 +289,8 @@ function createMeterProvider(config) {
     readers: [metricReader],
   });
 
+  metricExportFailures.set(meterProvider, exportFailures);
+
   const meter = meterProvider.getMeter(config.metricPrefix);
 
   return { meterProvider, meter };
@@ -158,6 +350,17 @@ function buildBaseAttributes(metrics, customAttributes = {}) {
   return baseAttributes;
 }
 
+/**
+ * Builds the attribute holding every runner label the job asked for
+ * `runner.label` only holds the first label, which is `self-hosted` for most self-hosted runners
+ * @param {Object} metrics - Collected metrics
+ * @returns {Object} `runner.labels` (sorted, comma-separated), or nothing if the job has no labels
+ */
+function runnerLabelsAttribute(metrics) {
+  const labels = metrics.runner?.labels || [];
+  return labels.length > 0 ? { 'runner.labels': [...labels].sort().join(',') } : {};
+}
+
 /**
  * Records job-level metrics
  * @param {Object} meter - OpenTelemetry meter
@@ -180,6 +383,16 @@ function recordJobMetrics(meter, metrics, metricPrefix, baseAttributes) {
   jobDurationHistogram.record(metrics.job.durationMs, jobAttributes);
   core.info(`Recorded job duration: ${metrics.job.durationMs}ms`);
 
+  // Time spent waiting for a runner, by the full label set the job asked for
+  if (metrics.job.queueTimeMs !== null && metrics.job.queueTimeMs !== undefined) {
+    const queueTimeHistogram = meter.createHistogram(`${metricPrefix}.job.queue_time`, {
+      description: 'Time workflow jobs waited for a runner in milliseconds',
+      unit: 'ms',
+    });
+    queueTimeHistogram.record(metrics.job.queueTimeMs, { ...baseAttributes, ...runnerLabelsAttribute(metrics) });
+    core.info(`Recorded job queue time: ${metrics.job.queueTimeMs}ms`);
+  }
+
   // Record estimated cost if we have runner info
   if (metrics.runner && metrics.runner.os) {
     const runnerLabel = metrics.runner.labels && metrics.runner.labels.length > 0 ? metrics.runner.labels[0] : null;
@@ -285,6 +498,188 @@ function recordStepMetrics(meter, metrics, metricPrefix, baseAttributes) {
   core.info(`Recorded metrics for ${metrics.steps.length} steps`);
 }
 
+/**
+ * Records the number of check-run annotations of the job by level
+ * @param {Object} meter - OpenTelemetry meter
+ * @param {Object} metrics - Collected metrics
+ * @param {string} metricPrefix - Metric name prefix
+ * @param {Object} baseAttributes - Base attributes for all metrics (includes custom attributes)
+ */
+function recordAnnotationMetrics(meter, metrics, metricPrefix, baseAttributes) {
+  if (!metrics.annotations) {
+    return;
+  }
+
+  const annotationCounter = meter.createCounter(`${metricPrefix}.job.annotations`, {
+    description: 'Check-run annotations (errors, warnings, notices) of workflow jobs',
+    unit: '{annotation}',
+  });
+
+  for (const [level, count] of Object.entries(countAnnotations(metrics.annotations))) {
+    annotationCounter.add(count, { ...baseAttributes, 'annotation.level': level });
+  }
+  core.info(`Recorded ${metrics.annotations.length} annotation(s)`);
+}
+
+/**
+ * Records test durations and the number of test cases by status from the job's test reports
+ * @param {Object} meter - OpenTelemetry meter
+ * @param {Object} metrics - Collected metrics
+ * @param {string} metricPrefix - Metric name prefix
+ * @param {Object} baseAttributes - Base attributes for all metrics (includes custom attributes)
+ */
+function recordTestMetrics(meter, metrics, metricPrefix, baseAttributes) {
+  if (!metrics.tests) {
+    return;
+  }
+
+  const suiteDurationHistogram = meter.createHistogram(`${metricPrefix}.test.suite.duration`, {
+    description: 'Duration of test suites in milliseconds',
+    unit: 'ms',
+  });
+  const caseDurationHistogram = meter.createHistogram(`${metricPrefix}.test.duration`, {
+    description: 'Duration of test cases in milliseconds',
+    unit: 'ms',
+  });
+  const caseCounter = meter.createCounter(`${metricPrefix}.test.cases`, {
+    description: 'Test cases by status (passed, failed, skipped)',
+    unit: '{test}',
+  });
+
+  for (const suite of metrics.tests) {
+    suiteDurationHistogram.record(suite.durationMs, { ...baseAttributes, 'test.suite': suite.name });
+    for (const testCase of suite.cases) {
+      caseDurationHistogram.record(testCase.durationMs, {
+        ...baseAttributes,
+        'test.suite': suite.name,
+        'test.status': testCase.status,
+      });
+    }
+  }
+
+  const counts = countTestCases(metrics.tests);
+  for (const [status, count] of Object.entries(counts)) {
+    caseCounter.add(count, { ...baseAttributes, 'test.status': status });
+  }
+  core.info(`Recorded ${counts.passed} passed, ${counts.failed} failed and ${counts.skipped} skipped test(s)`);
+}
+
+/**
+ * Records line, branch and function coverage from the job's coverage reports, overall and per top-level directory
+ * Kinds a report has no data for (e.g. branches in a line-only report) are not recorded
+ * @param {Object} meter - OpenTelemetry meter
+ * @param {Object} metrics - Collected metrics
+ * @param {string} metricPrefix - Metric name prefix
+ * @param {Object} baseAttributes - Base attributes for all metrics (includes custom attributes)
+ */
+function recordCoverageMetrics(meter, metrics, metricPrefix, baseAttributes) {
+  if (!metrics.coverage) {
+    return;
+  }
+
+  const scopes = [
+    [{ 'coverage.scope': 'total' }, metrics.coverage.total],
+    ...Object.entries(metrics.coverage.directories).map(([directory, counts]) => [
+      { 'coverage.scope': 'directory', 'coverage.directory': directory },
+      counts,
+    ]),
+  ];
+
+  for (const kind of COVERAGE_KINDS) {
+    const coverageGauge = meter.createGauge(`${metricPrefix}.coverage.${kind}`, {
+      description: `Percentage of ${kind} covered by tests`,
+      unit: '%',
+    });
+    for (const [scopeAttributes, counts] of scopes) {
+      if (counts[kind].found > 0) {
+        coverageGauge.record(counts[kind].hit / counts[kind].found * 100, { ...baseAttributes, ...scopeAttributes });
+      }
+    }
+  }
+
+  const { lines } = metrics.coverage.total;
+  const directoryCount = Object.keys(metrics.coverage.directories).length;
+  if (lines.found > 0) {
+    core.info(`Recorded coverage of ${directoryCount} top-level director${directoryCount === 1 ? 'y' : 'ies'}: ${(lines.hit / lines.found * 100).toFixed(1)}% of lines`);
+  }
+}
+
+/**
+ * Builds the attributes of run-level metrics
+ * Run metrics cover every job, so the attributes of the job recording them are left out
+ * @param {Object} baseAttributes - Base attributes for all metrics
+ * @returns {Object} Base attributes without job.* and runner.* attributes
+ */
+function buildRunAttributes(baseAttributes) {
+  return Object.fromEntries(
+    Object.entries(baseAttributes).filter(([key]) => !key.startsWith('job.') && !key.startsWith('runner.'))
+  );
+}
+
+/**
+ * Records the duration of the run's critical path, computed by the run-summary job
+ * @param {Object} meter - OpenTelemetry meter
+ * @param {Object} metrics - Collected metrics
+ * @param {string} metricPrefix - Metric name prefix
+ * @param {Object} baseAttributes - Base attributes for all metrics
+ */
+function recordCriticalPathMetric(meter, metrics, metricPrefix, baseAttributes) {
+  if (!metrics.criticalPath) {
+    return;
+  }
+
+  const criticalPathHistogram = meter.createHistogram(`${metricPrefix}.run.critical_path_duration`, {
+    description: 'Queue and run time of the longest chain of dependent jobs of workflow runs in milliseconds',
+    unit: 'ms',
+  });
+  criticalPathHistogram.record(metrics.criticalPath.durationMs, buildRunAttributes(baseAttributes));
+  core.info(`Recorded critical path duration: ${metrics.criticalPath.durationMs}ms`);
+}
+
+/**
+ * Records run-level metrics from the run summary (run-summary mode)
+ * @param {Object} meter - OpenTelemetry meter
+ * @param {Object} metrics - Collected metrics
+ * @param {string} metricPrefix - Metric name prefix
+ * @param {Object} baseAttributes - Base attributes for all metrics
+ */
+function recordRunMetrics(meter, metrics, metricPrefix, baseAttributes) {
+  const summary = metrics.runSummary;
+  if (!summary) {
+    return;
+  }
+
+  const runAttributes = buildRunAttributes(baseAttributes);
+
+  const durationHistogram = meter.createHistogram(`${metricPrefix}.run.duration`, {
+    description: 'Wall time of workflow runs, from the first job created to the last job completed, in milliseconds',
+    unit: 'ms',
+  });
+  durationHistogram.record(summary.wallTimeMs, runAttributes);
+
+  const jobTimeHistogram = meter.createHistogram(`${metricPrefix}.run.job_time`, {
+    description: 'Sum of the durations of the jobs of workflow runs in milliseconds',
+    unit: 'ms',
+  });
+  jobTimeHistogram.record(summary.jobTimeMs, runAttributes);
+
+  const parallelismGauge = meter.createGauge(`${metricPrefix}.run.parallelism`, {
+    description: 'Average number of jobs running at once over the wall time of workflow runs',
+    unit: '1',
+  });
+  parallelismGauge.record(summary.parallelism, runAttributes);
+
+  const jobCounter = meter.createCounter(`${metricPrefix}.run.jobs`, {
+    description: 'Number of jobs of workflow runs by conclusion',
+    unit: '{job}',
+  });
+  for (const [conclusion, count] of Object.entries(summary.conclusions)) {
+    jobCounter.add(count, { ...runAttributes, 'job.conclusion': conclusion });
+  }
+
+  core.info(`Recorded run summary: ${summary.jobCount} jobs, ${summary.wallTimeMs}ms wall time, ${summary.jobTimeMs}ms job time, ${summary.failedJobs} failed`);
+}
+
 /**
  * Records metrics for collected workflow data
  * @param {Object} meter - OpenTelemetry meter
@@ -301,6 +696,11 @@ function recordMetrics(meter, metrics, metricPrefix, customAttributes = {}) {
   recordRepositorySizeMetric(meter, metrics, metricPrefix, baseAttributes);
   recordArtifactMetrics(meter, metrics, metricPrefix, baseAttributes);
   recordStepMetrics(meter, metrics, metricPrefix, baseAttributes);
+  recordAnnotationMetrics(meter, metrics, metricPrefix, baseAttributes);
+  recordTestMetrics(meter, metrics, metricPrefix, baseAttributes);
+  recordCoverageMetrics(meter, metrics, metricPrefix, baseAttributes);
+  recordRunMetrics(meter, metrics, metricPrefix, baseAttributes);
+  recordCriticalPathMetric(meter, metrics, metricPrefix, baseAttributes);
 }
 
 /**
@@ -314,6 +714,11 @@ async function shutdown(meterProvider) {
     // forceFlush() triggers an immediate export and waits for completion
     core.info('Triggering metric export...');
     await meterProvider.forceFlush();
+
+    const failures = metricExportFailures.get(meterProvider) || [];
+    if (failures.length > 0) {
+      throw new Error(`Metrics export failed: ${failures.join('; ')}`);
+    }
     core.info('Metrics exported successfully');
 
     // Shutdown the provider
@@ -328,24 +733,18 @@ async function shutdown(meterProvider) {
 }
 
 /**
- * Creates and configures an OpenTelemetry TracerProvider with GCP exporter
+ * Creates the Google Cloud Trace span exporter
  * @param {Object} config - Configuration object
- * @returns {Object} TracerProvider and tracer
+ * @returns {Object} Cloud Trace span exporter
  */
-function createTracerProvider(config) {
-  core.info('Initializing OpenTelemetry TracerProvider with Google Cloud Trace exporter');
-
-  const resource = resourceFromAttributes({
-    [ATTR_SERVICE_NAME]: config.serviceName,
-    [ATTR_SERVICE_NAMESPACE]: config.serviceNamespace,
-    [ATTR_SERVICE_INSTANCE_ID]: process.env.GITHUB_RUN_ID || 'unknown',
-  });
-
+function createGCPSpanExporter(config) {
   const exporterOptions = {
     projectId: config.gcpProjectId,
   };
 
-  if (config.gcpServiceAccountKey) {
+  if (config.gcpCredentials) {
+    exporterOptions.credentials = config.gcpCredentials;
+  } else if (config.gcpServiceAccountKey) {
     try {
       const credentials = JSON.parse(config.gcpServiceAccountKey);
       exporterOptions.credentials = credentials;
@@ -355,15 +754,100 @@ function createTracerProvider(config) {
     }
   }
 
-  const exporter = new TraceExporter(exporterOptions);
+  return new TraceExporter(exporterOptions);
+}
+
+/**
+ * Creates the span exporter for the configured backend
+ * @param {Object} config - Configuration object
+ * @returns {Object} Span exporter
+ */
+function createSpanExporter(config) {
+  switch (config.exporter) {
+    case 'otlp-http':
+      core.info(`Exporting traces via OTLP/HTTP (${config.otlpEncoding}) to ${config.otlpEndpoint}`);
+      return createOTLPHttpSpanExporter(config);
+    case 'otlp-grpc':
+      core.info(`Exporting traces via OTLP/gRPC (${config.otlpInsecure ? 'insecure' : 'TLS'}) to ${config.otlpEndpoint}`);
+      return new OTLPGrpcTraceExporter(buildOTLPGrpcOptions(config));
+    case 'file':
+      core.info(`Writing traces as OTLP/JSON lines to ${config.filePath}`);
+      return new FileSpanExporter(config.filePath);
+    case 'zipkin':
+      // Span attributes become Zipkin tags; a failed span's status message becomes the `error` tag
+      core.info(`Exporting traces as Zipkin v2 JSON to ${config.zipkinEndpoint}`);
+      return new ZipkinExporter({ url: config.zipkinEndpoint, headers: config.zipkinHeaders });
+    default:
+      core.info('Exporting traces to Google Cloud Trace');
+      return createGCPSpanExporter(config);
+  }
+}
+
+/**
+ * ID generator that hands out reserved IDs before falling back to random ones
+ * The tracer asks for a span ID for every span and a trace ID only for root spans, so reserving
+ * IDs right before starting a span gives that span the IDs every job of the run agrees on
+ */
+class PresetIdGenerator {
+  constructor() {
+    this.reserved = [];
+    this.traceId = null;
+    this.random = new RandomIdGenerator();
+  }
+
+  /**
+   * Reserves IDs for the next span started
+   * @param {string} spanId - Span ID
+   * @param {string} traceId - Trace ID, used only if the span is a root span
+   */
+  reserve(spanId, traceId = null) {
+    this.reserved.push({ spanId, traceId });
+  }
+
+  generateSpanId() {
+    const next = this.reserved.shift();
+    this.traceId = next?.traceId || null;
+    return next ? next.spanId : this.random.generateSpanId();
+  }
+
+  generateTraceId() {
+    const traceId = this.traceId || this.random.generateTraceId();
+    this.traceId = null;
+    return traceId;
+  }
+}
+
+/**
+ * ID generators of the tracers created by createTracerProvider
+ */
+const tracerIdGenerators = new WeakMap();
+
+/**
+ * Creates and configures an OpenTelemetry TracerProvider with the configured exporter
+ * @param {Object} config - Configuration object
+ * @returns {Object} TracerProvider and tracer
+ */
+function createTracerProvider(config) {
+  core.info(`Initializing OpenTelemetry TracerProvider with ${config.exporter || 'gcp'} exporter`);
+
+  const resource = resourceFromAttributes({
+    [ATTR_SERVICE_NAME]: config.serviceName,
+    [ATTR_SERVICE_NAMESPACE]: config.serviceNamespace,
+    [ATTR_SERVICE_INSTANCE_ID]: process.env.GITHUB_RUN_ID || 'unknown',
+  });
+
+  const exporter = createSpanExporter(config);
   const spanProcessor = new BatchSpanProcessor(exporter);
 
+  const idGenerator = new PresetIdGenerator();
   const tracerProvider = new BasicTracerProvider({
     resource,
     spanProcessors: [spanProcessor],
+    idGenerator,
   });
 
   const tracer = tracerProvider.getTracer(config.metricPrefix);
+  tracerIdGenerators.set(tracer, idGenerator);
 
   return { tracerProvider, tracer };
 }
@@ -423,14 +907,78 @@ function buildTraceBaseAttributes(metrics, customAttributes = {}) {
   return baseAttributes;
 }
 
+/**
+ * Builds span links from the job span to the spans of the jobs it needs
+ * @param {Object} metrics - Collected metrics
+ * @returns {Array<Object>} Span links
+ */
+function buildNeedsLinks(metrics) {
+  return (metrics.job.needs || []).map(upstream => {
+    const attempt = upstream.attempt || metrics.run.attempt;
+    const { traceId, traceFlags } = workflowRunSpanContext(metrics.run.id, attempt);
+    return {
+      context: { traceId, spanId: jobSpanId(metrics.run.id, attempt, upstream.id), traceFlags, isRemote: true },
+      attributes: {
+        'link.type': 'needs',
+        'job.name': upstream.name,
+        'job.id': upstream.id.toString(),
+      },
+    };
+  });
+}
+
+/**
+ * Builds a span link to the same job's span in the previous attempt of a re-run
+ * @param {Object} metrics - Collected metrics
+ * @returns {Array<Object>} Span links
+ */
+function buildPreviousAttemptLinks(metrics) {
+  const previous = metrics.job.previousAttempt;
+  if (!previous) {
+    return [];
+  }
+  const { traceId, traceFlags } = workflowRunSpanContext(metrics.run.id, previous.attempt);
+  return [{
+    context: { traceId, spanId: jobSpanId(metrics.run.id, previous.attempt, previous.id), traceFlags, isRemote: true },
+    attributes: {
+      'link.type': 'previous_attempt',
+      'job.name': previous.name,
+      'job.id': previous.id.toString(),
+      'run.attempt': previous.attempt,
+    },
+  }];
+}
+
+/**
+ * Builds a span link to the workflow-run span of the run that triggered this one (workflow_run events)
+ * @param {Object} metrics - Collected metrics
+ * @returns {Array<Object>} Span links
+ */
+function buildTriggerLinks(metrics) {
+  const trigger = metrics.run.triggeredBy;
+  if (!trigger) {
+    return [];
+  }
+  const attributes = {
+    'link.type': 'triggered_by',
+    'run.id': trigger.id.toString(),
+    'run.attempt': trigger.attempt,
+  };
+  if (trigger.workflow) {
+    attributes['workflow.name'] = trigger.workflow;
+  }
+  return [{ context: workflowRunSpanContext(trigger.id, trigger.attempt), attributes }];
+}
+
 /**
  * Creates a job span with appropriate attributes
  * @param {Object} tracer - OpenTelemetry tracer
  * @param {Object} metrics - Collected metrics
  * @param {Object} baseAttributes - Base attributes for the span (includes custom attributes)
+ * @param {Object} runContext - Context holding the workflow-run span as parent
  * @returns {Object} Job span
  */
-function createJobSpan(tracer, metrics, baseAttributes) {
+function createJobSpan(tracer, metrics, baseAttributes, runContext) {
   return tracer.startSpan(`Job: ${metrics.job.name}`, {
     startTime: metrics.job.startedAt,
     attributes: {
@@ -440,7 +988,189 @@ function createJobSpan(tracer, metrics, baseAttributes) {
       'job.status': metrics.job.status,
       'job.conclusion': metrics.job.conclusion || 'unknown',
     },
+    links: [...buildNeedsLinks(metrics), ...buildPreviousAttemptLinks(metrics), ...buildTriggerLinks(metrics)],
+  }, runContext);
+}
+
+/**
+ * Creates the span of the time the job waited for a runner, just before the job span
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} baseAttributes - Base attributes for the span (includes custom attributes)
+ * @param {Object} runContext - Workflow-run context the job span is a child of
+ * @returns {Object|null} Queued span, or null if the job's creation time is unknown
+ */
+function createQueuedSpan(tracer, metrics, baseAttributes, runContext) {
+  if (!metrics.job.createdAt || metrics.job.queueTimeMs === null || metrics.job.queueTimeMs === undefined) {
+    return null;
+  }
+
+  const queuedSpan = tracer.startSpan(`Queued: ${metrics.job.name}`, {
+    startTime: metrics.job.createdAt,
+    attributes: {
+      ...baseAttributes,
+      ...runnerLabelsAttribute(metrics),
+      'job.name': metrics.job.name,
+      'job.id': metrics.job.id.toString(),
+      'job.queue_time_ms': metrics.job.queueTimeMs,
+    },
+  }, runContext);
+  queuedSpan.end(new Date(metrics.job.createdAt.getTime() + metrics.job.queueTimeMs));
+  return queuedSpan;
+}
+
+/**
+ * Creates the workflow-run root span covering every job of the run
+ * Only the last job of the run records it, once the other jobs' timings are known
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} baseAttributes - Base attributes for the span (includes custom attributes)
+ * @returns {Object} Workflow-run span
+ */
+function createWorkflowRunSpan(tracer, metrics, baseAttributes) {
+  const otherJobs = metrics.run.jobs.filter(job => job.id !== metrics.job.id);
+  const startTimes = [metrics.job.createdAt || metrics.job.startedAt, ...otherJobs.map(job => job.createdAt || job.startedAt)].filter(Boolean);
+  const endTimes = [metrics.job.completedAt, ...otherJobs.map(job => job.completedAt)].filter(Boolean);
+  const failed = metrics.job.conclusion === 'failure' || otherJobs.some(job => job.conclusion === 'failure');
+
+  // A re-run links to the previous attempt's run span, and a chained workflow to the run that triggered it
+  const links = buildTriggerLinks(metrics);
+  if (Number(metrics.run.attempt) > 1) {
+    const previousAttempt = String(Number(metrics.run.attempt) - 1);
+    links.push({
+      context: workflowRunSpanContext(metrics.run.id, previousAttempt),
+      attributes: { 'link.type': 'previous_attempt', 'run.attempt': previousAttempt },
+    });
+  }
+
+  const runSpan = tracer.startSpan(`Workflow: ${metrics.workflow}`, {
+    root: true,
+    startTime: new Date(Math.min(...startTimes)),
+    links,
+    attributes: {
+      ...baseAttributes,
+      'workflow.job_count': otherJobs.length + 1,
+      'workflow.conclusion': failed ? 'failure' : 'success',
+    },
   });
+
+  if (metrics.criticalPath) {
+    const names = new Map(metrics.criticalPath.jobs.map(job => [job.id, job.name]));
+    runSpan.setAttributes({
+      'workflow.critical_path': metrics.criticalPath.path.map(id => names.get(id)).join(' > '),
+      'workflow.critical_path_duration_ms': metrics.criticalPath.durationMs,
+    });
+  }
+  if (metrics.runSummary) {
+    runSpan.setAttributes({
+      'workflow.job_time_ms': metrics.runSummary.jobTimeMs,
+      'workflow.parallelism': metrics.runSummary.parallelism,
+      'workflow.failed_jobs': metrics.runSummary.failedJobs,
+    });
+  }
+
+  if (failed) {
+    runSpan.setStatus({ code: 2, message: 'Workflow run failed' });
+  }
+  runSpan.end(new Date(Math.max(...endTimes)));
+
+  return runSpan;
+}
+
+/**
+ * Builds the attributes placing a job and its steps on the run's critical path
+ * @param {Object|null} criticalPath - Critical path of the run, if computed
+ * @param {number} jobId - ID of the job
+ * @returns {Object} Whether the job is on the path and its slack, or nothing if the path is unknown
+ */
+function buildCriticalPathAttributes(criticalPath, jobId) {
+  const job = criticalPath?.jobs.find(candidate => candidate.id === jobId);
+  return job ? { 'critical_path.on_path': job.critical, 'critical_path.slack_ms': job.slackMs } : {};
+}
+
+/**
+ * Ends the job span at the job's completion, marking failed jobs as errors
+ * A job still running has no completion time and its span is left open
+ * @param {Object} jobSpan - Job span
+ * @param {Object} metrics - Collected metrics
+ */
+function endJobSpan(jobSpan, metrics) {
+  if (metrics.job.completedAt) {
+    if (metrics.job.conclusion === 'failure') {
+      jobSpan.setStatus({ code: 2, message: 'Job failed' });
+    }
+    jobSpan.end(metrics.job.completedAt);
+  }
+}
+
+/**
+ * Builds the metrics of another job of the run, in the shape the job and step spans are created from
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} runJob - Job summary from run.jobs
+ * @returns {Object} Metrics with the other job's job, steps and runner
+ */
+function buildRunJobMetrics(metrics, runJob) {
+  return {
+    ...metrics,
+    job: {
+      name: runJob.name,
+      id: runJob.id,
+      status: runJob.status,
+      conclusion: runJob.conclusion,
+      createdAt: runJob.createdAt,
+      startedAt: runJob.startedAt,
+      completedAt: runJob.completedAt,
+      durationMs: runJob.completedAt - runJob.startedAt,
+      queueTimeMs: runJob.createdAt ? Math.max(0, runJob.startedAt - runJob.createdAt) : null,
+      key: runJob.key,
+      needs: runJob.needs,
+      previousAttempt: null,
+    },
+    steps: runJob.steps,
+    annotations: [],
+    runner: { os: 'unknown', arch: 'unknown', name: runJob.runnerName, labels: runJob.labels },
+  };
+}
+
+/**
+ * Creates queued, job and step spans for the other jobs of the run (run-summary mode)
+ * Span IDs derive from the run and job IDs like those of instrumented jobs, so links between jobs resolve.
+ * Jobs that run this action themselves are skipped, since they export the same spans
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {Object} metrics - Collected metrics, with every job of the run in run.jobs
+ * @param {Object} customAttributes - Custom user-provided attributes
+ * @param {Object} runContext - Workflow-run context the job spans are children of
+ * @param {Object} idGenerator - ID generator of the tracer
+ * @returns {Map<number, Object>} Job spans keyed by job ID
+ */
+function createRunJobSpans(tracer, metrics, customAttributes, runContext, idGenerator = null) {
+  const jobSpans = new Map();
+
+  for (const runJob of metrics.run.jobs) {
+    if (runJob.id === metrics.job.id) {
+      continue;
+    }
+    if (runJob.instrumented) {
+      core.info(`ℹ️  Job "${runJob.name}" runs this action and records its own spans; it is skipped here`);
+      continue;
+    }
+    if (!runJob.startedAt || !runJob.completedAt) {
+      core.info(`ℹ️  Job "${runJob.name}" has not finished; no span is recorded for it`);
+      continue;
+    }
+
+    const jobMetrics = buildRunJobMetrics(metrics, runJob);
+    const baseAttributes = buildTraceBaseAttributes(jobMetrics, customAttributes);
+    createQueuedSpan(tracer, jobMetrics, baseAttributes, runContext);
+    idGenerator?.reserve(jobSpanId(metrics.run.id, metrics.run.attempt, runJob.id));
+    const jobAttributes = { ...baseAttributes, ...buildCriticalPathAttributes(metrics.criticalPath, runJob.id) };
+    const jobSpan = createJobSpan(tracer, jobMetrics, jobAttributes, runContext);
+    createStepSpans(tracer, jobMetrics, jobAttributes, trace.setSpan(context.active(), jobSpan), idGenerator);
+    endJobSpan(jobSpan, jobMetrics);
+    jobSpans.set(runJob.id, jobSpan);
+  }
+
+  return jobSpans;
 }
 
 /**
@@ -449,10 +1179,16 @@ function createJobSpan(tracer, metrics, baseAttributes) {
  * @param {Object} metrics - Collected metrics
  * @param {Object} baseAttributes - Base attributes for spans (includes custom attributes)
  * @param {Object} jobContext - Job context for creating child spans
+ * @param {Object} idGenerator - ID generator of the tracer, used to give step spans their derived IDs
+ * @returns {Map<number, Object>} Step spans keyed by step number
  */
-function createStepSpans(tracer, metrics, baseAttributes, jobContext) {
+function createStepSpans(tracer, metrics, baseAttributes, jobContext, idGenerator = null) {
+  const stepSpans = new Map();
+
   for (const step of metrics.steps) {
     if (step.startedAt && step.completedAt) {
+      // Derived from the job ID and step number, matching the traceparents handed to running steps
+      idGenerator?.reserve(stepSpanId(metrics.run.id, metrics.run.attempt, metrics.job.id, step.number));
       const stepSpan = tracer.startSpan(
         `Step: ${step.name}`,
         {
@@ -475,41 +1211,193 @@ function createStepSpans(tracer, metrics, baseAttributes, jobContext) {
         stepSpan.recordException(new Error(`Step "${step.name}" failed`));
       }
 
+      addAnnotationEvents(stepSpan, (metrics.annotations || []).filter(a => a.stepNumber === step.number), step.completedAt);
+
       stepSpan.end(step.completedAt);
+      stepSpans.set(step.number, stepSpan);
       core.debug(`Created span for step: ${step.name}`);
     }
   }
+
+  return stepSpans;
+}
+
+/**
+ * Creates spans for the `::group::` sections of the job log as children of their step spans
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} baseAttributes - Base attributes for spans (includes custom attributes)
+ * @param {Map<number, Object>} stepSpans - Step spans keyed by step number
+ * @returns {Array<Object>} Group spans
+ */
+function createLogGroupSpans(tracer, metrics, baseAttributes, stepSpans) {
+  const groupSpans = [];
+
+  for (const group of metrics.logGroups || []) {
+    const stepSpan = stepSpans.get(group.stepNumber);
+    if (!stepSpan) {
+      continue;
+    }
+    const step = metrics.steps.find(s => s.number === group.stepNumber);
+    const groupSpan = tracer.startSpan(group.name, {
+      startTime: group.start,
+      attributes: {
+        ...baseAttributes,
+        'job.name': metrics.job.name,
+        'step.name': step.name,
+        'step.number': step.number.toString(),
+        'log.group': group.name,
+      },
+    }, trace.setSpan(context.active(), stepSpan));
+    groupSpan.end(group.end);
+    groupSpans.push(groupSpan);
+  }
+
+  if (groupSpans.length > 0) {
+    core.info(`Recorded ${groupSpans.length} span(s) from log groups`);
+  }
+  return groupSpans;
+}
+
+/**
+ * Creates spans for the suites and cases of the job's test reports as children of the job span
+ * Failures become `test.failure` events on their case span
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} baseAttributes - Base attributes for spans (includes custom attributes)
+ * @param {Object} jobContext - Job context for creating child spans
+ * @returns {number} Number of test case spans recorded
+ */
+function createTestSpans(tracer, metrics, baseAttributes, jobContext) {
+  let caseSpanCount = 0;
+  let omittedCount = 0;
+
+  for (const suite of metrics.tests || []) {
+    const suiteAttributes = {
+      ...baseAttributes,
+      'job.name': metrics.job.name,
+      'test.suite': suite.name,
+    };
+    const failed = suite.cases.some(testCase => testCase.status === 'failed');
+    const suiteSpan = tracer.startSpan(`Test suite: ${suite.name}`, {
+      startTime: suite.start,
+      attributes: { ...suiteAttributes, 'test.file': suite.file, 'test.format': suite.format, 'test.count': suite.cases.length },
+    }, jobContext);
+    const suiteContext = trace.setSpan(context.active(), suiteSpan);
+
+    for (const testCase of suite.cases) {
+      if (testCase.status !== 'failed' && caseSpanCount >= MAX_TEST_CASE_SPANS) {
+        omittedCount++;
+        continue;
+      }
+      const caseAttributes = { ...suiteAttributes, 'test.name': testCase.name, 'test.status': testCase.status };
+      if (testCase.classname) {
+        caseAttributes['test.classname'] = testCase.classname;
+      }
+      const caseSpan = tracer.startSpan(testCase.name, { startTime: testCase.start, attributes: caseAttributes }, suiteContext);
+      for (const failure of testCase.failures) {
+        const eventAttributes = { 'test.failure.message': failure.message };
+        if (failure.type) {
+          eventAttributes['test.failure.type'] = failure.type;
+        }
+        if (failure.details) {
+          eventAttributes['test.failure.details'] = failure.details;
+        }
+        caseSpan.addEvent('test.failure', eventAttributes, testCase.end);
+      }
+      if (testCase.status === 'failed') {
+        caseSpan.setStatus({ code: 2, message: testCase.failures[0].message });
+      }
+      caseSpan.end(testCase.end);
+      caseSpanCount++;
+    }
+
+    if (failed) {
+      suiteSpan.setStatus({ code: 2, message: 'Test suite failed' });
+    }
+    suiteSpan.end(suite.end);
+  }
+
+  if (omittedCount > 0) {
+    core.info(`ℹ️  Recorded spans for ${caseSpanCount} test case(s); ${omittedCount} passing or skipped case(s) over the limit of ${MAX_TEST_CASE_SPANS} were left out`);
+  }
+  return caseSpanCount;
 }
 
 /**
  * Records traces for collected workflow data
+ * Job spans are children of a workflow-run span whose IDs derive from the run ID and attempt,
+ * so every instrumented job of a run lands in one trace
  * @param {Object} tracer - OpenTelemetry tracer
  * @param {Object} metrics - Collected metrics from GitHub
  * @param {Object} customAttributes - Custom user-provided attributes
- * @returns {Object} Root span for the job
+ * @param {Object} jobTraceContext - Job span IDs saved by the main step, if any
+ * @returns {Object} Job span, step spans keyed by step number, other jobs' spans keyed by job ID, and the workflow-run and queued spans if recorded
  */
-function recordTraces(tracer, metrics, customAttributes = {}) {
+function recordTraces(tracer, metrics, customAttributes = {}, jobTraceContext = null) {
   core.info('Recording traces to OpenTelemetry');
 
   const baseAttributes = buildTraceBaseAttributes(metrics, customAttributes);
-  const jobSpan = createJobSpan(tracer, metrics, baseAttributes);
+  const runSpanContext = workflowRunSpanContext(metrics.run.id, metrics.run.attempt);
+  const idGenerator = tracerIdGenerators.get(tracer);
+
+  const runContext = trace.setSpanContext(context.active(), runSpanContext);
+  const queuedSpan = createQueuedSpan(tracer, metrics, baseAttributes, runContext);
+
+  // Reuse the main step's job span ID, so spans created from TRACEPARENT stay under the job span
+  idGenerator?.reserve(jobTraceContext?.spanId || jobSpanId(metrics.run.id, metrics.run.attempt, metrics.job.id));
+  const jobAttributes = { ...baseAttributes, ...buildCriticalPathAttributes(metrics.criticalPath, metrics.job.id) };
+  const jobSpan = createJobSpan(tracer, metrics, jobAttributes, runContext);
 
   // Set job span as active in context for creating child spans
   const jobContext = trace.setSpan(context.active(), jobSpan);
 
   // Create child spans for each step
-  createStepSpans(tracer, metrics, baseAttributes, jobContext);
+  const stepSpans = createStepSpans(tracer, metrics, jobAttributes, jobContext, idGenerator);
+  createLogGroupSpans(tracer, metrics, baseAttributes, stepSpans);
+
+  // Spans steps dropped into OTEL_SPANS_DIR, nested under the step they ran in
+  if (metrics.userSpans?.length > 0) {
+    const stepParents = metrics.steps
+      .filter(step => stepSpans.has(step.number))
+      .map(step => ({
+        spanId: stepSpans.get(step.number).spanContext().spanId,
+        start: step.startedAt,
+        end: step.completedAt,
+        context: trace.setSpan(context.active(), stepSpans.get(step.number)),
+      }));
+    createUserSpans(tracer, metrics.userSpans, jobContext, { ...baseAttributes, 'job.name': metrics.job.name }, idGenerator, stepParents);
+    core.info(`Recorded ${metrics.userSpans.length} span(s) from ${SPANS_DIR_ENV}`);
+  }
 
-  // End the job span
-  if (metrics.job.completedAt) {
-    if (metrics.job.conclusion === 'failure') {
-      jobSpan.setStatus({ code: 2, message: 'Job failed' });
-    }
-    jobSpan.end(metrics.job.completedAt);
+  // Suites and cases of the test reports, under the job span
+  if (metrics.tests?.length > 0) {
+    const caseSpanCount = createTestSpans(tracer, metrics, baseAttributes, jobContext);
+    core.info(`Recorded spans for ${metrics.tests.length} test suite(s) and ${caseSpanCount} test case(s)`);
+  }
+
+  // Annotations not placed on a step span go on the job span
+  const jobAnnotations = (metrics.annotations || []).filter(a => !stepSpans.has(a.stepNumber));
+  addAnnotationEvents(jobSpan, jobAnnotations, metrics.job.completedAt);
+
+  endJobSpan(jobSpan, metrics);
+
+  // In run-summary mode this job records the spans of every other job of the run
+  let runJobSpans = new Map();
+  if (metrics.runSummary) {
+    runJobSpans = createRunJobSpans(tracer, metrics, customAttributes, runContext, idGenerator);
+    core.info(`Recorded spans for ${runJobSpans.size} other job(s) of the run`);
+  }
+
+  let runSpan = null;
+  if ((metrics.run.lastJob || metrics.runSummary) && idGenerator) {
+    idGenerator.reserve(runSpanContext.spanId, runSpanContext.traceId);
+    runSpan = createWorkflowRunSpan(tracer, metrics, baseAttributes);
+    core.info(`Recorded workflow-run span for ${metrics.run.jobs.length} jobs (${metrics.runSummary ? 'run summary' : 'last job in run'})`);
   }
 
   core.info(`Recorded traces for job and ${metrics.steps.length} steps`);
-  return jobSpan;
+  return { jobSpan, stepSpans, runSpan, queuedSpan, runJobSpans };
 }
 
 /**
@@ -534,6 +1422,238 @@ async function shutdownTracer(tracerProvider) {
   }
 }
 
+/**
+ * Export failures of the logger providers created by createLoggerProvider
+ */
+const logExportFailures = new WeakMap();
+
+/**
+ * Creates the log record exporter for the configured backend
+ * @param {Object} config - Configuration object
+ * @returns {Object} Log record exporter
+ */
+function createLogRecordExporter(config) {
+  switch (config.exporter) {
+    case 'otlp-http':
+      core.info(`Exporting logs via OTLP/HTTP (${config.otlpEncoding}) to ${config.otlpEndpoint}`);
+      return createOTLPHttpLogExporter(config);
+    case 'otlp-grpc':
+      core.info(`Exporting logs via OTLP/gRPC (${config.otlpInsecure ? 'insecure' : 'TLS'}) to ${config.otlpEndpoint}`);
+      return new OTLPGrpcLogExporter(buildOTLPGrpcOptions(config));
+    case 'file':
+      core.info(`Writing logs as OTLP/JSON lines to ${config.filePath}`);
+      return new FileLogExporter(config.filePath);
+    default:
+      throw new Error(`Exporter "${config.exporter}" does not support logs`);
+  }
+}
+
+/**
+ * Creates and configures an OpenTelemetry LoggerProvider with the configured exporter
+ * @param {Object} config - Configuration object
+ * @returns {Object} LoggerProvider and logger
+ */
+function createLoggerProvider(config) {
+  core.info(`Initializing OpenTelemetry LoggerProvider with ${config.exporter} exporter`);
+
+  const resource = resourceFromAttributes({
+    [ATTR_SERVICE_NAME]: config.serviceName,
+    [ATTR_SERVICE_NAMESPACE]: config.serviceNamespace,
+    [ATTR_SERVICE_INSTANCE_ID]: process.env.GITHUB_RUN_ID || 'unknown',
+  });
+
+  const exporter = createLogRecordExporter(config);
+  const exportFailures = [];
+  trackExportFailures(exporter, exportFailures);
+
+  // The queue holds every record of the job log, so none are dropped before the flush
+  const loggerProvider = new LoggerProvider({
+    resource,
+    processors: [new BatchLogRecordProcessor(exporter, { maxQueueSize: Math.max(2048, config.jobLogMaxLines || 0) })],
+  });
+  logExportFailures.set(loggerProvider, exportFailures);
+
+  return { loggerProvider, logger: loggerProvider.getLogger(config.metricPrefix) };
+}
+
+/**
+ * Emits the job log lines as log records correlated with the step spans that printed them
+ * @param {Object} logger - OpenTelemetry logger
+ * @param {Object} metrics - Collected metrics with logRecords
+ * @param {Object} spans - Spans from recordTraces (job span and step spans), if traces were recorded
+ */
+function recordLogs(logger, metrics, spans = null) {
+  const steps = new Map(metrics.steps.map(step => [step.number, step]));
+
+  for (const record of metrics.logRecords) {
+    const step = steps.get(record.stepNumber);
+    const span = spans?.stepSpans.get(record.stepNumber) || spans?.jobSpan;
+    const attributes = {
+      'job.name': metrics.job.name,
+      'run.id': metrics.run.id.toString(),
+    };
+    if (step) {
+      attributes['step.name'] = step.name;
+      attributes['step.number'] = step.number.toString();
+    }
+    if (record.marker) {
+      attributes['log.marker'] = record.marker;
+    }
+
+    logger.emit({
+      timestamp: record.time,
+      severityNumber: SeverityNumber[record.severity],
+      severityText: record.severity,
+      body: record.body,
+      attributes,
+      context: span ? trace.setSpan(context.active(), span) : context.active(),
+    });
+  }
+
+  core.info(`Recorded ${metrics.logRecords.length} job log line(s)`);
+}
+
+/**
+ * Exports log records and shuts down the logger provider
+ * @param {Object} loggerProvider - LoggerProvider instance
+ * @returns {Promise<void>}
+ */
+async function shutdownLogger(loggerProvider) {
+  core.info('Exporting logs and shutting down LoggerProvider');
+  await loggerProvider.forceFlush();
+
+  const failures = logExportFailures.get(loggerProvider) || [];
+  if (failures.length > 0) {
+    throw new Error(`Logs export failed: ${failures.join('; ')}`);
+  }
+  core.info('Logs exported successfully');
+
+  await loggerProvider.shutdown();
+}
+
+/**
+ * Records and exports metrics and traces to a single backend
+ * Only the signals the backend supports are recorded; both providers are always flushed,
+ * so a failure in one signal does not drop the other
+ * @param {Object} config - Configuration object merged with the backend's settings
+ * @param {Object} metrics - Collected metrics from GitHub
+ * @returns {Promise<void>}
+ */
+async function exportToBackend(config, metrics) {
+  let meterProvider;
+  let tracerProvider;
+  let spans;
+  const errors = [];
+
+  const signals = BACKEND_SIGNALS[config.exporter || 'gcp'];
+
+  try {
+    if (signals.includes('metrics')) {
+      // The default Pushgateway group ends with the job name, so no two jobs of a workflow push to the same group
+      const metricsConfig = config.prometheusGroupByJob
+        ? { ...config, prometheusGrouping: { ...config.prometheusGrouping, github_job: metrics.job.name } }
+        : config;
+      let meter;
+      ({ meterProvider, meter } = createMeterProvider(metricsConfig));
+      recordMetrics(meter, metrics, config.metricPrefix, config.customAttributes);
+    }
+
+    if (signals.includes('traces')) {
+      let tracer;
+      ({ tracerProvider, tracer } = createTracerProvider(config));
+      spans = recordTraces(tracer, metrics, config.customAttributes, config.jobTraceContext);
+    }
+  } catch (error) {
+    errors.push(error?.message || JSON.stringify(error));
+  }
+
+  if (meterProvider) {
+    try {
+      await shutdown(meterProvider);
+    } catch (error) {
+      errors.push(`metrics export: ${error?.message || JSON.stringify(error)}`);
+    }
+  }
+
+  if (tracerProvider) {
+    try {
+      await shutdownTracer(tracerProvider);
+    } catch (error) {
+      errors.push(`trace export: ${error?.message || JSON.stringify(error)}`);
+    }
+  }
+
+  // Job log lines carry the IDs of the step spans recorded above
+  if (signals.includes('logs') && metrics.logRecords?.length > 0) {
+    try {
+      const { loggerProvider, logger } = createLoggerProvider(config);
+      recordLogs(logger, metrics, spans);
+      await shutdownLogger(loggerProvider);
+    } catch (error) {
+      errors.push(`job log export: ${error?.message || JSON.stringify(error)}`);
+    }
+  }
+
+  // Log entries reference the exported spans, so they are written after the traces
+  if (config.exporter === 'gcp' && config.gcpLogging && spans) {
+    try {
+      await exportLogs(config, metrics, spans);
+    } catch (error) {
+      errors.push(`log export: ${error?.message || JSON.stringify(error)}`);
+    }
+  }
+
+  // Upload whatever reached the file, even after a partial failure, so it can be inspected
+  if (config.exporter === 'file' && config.fileUploadArtifact && fs.existsSync(config.filePath)) {
+    try {
+      await uploadTelemetryArtifact(config.filePath, config.fileArtifactName || `otel-telemetry-${metrics.job.id}`);
+    } catch (error) {
+      errors.push(`artifact upload: ${error?.message || JSON.stringify(error)}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+}
+
+/**
+ * Exports metrics and traces to every configured backend
+ * Each backend is isolated: a failure is recorded in its result and the remaining backends still run
+ * @param {Object} config - Configuration object with backends
+ * @param {Object} metrics - Collected metrics from GitHub
+ * @returns {Promise<Array<Object>>} Per-backend results (name, exporter, failOnError, success, error)
+ */
+async function exportToBackends(config, metrics) {
+  const results = [];
+
+  for (const backend of config.backends) {
+    core.info('');
+    core.info(`Exporting to backend "${backend.name}" (${backend.exporter})`);
+
+    const result = {
+      name: backend.name,
+      exporter: backend.exporter,
+      failOnError: backend.failOnError,
+      success: true,
+      error: null,
+    };
+
+    try {
+      await exportToBackend({ ...config, ...backend }, metrics);
+      core.info(`✓ Backend "${backend.name}" exported successfully`);
+    } catch (error) {
+      result.success = false;
+      result.error = error?.message || JSON.stringify(error);
+      core.error(`Backend "${backend.name}" export failed: ${result.error}`);
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
 module.exports = {
   createMeterProvider,
   recordMetrics,
@@ -541,4 +1661,9 @@ module.exports = {
   createTracerProvider,
   recordTraces,
   shutdownTracer,
+  createLoggerProvider,
+  recordLogs,
+  shutdownLogger,
+  exportToBackend,
+  exportToBackends,
 };
@@ -0,0 +1,133 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const { DefaultArtifactClient } = require('@actions/artifact');
+const { ExportResultCode } = require('@opentelemetry/core');
+const { JsonLogsSerializer, JsonMetricsSerializer, JsonTraceSerializer } = require('@opentelemetry/otlp-transformer');
+
+/**
+ * Appends one serialized OTLP request to the telemetry file as a single JSON line
+ * Each line is a complete ExportTraceServiceRequest, ExportMetricsServiceRequest or ExportLogsServiceRequest,
+ * the format read by the OpenTelemetry Collector's otlpjsonfile receiver
+ * @param {string} filePath - Absolute path of the telemetry file
+ * @param {Uint8Array} payload - Serialized OTLP/JSON request
+ */
+function appendOTLPLine(filePath, payload) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, Buffer.concat([Buffer.from(payload), Buffer.from('\n')]));
+}
+
+/**
+ * Writes an export payload and reports the result to the SDK
+ * @param {string} filePath - Absolute path of the telemetry file
+ * @param {Function} serialize - Produces the OTLP/JSON payload
+ * @param {Function} resultCallback - SDK export result callback
+ */
+function writeExport(filePath, serialize, resultCallback) {
+  try {
+    const payload = serialize();
+    if (!payload) {
+      throw new Error('Failed to serialize OTLP/JSON payload');
+    }
+    appendOTLPLine(filePath, payload);
+    resultCallback({ code: ExportResultCode.SUCCESS });
+  } catch (error) {
+    core.error(`Failed to write telemetry file ${filePath}: ${error.message}`);
+    resultCallback({ code: ExportResultCode.FAILED, error });
+  }
+}
+
+/**
+ * Span exporter that appends OTLP/JSON lines to a local file
+ */
+class FileSpanExporter {
+  /**
+   * @param {string} filePath - Absolute path of the telemetry file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  export(spans, resultCallback) {
+    writeExport(this.filePath, () => JsonTraceSerializer.serializeRequest(spans), resultCallback);
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Metric exporter that appends OTLP/JSON lines to a local file
+ */
+class FileMetricExporter {
+  /**
+   * @param {string} filePath - Absolute path of the telemetry file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  export(resourceMetrics, resultCallback) {
+    writeExport(this.filePath, () => JsonMetricsSerializer.serializeRequest(resourceMetrics), resultCallback);
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Log record exporter that appends OTLP/JSON lines to a local file
+ */
+class FileLogExporter {
+  /**
+   * @param {string} filePath - Absolute path of the telemetry file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  export(logRecords, resultCallback) {
+    writeExport(this.filePath, () => JsonLogsSerializer.serializeRequest(logRecords), resultCallback);
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Uploads the telemetry file as a workflow artifact
+ * @param {string} filePath - Absolute path of the telemetry file
+ * @param {string} artifactName - Artifact name (must be unique within the run)
+ * @param {Object} artifactClient - Artifact client (defaults to the Actions artifact service)
+ * @returns {Promise<Object>} Uploaded artifact id and size
+ */
+async function uploadTelemetryArtifact(filePath, artifactName, artifactClient = new DefaultArtifactClient()) {
+  core.info(`Uploading telemetry file ${filePath} as artifact "${artifactName}"`);
+
+  const { id, size } = await artifactClient.uploadArtifact(artifactName, [filePath], path.dirname(filePath));
+
+  core.info(`✓ Uploaded artifact "${artifactName}" (id: ${id}, ${size} bytes)`);
+  return { id, size };
+}
+
+module.exports = {
+  FileSpanExporter,
+  FileMetricExporter,
+  FileLogExporter,
+  uploadTelemetryArtifact,
+};
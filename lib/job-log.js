@@ -0,0 +1,178 @@
+const core = require('@actions/core');
+
+/**
+ * Timestamp prefix of job log lines (the runner writes 7 fractional digits)
+ */
+const LINE_PATTERN = /^\uFEFF?(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d+))?Z ?(.*)$/;
+
+/**
+ * Leeway for the jobs API's second-precision step start times when placing log lines in steps
+ */
+const STEP_START_LEEWAY_MS = 1000;
+
+/**
+ * Downloads the log of a job
+ * The log of a job that is still running may be partial or not yet available
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @param {number} jobId - Job ID
+ * @returns {Promise<string|null>} Log text, or null if it cannot be downloaded
+ */
+async function fetchJobLog(octokit, context, jobId) {
+  const { owner, repo } = context.repo;
+
+  try {
+    const { data } = await octokit.rest.actions.downloadJobLogsForWorkflowRun({ owner, repo, job_id: jobId });
+    const text = typeof data === 'string' ? data : Buffer.from(data).toString();
+    core.debug(`Downloaded job log: ${text.length} characters`);
+    return text;
+  } catch (error) {
+    core.info('ℹ️  Could not download the job log (needs actions: read); log groups and log lines are skipped');
+    core.debug(`Job log error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Splits a job log into timestamped lines
+ * Lines without a timestamp (continuations of multi-line output) take the previous line's time
+ * @param {string} text - Log text
+ * @returns {Array<Object>} Lines (time, text)
+ */
+function parseJobLog(text) {
+  const lines = [];
+  let time = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const match = raw.match(LINE_PATTERN);
+    if (match) {
+      time = new Date(`${match[1]}.${(match[2] || '0').padEnd(3, '0').slice(0, 3)}Z`);
+      lines.push({ time, text: match[3] });
+    } else if (time && raw !== '') {
+      lines.push({ time, text: raw });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Finds the step that was running at a point in time
+ * @param {Array<Object>} steps - Parsed steps
+ * @param {Date} time - Point in time
+ * @returns {Object|null} Latest step started by then, or null if none had started
+ */
+function findStepAt(steps, time) {
+  let found = null;
+  for (const step of steps) {
+    if (step.startedAt && step.startedAt.getTime() - STEP_START_LEEWAY_MS <= time.getTime()) {
+      if (!found || step.startedAt >= found.startedAt) {
+        found = step;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Finds the `::group::` sections of a job log
+ * The runner opens every `run` step with a group holding the script (`Run ...`); that header is skipped.
+ * A group left open ends at the last line of its step
+ * @param {Array<Object>} lines - Lines from parseJobLog
+ * @param {Array<Object>} steps - Parsed steps
+ * @returns {Array<Object>} Groups (name, start, end, stepNumber)
+ */
+function parseLogGroups(lines, steps) {
+  const groups = [];
+  let open = null;
+  let currentStep = null;
+  let stepLineCount = 0;
+
+  const close = (end) => {
+    if (open) {
+      groups.push({ ...open, end });
+      open = null;
+    }
+  };
+
+  lines.forEach((line, index) => {
+    const step = findStepAt(steps, line.time);
+    if (step !== currentStep) {
+      close(lines[index - 1]?.time || line.time);
+      currentStep = step;
+      stepLineCount = 0;
+    }
+    stepLineCount++;
+
+    if (line.text.startsWith('##[group]')) {
+      close(line.time);
+      const name = line.text.slice('##[group]'.length).trim();
+      const isRunHeader = stepLineCount === 1 && name.startsWith('Run ');
+      if (step && name && !isRunHeader) {
+        open = { name, start: line.time, stepNumber: step.number };
+      }
+    } else if (line.text.startsWith('##[endgroup]')) {
+      close(line.time);
+    }
+  });
+  close(lines[lines.length - 1]?.time);
+
+  return groups;
+}
+
+/**
+ * Severity of log lines by the workflow command marker the runner prints (`##[error]...`)
+ */
+const MARKER_SEVERITIES = {
+  error: 'ERROR',
+  warning: 'WARN',
+  notice: 'INFO',
+  debug: 'DEBUG',
+};
+
+/**
+ * Turns job log lines into log records placed in the steps that printed them
+ * When the log exceeds a limit, the most recent lines are kept, since failures show at the end
+ * @param {Array<Object>} lines - Lines from parseJobLog
+ * @param {Array<Object>} steps - Parsed steps
+ * @param {Object} limits - Export limits
+ * @param {number} limits.maxLines - Most records to keep
+ * @param {number} limits.maxBytes - Most message bytes to keep
+ * @returns {Object} Records (time, body, severity, marker, stepNumber) and the number of lines dropped
+ */
+function buildLogRecords(lines, steps, { maxLines, maxBytes }) {
+  const candidates = [];
+  for (const line of lines) {
+    const match = line.text.match(/^##\[(\w+)\](.*)$/);
+    if (match?.[1] === 'endgroup') {
+      continue;
+    }
+    candidates.push({
+      time: line.time,
+      body: match ? match[2] : line.text,
+      severity: MARKER_SEVERITIES[match?.[1]] || 'INFO',
+      marker: match ? match[1] : null,
+      stepNumber: findStepAt(steps, line.time)?.number ?? null,
+    });
+  }
+
+  const records = [];
+  let bytes = 0;
+  for (let i = candidates.length - 1; i >= 0 && records.length < maxLines; i--) {
+    bytes += Buffer.byteLength(candidates[i].body);
+    if (bytes > maxBytes) {
+      break;
+    }
+    records.push(candidates[i]);
+  }
+
+  return { records: records.reverse(), dropped: candidates.length - records.length };
+}
+
+module.exports = {
+  fetchJobLog,
+  parseJobLog,
+  findStepAt,
+  parseLogGroups,
+  buildLogRecords,
+};
@@ -0,0 +1,224 @@
+const core = require('@actions/core');
+const { GoogleAuth } = require('google-auth-library');
+
+/**
+ * Cloud Logging API base URL
+ */
+const LOGGING_API_ENDPOINT = 'https://logging.googleapis.com';
+
+/**
+ * Maps a GitHub conclusion to a Cloud Logging severity
+ * @param {string} conclusion - Job or step conclusion
+ * @returns {string} LogSeverity name
+ */
+function conclusionSeverity(conclusion) {
+  switch (conclusion) {
+    case 'failure':
+      return 'ERROR';
+    case 'cancelled':
+    case 'timed_out':
+      return 'WARNING';
+    default:
+      return 'INFO';
+  }
+}
+
+/**
+ * Formats a duration for log messages
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} Duration in seconds
+ */
+function formatDuration(durationMs) {
+  return durationMs !== null && durationMs !== undefined ? `${(durationMs / 1000).toFixed(1)}s` : 'unknown duration';
+}
+
+/**
+ * Builds the run-level fields shared by job and step log entries
+ * Only the run's scalar fields are copied: every entry carries them, and Cloud Logging rejects
+ * the whole write when one entry exceeds 256 KB
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} customAttributes - Custom user-provided attributes
+ * @returns {Object} Shared payload fields
+ */
+function buildSharedPayload(metrics, customAttributes) {
+  const serverUrl = process.env.GITHUB_SERVER_URL || 'https://github.com';
+  return {
+    workflow: metrics.workflow,
+    repository: metrics.repository.fullName,
+    run: {
+      id: metrics.run.id,
+      number: metrics.run.number,
+      attempt: metrics.run.attempt,
+      workflow: metrics.workflow,
+      url: `${serverUrl}/${metrics.repository.fullName}/actions/runs/${metrics.run.id}/attempts/${metrics.run.attempt}`,
+    },
+    git: metrics.git,
+    event: metrics.event,
+    runner: metrics.runner,
+    attributes: customAttributes,
+  };
+}
+
+/**
+ * Builds Cloud Logging entries for the job and each step
+ * Each entry carries the trace and span IDs of its span so Logs Explorer links it to Cloud Trace
+ * @param {Object} metrics - Collected metrics
+ * @param {Object} options - Entry options
+ * @param {string} options.projectId - GCP project ID the trace was exported to
+ * @param {string} options.traceId - Trace ID of the job span
+ * @param {string} options.jobSpanId - Span ID of the job span
+ * @param {Object} options.stepSpanIds - Span IDs keyed by step number
+ * @param {Object} options.customAttributes - Custom user-provided attributes
+ * @returns {Array<Object>} LogEntry objects
+ */
+function buildLogEntries(metrics, { projectId, traceId, jobSpanId, stepSpanIds = {}, customAttributes = {} }) {
+  const shared = buildSharedPayload(metrics, customAttributes);
+  const trace = traceId ? `projects/${projectId}/traces/${traceId}` : undefined;
+  const labels = {
+    'github.repository': metrics.repository.fullName,
+    'github.workflow': metrics.workflow,
+    'github.job': metrics.job.name,
+    'github.run_id': String(metrics.run.id),
+    'github.run_attempt': String(metrics.run.attempt),
+  };
+
+  const job = metrics.job;
+  const jobConclusion = job.conclusion || 'unknown';
+  const entries = [{
+    timestamp: (job.completedAt || new Date()).toISOString(),
+    severity: conclusionSeverity(job.conclusion),
+    trace,
+    spanId: jobSpanId,
+    traceSampled: Boolean(trace),
+    labels: { ...labels, 'github.entry_type': 'job' },
+    jsonPayload: {
+      message: `Job "${job.name}" ${jobConclusion} in ${formatDuration(job.durationMs)}`,
+      type: 'job',
+      job: {
+        name: job.name,
+        id: job.id,
+        status: job.status,
+        conclusion: jobConclusion,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        durationMs: job.durationMs,
+      },
+      ...shared,
+    },
+  }];
+
+  for (const step of metrics.steps) {
+    const stepConclusion = step.conclusion || 'unknown';
+    entries.push({
+      timestamp: (step.completedAt || step.startedAt || job.completedAt || new Date()).toISOString(),
+      severity: conclusionSeverity(step.conclusion),
+      trace,
+      spanId: stepSpanIds[step.number] || jobSpanId,
+      traceSampled: Boolean(trace),
+      labels: { ...labels, 'github.entry_type': 'step' },
+      jsonPayload: {
+        message: `Step "${step.name}" ${stepConclusion} in ${formatDuration(step.durationMs)}`,
+        type: 'step',
+        job: { name: job.name, id: job.id },
+        step: {
+          name: step.name,
+          number: step.number,
+          status: step.status,
+          conclusion: stepConclusion,
+          startedAt: step.startedAt,
+          completedAt: step.completedAt,
+          durationMs: step.durationMs,
+        },
+        ...shared,
+      },
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Creates an authenticated client for the Cloud Logging API
+ * @param {Object} config - Configuration object
+ * @returns {Promise<Object>} Auth client
+ */
+async function createLoggingClient(config) {
+  const authOptions = {
+    projectId: config.gcpProjectId,
+    scopes: ['https://www.googleapis.com/auth/logging.write'],
+  };
+
+  if (config.gcpCredentials) {
+    authOptions.credentials = config.gcpCredentials;
+  } else if (config.gcpServiceAccountKey) {
+    try {
+      authOptions.credentials = JSON.parse(config.gcpServiceAccountKey);
+    } catch (error) {
+      core.error(`Failed to parse service account key for logs: ${error.message}`);
+      throw new Error('Invalid service account key JSON');
+    }
+  }
+
+  return new GoogleAuth(authOptions).getClient();
+}
+
+/**
+ * Writes log entries with a single entries:write call
+ * @param {Object} authClient - Authenticated client
+ * @param {Object} request - WriteLogEntriesRequest body
+ * @param {string} endpoint - Logging API base URL
+ * @returns {Promise<void>}
+ */
+async function writeLogEntries(authClient, request, endpoint = LOGGING_API_ENDPOINT) {
+  await authClient.request({
+    url: `${endpoint}/v2/entries:write`,
+    method: 'POST',
+    data: request,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+}
+
+/**
+ * Exports one structured log entry per job and per step to Cloud Logging
+ * @param {Object} config - Configuration object merged with the gcp backend's settings
+ * @param {Object} metrics - Collected metrics from GitHub
+ * @param {Object} spans - Job span and step spans (keyed by step number) from recordTraces
+ * @param {Object} authClient - Authenticated client (defaults to one built from the config credentials)
+ * @param {string} endpoint - Logging API base URL
+ * @returns {Promise<void>}
+ */
+async function exportLogs(config, metrics, spans, authClient = null, endpoint = LOGGING_API_ENDPOINT) {
+  const jobSpanContext = spans.jobSpan.spanContext();
+  const stepSpanIds = {};
+  for (const [number, span] of spans.stepSpans) {
+    stepSpanIds[number] = span.spanContext().spanId;
+  }
+
+  const entries = buildLogEntries(metrics, {
+    projectId: config.gcpProjectId,
+    traceId: jobSpanContext.traceId,
+    jobSpanId: jobSpanContext.spanId,
+    stepSpanIds,
+    customAttributes: config.customAttributes,
+  });
+
+  core.info(`Writing ${entries.length} log entries to Cloud Logging log "${config.gcpLogName}"`);
+
+  const client = authClient || await createLoggingClient(config);
+  await writeLogEntries(client, {
+    logName: `projects/${config.gcpProjectId}/logs/${encodeURIComponent(config.gcpLogName)}`,
+    resource: { type: 'global', labels: { project_id: config.gcpProjectId } },
+    partialSuccess: false,
+    entries,
+  }, endpoint);
+
+  core.info('✓ Log entries written successfully');
+}
+
+module.exports = {
+  buildLogEntries,
+  writeLogEntries,
+  exportLogs,
+};
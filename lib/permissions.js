@@ -0,0 +1,388 @@
+const core = require('@actions/core');
+const { GoogleAuth } = require('google-auth-library');
+
+/**
+ * Roles the export service account is expected to hold
+ */
+const ALLOWED_ROLES = [
+  'roles/monitoring.metricWriter',
+  'roles/cloudtrace.agent',
+  'roles/logging.logWriter',
+];
+
+/**
+ * Permissions granted by the allowed roles; custom roles may include these and nothing else
+ */
+const ALLOWED_PERMISSIONS = [
+  'monitoring.metricDescriptors.create',
+  'monitoring.metricDescriptors.get',
+  'monitoring.metricDescriptors.list',
+  'monitoring.monitoredResourceDescriptors.get',
+  'monitoring.monitoredResourceDescriptors.list',
+  'monitoring.timeSeries.create',
+  'cloudtrace.traces.patch',
+  'logging.logEntries.create',
+  'logging.logEntries.route',
+];
+
+/**
+ * Permissions needed to export metrics and traces
+ */
+const REQUIRED_PERMISSIONS = [
+  'monitoring.timeSeries.create',
+  'cloudtrace.traces.patch',
+];
+
+/**
+ * Project-level permissions that let a leaked key do damage beyond writing telemetry
+ * (privilege escalation, reading secrets or data, or changing resources)
+ */
+const DANGEROUS_PERMISSIONS = [
+  'resourcemanager.projects.setIamPolicy',
+  'resourcemanager.projects.delete',
+  'iam.roles.create',
+  'iam.roles.update',
+  'iam.serviceAccounts.actAs',
+  'iam.serviceAccounts.getAccessToken',
+  'iam.serviceAccounts.setIamPolicy',
+  'iam.serviceAccountKeys.create',
+  'secretmanager.versions.access',
+  'storage.buckets.delete',
+  'storage.objects.get',
+  'storage.objects.create',
+  'storage.objects.delete',
+  'compute.instances.create',
+  'compute.instances.setMetadata',
+  'container.clusters.create',
+  'run.services.create',
+  'cloudfunctions.functions.create',
+  'cloudbuild.builds.create',
+  'bigquery.tables.getData',
+  'cloudsql.instances.connect',
+  'monitoring.alertPolicies.delete',
+  'logging.sinks.create',
+];
+
+/**
+ * Google Cloud API endpoints used by the permission check
+ */
+const PERMISSION_CHECK_ENDPOINTS = {
+  resourceManager: 'https://cloudresourcemanager.googleapis.com',
+  iam: 'https://iam.googleapis.com',
+};
+
+/**
+ * Creates an authenticated client for the permission check
+ * @param {Object} credentials - Service account, impersonated or external account credentials
+ * @returns {Promise<Object>} Auth client
+ */
+async function createPermissionCheckClient(credentials) {
+  const auth = new GoogleAuth({
+    credentials,
+    scopes: ['https://www.googleapis.com/auth/cloud-platform'],
+  });
+  return auth.getClient();
+}
+
+/**
+ * Asks Resource Manager which of the given permissions the caller holds on the project
+ * The result includes permissions inherited from folders and the organization,
+ * and the call needs no permission of its own
+ * @param {Object} client - Authenticated client
+ * @param {string} projectId - GCP project ID
+ * @param {Array<string>} permissions - Permissions to probe
+ * @param {Object} endpoints - API endpoints
+ * @returns {Promise<Array<string>>} Permissions the caller holds
+ */
+async function testProjectPermissions(client, projectId, permissions, endpoints) {
+  const response = await client.request({
+    url: `${endpoints.resourceManager}/v1/projects/${projectId}:testIamPermissions`,
+    method: 'POST',
+    data: { permissions },
+  });
+  return response.data.permissions || [];
+}
+
+/**
+ * Lists the resources a project inherits IAM policies from, starting with the project itself
+ * @param {Object} client - Authenticated client
+ * @param {string} projectId - GCP project ID
+ * @param {Object} endpoints - API endpoints
+ * @returns {Promise<Array<string>>} Resource names (projects/..., folders/..., organizations/...)
+ */
+async function fetchAncestry(client, projectId, endpoints) {
+  const response = await client.request({
+    url: `${endpoints.resourceManager}/v1/projects/${projectId}:getAncestry`,
+    method: 'POST',
+    data: {},
+  });
+
+  return (response.data.ancestor || []).map(({ resourceId }) => `${resourceId.type}s/${resourceId.id}`);
+}
+
+/**
+ * Lists the roles bound to a member in a resource's IAM policy
+ * @param {Object} client - Authenticated client
+ * @param {string} resource - Resource name (projects/..., folders/..., organizations/...)
+ * @param {string} member - IAM member string
+ * @param {Object} endpoints - API endpoints
+ * @returns {Promise<Array<string>>} Roles bound to the member
+ */
+async function fetchMemberRoles(client, resource, member, endpoints) {
+  const response = await client.request({
+    url: `${endpoints.resourceManager}/v3/${resource}:getIamPolicy`,
+    method: 'POST',
+    data: {},
+  });
+
+  return (response.data.bindings || [])
+    .filter(binding => (binding.members || []).includes(member))
+    .map(binding => binding.role);
+}
+
+/**
+ * Checks whether a role is a custom role (defined on a project or organization)
+ * @param {string} role - Role name
+ * @returns {boolean} True for custom roles
+ */
+function isCustomRole(role) {
+  return role.startsWith('projects/') || role.startsWith('organizations/');
+}
+
+/**
+ * Fetches the permissions included in a custom role
+ * @param {Object} client - Authenticated client
+ * @param {string} role - Custom role name
+ * @param {Object} endpoints - API endpoints
+ * @returns {Promise<Array<string>>} Included permissions
+ */
+async function fetchRolePermissions(client, role, endpoints) {
+  const response = await client.request({
+    url: `${endpoints.iam}/v1/${role}`,
+    method: 'GET',
+  });
+  return response.data.includedPermissions || [];
+}
+
+/**
+ * Finds bindings on the project and its ancestors that grant more than the allowed roles
+ * Each resource is inspected independently; resources whose policy cannot be read are reported as such
+ * @param {Object} client - Authenticated client
+ * @param {string} projectId - GCP project ID
+ * @param {string} serviceAccountEmail - Service account email
+ * @param {Object} endpoints - API endpoints
+ * @returns {Promise<Object>} Excessive bindings, inspected and uninspected resources, unreadable custom roles
+ */
+async function inspectBindings(client, projectId, serviceAccountEmail, endpoints) {
+  const member = `serviceAccount:${serviceAccountEmail}`;
+  const result = { excessiveBindings: [], inspected: [], uninspected: [], uncheckedRoles: [] };
+
+  let resources;
+  try {
+    resources = await fetchAncestry(client, projectId, endpoints);
+  } catch (error) {
+    core.debug(`Could not read project ancestry: ${error.message}`);
+    resources = [`projects/${projectId}`];
+  }
+
+  for (const resource of resources) {
+    let roles;
+    try {
+      roles = await fetchMemberRoles(client, resource, member, endpoints);
+      result.inspected.push(resource);
+    } catch (error) {
+      core.debug(`Could not read IAM policy of ${resource}: ${error.message}`);
+      result.uninspected.push(resource);
+      continue;
+    }
+
+    for (const role of roles) {
+      if (ALLOWED_ROLES.includes(role)) {
+        continue;
+      }
+      if (!isCustomRole(role)) {
+        result.excessiveBindings.push({ resource, role });
+        continue;
+      }
+
+      try {
+        const permissions = await fetchRolePermissions(client, role, endpoints);
+        const extraPermissions = permissions.filter(permission => !ALLOWED_PERMISSIONS.includes(permission));
+        if (extraPermissions.length > 0) {
+          result.excessiveBindings.push({ resource, role, permissions: extraPermissions });
+        }
+      } catch (error) {
+        core.debug(`Could not read custom role ${role}: ${error.message}`);
+        result.uncheckedRoles.push(role);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Builds the gcloud command that removes a binding from a resource
+ * @param {string} resource - Resource name
+ * @param {string} member - IAM member string
+ * @param {string} role - Role to remove
+ * @returns {Array<string>} Command lines
+ */
+function removeBindingCommand(resource, member, role) {
+  const [type, id] = resource.split('/');
+  const command = {
+    projects: `gcloud projects remove-iam-policy-binding ${id} \\`,
+    folders: `gcloud resource-manager folders remove-iam-policy-binding ${id} \\`,
+    organizations: `gcloud organizations remove-iam-policy-binding ${id} \\`,
+  }[type];
+
+  return [command, `    --member="${member}" \\`, `    --role="${role}"`];
+}
+
+/**
+ * Builds the gcloud command that removes permissions from a custom role
+ * @param {string} role - Custom role name
+ * @param {Array<string>} permissions - Permissions to remove
+ * @returns {Array<string>} Command lines
+ */
+function removeRolePermissionsCommand(role, permissions) {
+  const [parentType, parentId, , roleId] = role.split('/');
+  const parentFlag = parentType === 'projects' ? `--project=${parentId}` : `--organization=${parentId}`;
+
+  return [`gcloud iam roles update ${roleId} ${parentFlag} \\`, `    --remove-permissions=${permissions.join(',')}`];
+}
+
+/**
+ * Logs the permission check report
+ * @param {Object} report - Permission check report
+ */
+function logPermissionReport(report) {
+  const member = `serviceAccount:${report.serviceAccountEmail}`;
+
+  if (report.passed) {
+    core.info('✓ Permission check passed (testIamPermissions)');
+    core.info(`  Service account: ${report.serviceAccountEmail}`);
+    core.info(`  No dangerous permissions on project ${report.projectId}, including inherited ones`);
+    if (report.inspected.length > 0) {
+      core.info(`  Bindings inspected on: ${report.inspected.join(', ')}`);
+    }
+    if (report.uninspected.length > 0) {
+      core.info(`  Bindings not readable on: ${report.uninspected.join(', ')} (custom roles there were not inspected)`);
+    }
+    if (report.uncheckedRoles.length > 0) {
+      core.info(`  Custom roles not readable: ${report.uncheckedRoles.join(', ')}`);
+    }
+  } else {
+    core.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    core.error('⚠️  SECURITY ERROR: Service account has excessive permissions!');
+    core.error('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    core.error('');
+    core.error(`Service account: ${report.serviceAccountEmail}`);
+    core.error(`Project: ${report.projectId}`);
+    core.error('');
+
+    if (report.grantedDangerous.length > 0) {
+      core.error('Dangerous permissions held on the project (directly or inherited):');
+      report.grantedDangerous.forEach(permission => core.error(`  - ${permission}`));
+      core.error('');
+    }
+
+    if (report.excessiveBindings.length > 0) {
+      core.error('Excessive bindings:');
+      report.excessiveBindings.forEach(({ resource, role, permissions }) => {
+        const detail = permissions ? ` (custom role with: ${permissions.join(', ')})` : '';
+        core.error(`  - ${role} on ${resource}${detail}`);
+      });
+      core.error('');
+    }
+
+    core.error('This service account should ONLY have:');
+    core.error('  - roles/monitoring.metricWriter (for metrics)');
+    core.error('  - roles/cloudtrace.agent (for traces)');
+    core.error('  - roles/logging.logWriter (for job/step logs, only with gcp-logging)');
+    core.error('');
+
+    if (report.excessiveBindings.length > 0) {
+      core.error('To fix, remove excessive roles or trim custom roles:');
+      report.excessiveBindings.forEach(({ resource, role, permissions }) => {
+        const lines = permissions
+          ? removeRolePermissionsCommand(role, permissions)
+          : removeBindingCommand(resource, member, role);
+        lines.forEach(line => core.error(`  ${line}`));
+      });
+    } else {
+      core.error('The bindings granting these permissions could not be read.');
+    }
+
+    if (report.uninspected.length > 0) {
+      core.error('');
+      core.error(`Bindings on ${report.uninspected.join(', ')} could not be read. To find all grants, run:`);
+      core.error(`  gcloud asset search-all-iam-policies --scope=projects/${report.projectId} \\`);
+      core.error(`    --query="policy:${report.serviceAccountEmail}"`);
+    }
+    core.error('');
+  }
+
+  if (report.missingRequired.length > 0) {
+    core.warning(`Service account is missing permissions needed for export: ${report.missingRequired.join(', ')}`);
+  }
+}
+
+/**
+ * Checks a service account's effective permissions with testIamPermissions
+ * Unlike the IAM policy check, this works without getIamPolicy access and covers inherited grants;
+ * ancestor bindings and custom roles are inspected as well when the service account can read them
+ * @param {string} projectId - GCP project ID
+ * @param {string} serviceAccountEmail - Service account email
+ * @param {Object} credentials - Credentials the exporters use
+ * @param {Object} client - Authenticated client (defaults to one built from the credentials)
+ * @param {Object} endpoints - API endpoints
+ * @param {boolean} exportsTelemetry - Whether the exporters act as this account; a key that only impersonates
+ *   another account needs none of the export permissions
+ * @returns {Promise<Object>} Permission check report
+ */
+async function testServiceAccountPermissions(
+  projectId,
+  serviceAccountEmail,
+  credentials,
+  client = null,
+  endpoints = PERMISSION_CHECK_ENDPOINTS,
+  exportsTelemetry = true
+) {
+  core.info('Checking service account permissions with testIamPermissions...');
+
+  const authClient = client || await createPermissionCheckClient(credentials);
+
+  let granted;
+  try {
+    granted = await testProjectPermissions(authClient, projectId, [...REQUIRED_PERMISSIONS, ...DANGEROUS_PERMISSIONS], endpoints);
+  } catch (error) {
+    core.info('ℹ️  Could not test service account permissions via testIamPermissions');
+    core.debug(`Permission check error: ${error.message}`);
+    return null;
+  }
+
+  const bindings = await inspectBindings(authClient, projectId, serviceAccountEmail, endpoints);
+  const report = {
+    projectId,
+    serviceAccountEmail,
+    grantedDangerous: DANGEROUS_PERMISSIONS.filter(permission => granted.includes(permission)),
+    missingRequired: exportsTelemetry ? REQUIRED_PERMISSIONS.filter(permission => !granted.includes(permission)) : [],
+    ...bindings,
+  };
+  report.passed = report.grantedDangerous.length === 0 && report.excessiveBindings.length === 0;
+
+  logPermissionReport(report);
+
+  if (!report.passed) {
+    throw new Error('Service account has excessive permissions - refusing to use');
+  }
+
+  return report;
+}
+
+module.exports = {
+  ALLOWED_ROLES,
+  DANGEROUS_PERMISSIONS,
+  testServiceAccountPermissions,
+};
@@ -0,0 +1,384 @@
+const core = require('@actions/core');
+const snappy = require('snappyjs');
+const { DataPointType } = require('@opentelemetry/sdk-metrics');
+const { ExportResultCode, hrTimeToMilliseconds } = require('@opentelemetry/core');
+const { ATTR_SERVICE_NAME } = require('@opentelemetry/semantic-conventions');
+const { ATTR_SERVICE_NAMESPACE, ATTR_SERVICE_INSTANCE_ID } = require('@opentelemetry/semantic-conventions/incubating');
+
+/**
+ * Converts an OpenTelemetry metric name to a valid Prometheus metric name
+ * Dots and other invalid characters become underscores (github.actions.job.duration -> github_actions_job_duration)
+ * @param {string} name - OpenTelemetry metric name
+ * @returns {string} Prometheus metric name
+ */
+function toPrometheusName(name) {
+  const sanitized = name.replace(/[^a-zA-Z0-9_:]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+/**
+ * Converts an attribute key to a valid Prometheus label name
+ * @param {string} name - Attribute key
+ * @returns {string} Prometheus label name
+ */
+function toPrometheusLabelName(name) {
+  const sanitized = name.replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+}
+
+/**
+ * Converts data point attributes to Prometheus labels
+ * @param {Object} attributes - Data point attributes
+ * @returns {Object} Label name to string value mapping
+ */
+function toPrometheusLabels(attributes) {
+  const labels = {};
+  for (const [key, value] of Object.entries(attributes || {})) {
+    if (value !== undefined && value !== null) {
+      labels[toPrometheusLabelName(key)] = String(value);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Builds the samples for a single histogram data point
+ * OpenTelemetry bucket counts are per-bucket; Prometheus buckets are cumulative
+ * @param {string} name - Prometheus metric name
+ * @param {Object} dataPoint - Histogram data point
+ * @returns {Array<Object>} Bucket, sum, and count samples
+ */
+function histogramSamples(name, dataPoint) {
+  const labels = toPrometheusLabels(dataPoint.attributes);
+  const timestampMs = hrTimeToMilliseconds(dataPoint.endTime);
+  const { buckets, sum, count } = dataPoint.value;
+  const samples = [];
+
+  let cumulative = 0;
+  buckets.boundaries.forEach((boundary, index) => {
+    cumulative += buckets.counts[index];
+    samples.push({ name: `${name}_bucket`, labels: { ...labels, le: String(boundary) }, value: cumulative, timestampMs });
+  });
+  samples.push({ name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count, timestampMs });
+  samples.push({ name: `${name}_sum`, labels, value: sum, timestampMs });
+  samples.push({ name: `${name}_count`, labels, value: count, timestampMs });
+
+  return samples;
+}
+
+/**
+ * Converts a single OpenTelemetry metric to a Prometheus metric family
+ * @param {Object} metric - Metric data from the SDK
+ * @returns {Object|null} Family (name, help, type, samples) or null if unsupported
+ */
+function toPrometheusFamily(metric) {
+  const { descriptor, dataPointType, dataPoints } = metric;
+  let name = toPrometheusName(descriptor.name);
+
+  const simpleSamples = () => dataPoints.map(dataPoint => ({
+    name,
+    labels: toPrometheusLabels(dataPoint.attributes),
+    value: dataPoint.value,
+    timestampMs: hrTimeToMilliseconds(dataPoint.endTime),
+  }));
+
+  switch (dataPointType) {
+    case DataPointType.HISTOGRAM:
+      return {
+        name,
+        help: descriptor.description,
+        type: 'histogram',
+        samples: dataPoints.flatMap(dataPoint => histogramSamples(name, dataPoint)),
+      };
+    case DataPointType.GAUGE:
+      return { name, help: descriptor.description, type: 'gauge', samples: simpleSamples() };
+    case DataPointType.SUM:
+      if (metric.isMonotonic) {
+        name = name.endsWith('_total') ? name : `${name}_total`;
+        return { name, help: descriptor.description, type: 'counter', samples: simpleSamples() };
+      }
+      return { name, help: descriptor.description, type: 'gauge', samples: simpleSamples() };
+    default:
+      core.debug(`Skipping metric ${descriptor.name}: data point type ${dataPointType} is not supported by Prometheus export`);
+      return null;
+  }
+}
+
+/**
+ * Converts SDK resource metrics to Prometheus metric families
+ * @param {Object} resourceMetrics - Resource metrics from the SDK
+ * @returns {Array<Object>} Metric families
+ */
+function toPrometheusFamilies(resourceMetrics) {
+  const families = new Map();
+
+  for (const scopeMetrics of resourceMetrics.scopeMetrics) {
+    for (const metric of scopeMetrics.metrics) {
+      const family = toPrometheusFamily(metric);
+      if (!family) {
+        continue;
+      }
+      if (families.has(family.name)) {
+        families.get(family.name).samples.push(...family.samples);
+      } else {
+        families.set(family.name, family);
+      }
+    }
+  }
+
+  return [...families.values()];
+}
+
+/**
+ * Formats a sample value for the text exposition format
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? '+Inf' : '-Inf';
+  }
+  return String(value);
+}
+
+/**
+ * Formats labels for the text exposition format
+ * @param {Object} labels - Label name to value mapping
+ * @returns {string} Formatted label set (empty when there are no labels)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => {
+    const escaped = value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    return `${name}="${escaped}"`;
+  });
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Renders metric families in the Prometheus text exposition format (version 0.0.4)
+ * Timestamps are omitted because the Pushgateway rejects them
+ * @param {Array<Object>} families - Metric families
+ * @returns {string} Text exposition payload
+ */
+function toPrometheusText(families) {
+  const lines = [];
+  for (const family of families) {
+    if (family.help) {
+      lines.push(`# HELP ${family.name} ${family.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    }
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+/**
+ * Encodes an unsigned integer as a protobuf varint
+ * Uses arithmetic instead of bit operations so millisecond timestamps above 2^32 are encoded correctly
+ * @param {number} value - Non-negative integer
+ * @returns {Buffer} Encoded varint
+ */
+function encodeVarint(value) {
+  const bytes = [];
+  let remaining = Math.max(0, Math.floor(value));
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encodes a length-delimited protobuf field (strings and embedded messages)
+ * @param {number} field - Field number
+ * @param {Buffer} payload - Field payload
+ * @returns {Buffer} Encoded field
+ */
+function encodeLengthDelimited(field, payload) {
+  return Buffer.concat([encodeVarint((field << 3) | 2), encodeVarint(payload.length), payload]);
+}
+
+/**
+ * Encodes a Prometheus remote-write TimeSeries message
+ * @param {Object} labels - Label set including __name__
+ * @param {number} value - Sample value
+ * @param {number} timestampMs - Sample timestamp in milliseconds
+ * @returns {Buffer} Encoded TimeSeries
+ */
+function encodeTimeSeries(labels, value, timestampMs) {
+  // Remote-write requires labels sorted by name
+  const encodedLabels = Object.keys(labels).sort().map(name => encodeLengthDelimited(1, Buffer.concat([
+    encodeLengthDelimited(1, Buffer.from(name)),
+    encodeLengthDelimited(2, Buffer.from(labels[name])),
+  ])));
+
+  const sampleValue = Buffer.alloc(9);
+  sampleValue[0] = (1 << 3) | 1; // field 1, 64-bit
+  sampleValue.writeDoubleLE(value, 1);
+  const sample = Buffer.concat([sampleValue, encodeVarint((2 << 3) | 0), encodeVarint(timestampMs)]);
+
+  return Buffer.concat([...encodedLabels, encodeLengthDelimited(2, sample)]);
+}
+
+/**
+ * Builds a snappy-compressed Prometheus remote-write WriteRequest
+ * Follows the OpenTelemetry-to-Prometheus convention of deriving job and instance from the resource
+ * @param {Object} resourceMetrics - Resource metrics from the SDK
+ * @returns {Buffer} Compressed WriteRequest payload
+ */
+function toRemoteWriteRequest(resourceMetrics) {
+  const resourceAttributes = resourceMetrics.resource.attributes || {};
+  const serviceName = resourceAttributes[ATTR_SERVICE_NAME];
+  const serviceNamespace = resourceAttributes[ATTR_SERVICE_NAMESPACE];
+  const targetLabels = {};
+  if (serviceName) {
+    targetLabels.job = serviceNamespace ? `${serviceNamespace}/${serviceName}` : String(serviceName);
+  }
+  if (resourceAttributes[ATTR_SERVICE_INSTANCE_ID]) {
+    targetLabels.instance = String(resourceAttributes[ATTR_SERVICE_INSTANCE_ID]);
+  }
+
+  const timeSeries = toPrometheusFamilies(resourceMetrics)
+    .flatMap(family => family.samples)
+    .map(sample => encodeLengthDelimited(1, encodeTimeSeries(
+      { ...targetLabels, ...sample.labels, __name__: sample.name },
+      sample.value,
+      sample.timestampMs
+    )));
+
+  return Buffer.from(snappy.compress(Buffer.concat(timeSeries)));
+}
+
+/**
+ * Builds the Pushgateway URL for a job and grouping key
+ * Values containing slashes (or empty values) use the base64 path encoding
+ * @param {string} endpoint - Pushgateway base URL
+ * @param {string} job - Job label
+ * @param {Object} grouping - Additional grouping labels
+ * @returns {string} Push URL
+ */
+function pushgatewayUrl(endpoint, job, grouping) {
+  const segment = (name, value) => {
+    if (value === '' || value.includes('/')) {
+      const encoded = value === '' ? '=' : Buffer.from(value).toString('base64url');
+      return `${name}@base64/${encoded}`;
+    }
+    return `${name}/${encodeURIComponent(value)}`;
+  };
+
+  const parts = [segment('job', job), ...Object.entries(grouping).map(([name, value]) => segment(name, String(value)))];
+  return `${endpoint.replace(/\/+$/, '')}/metrics/${parts.join('/')}`;
+}
+
+/**
+ * Sends an HTTP request and throws if the response is not successful
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {string} target - Backend description for error messages
+ * @returns {Promise<void>}
+ */
+async function send(url, options, target) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`${target} responded with HTTP ${response.status}: ${body.trim()}`);
+  }
+}
+
+/**
+ * Metric exporter that pushes to a Prometheus Pushgateway
+ * Uses PUT so each push replaces the metrics in its group, as for batch jobs
+ */
+class PrometheusPushgatewayExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.endpoint - Pushgateway base URL
+   * @param {Object} options.headers - Extra request headers
+   * @param {string} options.job - Job label
+   * @param {Object} options.grouping - Additional grouping labels
+   */
+  constructor({ endpoint, headers = {}, job, grouping = {} }) {
+    this.url = pushgatewayUrl(endpoint, job, grouping);
+    this.headers = headers;
+  }
+
+  export(resourceMetrics, resultCallback) {
+    const body = toPrometheusText(toPrometheusFamilies(resourceMetrics));
+    if (!body) {
+      resultCallback({ code: ExportResultCode.SUCCESS });
+      return;
+    }
+
+    send(this.url, {
+      method: 'PUT',
+      headers: { ...this.headers, 'Content-Type': 'text/plain; version=0.0.4' },
+      body,
+    }, 'Pushgateway').then(
+      () => resultCallback({ code: ExportResultCode.SUCCESS }),
+      error => resultCallback({ code: ExportResultCode.FAILED, error })
+    );
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Metric exporter that sends Prometheus remote-write requests
+ */
+class PrometheusRemoteWriteExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.endpoint - Remote-write URL (e.g., http://prometheus:9090/api/v1/write)
+   * @param {Object} options.headers - Extra request headers
+   */
+  constructor({ endpoint, headers = {} }) {
+    this.url = endpoint;
+    this.headers = headers;
+  }
+
+  export(resourceMetrics, resultCallback) {
+    send(this.url, {
+      method: 'POST',
+      headers: {
+        ...this.headers,
+        'Content-Type': 'application/x-protobuf',
+        'Content-Encoding': 'snappy',
+        'X-Prometheus-Remote-Write-Version': '0.1.0',
+      },
+      body: toRemoteWriteRequest(resourceMetrics),
+    }, 'Remote-write endpoint').then(
+      () => resultCallback({ code: ExportResultCode.SUCCESS }),
+      error => resultCallback({ code: ExportResultCode.FAILED, error })
+    );
+  }
+
+  forceFlush() {
+    return Promise.resolve();
+  }
+
+  shutdown() {
+    return Promise.resolve();
+  }
+}
+
+module.exports = {
+  toPrometheusName,
+  toPrometheusFamilies,
+  toPrometheusText,
+  toRemoteWriteRequest,
+  pushgatewayUrl,
+  PrometheusPushgatewayExporter,
+  PrometheusRemoteWriteExporter,
+};
@@ -0,0 +1,58 @@
+/**
+ * Job conclusions always recorded by the run job counter, with 0 when no job had them
+ */
+const JOB_CONCLUSIONS = ['success', 'failure', 'cancelled', 'skipped'];
+
+/**
+ * Lists the jobs of the run, with the current job's live timings in place of its unfinished API entry
+ * @param {Object} metrics - Collected metrics
+ * @returns {Array<Object>} Run job summaries
+ */
+function runJobsWithCurrent(metrics) {
+  return metrics.run.jobs.map(job => (job.id === metrics.job.id ? {
+    ...job,
+    conclusion: metrics.job.conclusion,
+    createdAt: metrics.job.createdAt || job.createdAt,
+    startedAt: metrics.job.startedAt,
+    completedAt: metrics.job.completedAt,
+  } : job));
+}
+
+/**
+ * Summarizes the whole workflow run from the timings of all its jobs
+ * Wall time runs from the first job's creation to the last job's completion; parallelism is the
+ * job time divided by the wall time, i.e. the average number of jobs running at once
+ * @param {Object} metrics - Collected metrics, with every job of the run in run.jobs
+ * @returns {Object} Run summary (jobCount, startedAt, completedAt, wallTimeMs, jobTimeMs, parallelism, conclusions, failedJobs)
+ */
+function summarizeRun(metrics) {
+  const jobs = runJobsWithCurrent(metrics);
+  const ran = jobs.filter(job => job.startedAt && job.completedAt && job.conclusion !== 'skipped');
+
+  const startedAt = ran.length > 0 ? new Date(Math.min(...ran.map(job => job.createdAt || job.startedAt))) : null;
+  const completedAt = ran.length > 0 ? new Date(Math.max(...ran.map(job => job.completedAt))) : null;
+  const wallTimeMs = startedAt ? completedAt - startedAt : 0;
+  const jobTimeMs = ran.reduce((sum, job) => sum + Math.max(0, job.completedAt - job.startedAt), 0);
+
+  const conclusions = Object.fromEntries(JOB_CONCLUSIONS.map(conclusion => [conclusion, 0]));
+  for (const job of jobs) {
+    const conclusion = job.conclusion || 'unknown';
+    conclusions[conclusion] = (conclusions[conclusion] || 0) + 1;
+  }
+
+  return {
+    jobCount: jobs.length,
+    startedAt,
+    completedAt,
+    wallTimeMs,
+    jobTimeMs,
+    parallelism: wallTimeMs > 0 ? jobTimeMs / wallTimeMs : 0,
+    conclusions,
+    failedJobs: conclusions.failure,
+  };
+}
+
+module.exports = {
+  runJobsWithCurrent,
+  summarizeRun,
+};
@@ -0,0 +1,463 @@
+const core = require('@actions/core');
+const glob = require('@actions/glob');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+/**
+ * Most characters of a failure's details (usually a stack trace) kept on span events
+ */
+const MAX_FAILURE_DETAILS = 4096;
+
+/**
+ * JUnit elements that may repeat, parsed as arrays even when they appear once
+ */
+const JUNIT_ARRAY_ELEMENTS = ['testsuites', 'testsuite', 'testcase', 'failure', 'error', 'skipped'];
+
+// Attributes are prefixed so they cannot collide with child elements of the same name, like the `failure`
+// attribute and `<failure>` element node:test writes on failed cases
+const junitParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseAttributeValue: false,
+  isArray: name => JUNIT_ARRAY_ELEMENTS.includes(name),
+});
+
+/**
+ * Parses a JUnit `time` attribute (seconds, sometimes with thousands separators)
+ * @param {string} value - Attribute value
+ * @returns {number} Duration in milliseconds, 0 if absent or invalid
+ */
+function parseSeconds(value) {
+  const seconds = parseFloat(String(value ?? '').replace(/,/g, ''));
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) : 0;
+}
+
+/**
+ * Parses a JUnit `timestamp` attribute; timestamps without a zone are taken as UTC, the runners' zone
+ * @param {string} value - Attribute value
+ * @returns {Date|null} Date, or null if absent or invalid
+ */
+function parseTimestamp(value) {
+  if (!value) {
+    return null;
+  }
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  const date = new Date(hasZone ? value : `${value}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Reads the `<failure>` and `<error>` elements of a test case
+ * @param {Object} testcase - Parsed testcase element
+ * @returns {Array<Object>} Failures (type, message, details)
+ */
+function parseFailures(testcase) {
+  return [...(testcase.failure || []), ...(testcase.error || [])].map(element => {
+    const failure = typeof element === 'object' ? element : { '#text': element };
+    const details = String(failure['#text'] ?? '').trim();
+    return {
+      type: failure['@_type'] || null,
+      message: failure['@_message'] || details.split('\n')[0] || 'Test failed',
+      details: details.slice(0, MAX_FAILURE_DETAILS) || null,
+    };
+  });
+}
+
+/**
+ * Flattens a `<testsuite>` element and the suites nested in it
+ * @param {Object} element - Parsed testsuite element
+ * @param {Array<Object>} suites - Suites collected so far
+ */
+function collectSuites(element, suites) {
+  const cases = (element.testcase || []).map(testcase => {
+    const failures = parseFailures(testcase);
+    let status = 'passed';
+    if (failures.length > 0) {
+      status = 'failed';
+    } else if (testcase.skipped) {
+      status = 'skipped';
+    }
+    return {
+      name: testcase['@_name'] || 'unnamed',
+      classname: testcase['@_classname'] || null,
+      durationMs: parseSeconds(testcase['@_time']),
+      status,
+      failures,
+    };
+  });
+
+  if (cases.length > 0 || !element.testsuite) {
+    suites.push({
+      name: element['@_name'] || 'unnamed',
+      start: parseTimestamp(element['@_timestamp']),
+      durationMs: parseSeconds(element['@_time']) || cases.reduce((sum, c) => sum + c.durationMs, 0),
+      cases,
+    });
+  }
+  for (const nested of element.testsuite || []) {
+    collectSuites(nested, suites);
+  }
+}
+
+/**
+ * Parses a JUnit XML report
+ * Accepts a `<testsuites>` root or a single `<testsuite>` root. Cases directly under `<testsuites>`, as the
+ * node:test reporter writes top-level tests without subtests, go in a suite named after the report
+ * @param {string} xml - Report content
+ * @param {string} [reportName] - Suite name for cases outside any suite
+ * @returns {Array<Object>} Suites (name, start, durationMs, cases)
+ * @throws {Error} If the content is not well-formed JUnit XML
+ */
+function parseJUnitReport(xml, reportName = 'unnamed') {
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new Error(`invalid XML at line ${validation.err.line}: ${validation.err.msg}`);
+  }
+
+  const document = junitParser.parse(xml);
+  const roots = document.testsuites
+    ? document.testsuites.flatMap(root => [
+      ...(root.testcase ? [{ '@_name': reportName, testcase: root.testcase }] : []),
+      ...(root.testsuite || []),
+    ])
+    : document.testsuite;
+  if (!roots) {
+    throw new Error('no <testsuites> or <testsuite> root element');
+  }
+
+  const suites = [];
+  for (const root of roots) {
+    collectSuites(root, suites);
+  }
+  return suites;
+}
+
+/**
+ * TAP test point: `ok 1 - name # SKIP reason`
+ */
+const TAP_TEST_POINT = /^(not )?ok\b(?:\s+\d+)?(?:\s*-)?\s*(.*?)(?:\s+#\s*(SKIP|TODO)\S*\b.*)?$/i;
+
+/**
+ * Reads the failure of a TAP test point from its YAML diagnostics
+ * Understands the TAP 13 `message` field and the fields the node:test TAP reporter writes
+ * @param {Object} diagnostics - Parsed YAML block of the test point
+ * @param {string} name - Test name, used when the diagnostics carry no message
+ * @returns {Object} Failure (type, message, details)
+ */
+function parseTapFailure(diagnostics, name) {
+  const error = diagnostics.error === undefined ? '' : String(diagnostics.error).trim();
+  const details = [error, diagnostics.stack].filter(Boolean).join('\n').trim();
+  return {
+    type: diagnostics.name || null,
+    message: diagnostics.message || error.split('\n')[0] || `${name} failed`,
+    details: details.slice(0, MAX_FAILURE_DETAILS) || null,
+  };
+}
+
+/**
+ * Collects the suites of a TAP test tree
+ * Tests with subtests become suites named by their path; tests without subtests are cases of their parent
+ * @param {Array<Object>} points - Test points at one nesting level
+ * @param {string} suiteName - Name of the suite the points belong to
+ * @param {Object|null} parent - Test point the points are subtests of
+ * @param {Array<Object>} suites - Suites collected so far
+ */
+function collectTapSuites(points, suiteName, parent, suites) {
+  const cases = [];
+  for (const point of points) {
+    if (point.children.length > 0) {
+      collectTapSuites(point.children, parent ? `${suiteName} > ${point.name}` : point.name, point, suites);
+      continue;
+    }
+    let status = point.ok ? 'passed' : 'failed';
+    if (point.directive) {
+      status = 'skipped';
+    }
+    cases.push({
+      name: point.name,
+      classname: null,
+      durationMs: Math.round(Number(point.diagnostics.duration_ms) || 0),
+      status,
+      failures: status === 'failed' ? [parseTapFailure(point.diagnostics, point.name)] : [],
+    });
+  }
+
+  if (cases.length > 0) {
+    suites.push({
+      name: suiteName,
+      start: null,
+      durationMs: Math.round(Number(parent?.diagnostics.duration_ms) || 0) || cases.reduce((sum, c) => sum + c.durationMs, 0),
+      cases,
+    });
+  }
+}
+
+/**
+ * Parses a TAP stream, including the subtests and YAML diagnostics of the node:test TAP reporter
+ * TAP has no suites: tests with subtests become suites, and top-level tests without subtests go in a suite
+ * named after the report. Durations come from node:test's `duration_ms`; other TAP producers report none
+ * @param {string} text - Report content
+ * @param {string} reportName - Suite name for top-level tests
+ * @returns {Array<Object>} Suites (name, start, durationMs, cases)
+ */
+function parseTapReport(text, reportName) {
+  // Subtests are indented by four spaces and printed before the test point of their parent
+  const pending = [[]];
+  let lastPoint = null;
+  let diagnostics = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (diagnostics) {
+      if (line.trim() === '...') {
+        try {
+          diagnostics.point.diagnostics = yaml.parse(diagnostics.lines.join('\n')) || {};
+        } catch (error) {
+          core.debug(`Ignoring unreadable TAP diagnostics of "${diagnostics.point.name}": ${error.message}`);
+        }
+        diagnostics = null;
+      } else {
+        diagnostics.lines.push(line.slice(diagnostics.indent));
+      }
+      continue;
+    }
+
+    const indent = line.match(/^ */)[0].length;
+    const depth = Math.floor(indent / 4);
+    const match = line.trim().match(TAP_TEST_POINT);
+    if (match) {
+      const point = {
+        name: match[2].replace(/\\#/g, '#') || 'unnamed',
+        ok: !match[1],
+        directive: match[3] ? match[3].toUpperCase() : null,
+        diagnostics: {},
+        children: pending[depth + 1] || [],
+      };
+      pending[depth + 1] = [];
+      (pending[depth] = pending[depth] || []).push(point);
+      lastPoint = point;
+    } else if (line.trim() === '---' && lastPoint) {
+      diagnostics = { point: lastPoint, indent, lines: [] };
+    }
+  }
+
+  const suites = [];
+  collectTapSuites(pending[0], reportName, null, suites);
+  return suites;
+}
+
+/**
+ * Parses a `go test -json` event stream
+ * Packages become suites and tests (including subtests without subtests of their own) become cases;
+ * their output is kept as failure details
+ * @param {string} text - Report content
+ * @returns {Array<Object>} Suites (name, start, durationMs, cases)
+ */
+function parseGoTestJson(text) {
+  const packages = new Map();
+  const packageOf = (name, time) => {
+    if (!packages.has(name)) {
+      packages.set(name, { name, start: time, durationMs: 0, tests: new Map() });
+    }
+    return packages.get(name);
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue; // Build output interleaved with the event stream
+    }
+    if (!event?.Package || !event.Action) {
+      continue;
+    }
+
+    const time = event.Time ? new Date(event.Time) : null;
+    const pkg = packageOf(event.Package, time);
+    if (!event.Test) {
+      if (['pass', 'fail', 'skip'].includes(event.Action)) {
+        pkg.durationMs = Math.round((event.Elapsed || 0) * 1000);
+      }
+      continue;
+    }
+
+    if (!pkg.tests.has(event.Test)) {
+      pkg.tests.set(event.Test, { name: event.Test, start: null, durationMs: 0, status: null, output: [] });
+    }
+    const test = pkg.tests.get(event.Test);
+    if (event.Action === 'run') {
+      test.start = time;
+    } else if (event.Action === 'output') {
+      test.output.push(event.Output);
+    } else if (['pass', 'fail', 'skip'].includes(event.Action)) {
+      test.status = { pass: 'passed', fail: 'failed', skip: 'skipped' }[event.Action];
+      test.durationMs = Math.round((event.Elapsed || 0) * 1000);
+    }
+  }
+
+  return [...packages.values()].map(pkg => {
+    const names = [...pkg.tests.keys()];
+    const cases = [...pkg.tests.values()]
+      .filter(test => test.status && !names.some(name => name.startsWith(`${test.name}/`)))
+      .map(test => {
+        const output = test.output.map(chunk => chunk.replace(/\n$/, '')).filter(chunk => !/^\s*(=== |--- )/.test(chunk));
+        return {
+          name: test.name,
+          classname: pkg.name,
+          start: test.start,
+          durationMs: test.durationMs,
+          status: test.status,
+          failures: test.status === 'failed' ? [{
+            type: null,
+            message: output.find(chunk => chunk.trim() !== '')?.trim() || `${test.name} failed`,
+            details: output.join('\n').trim().slice(0, MAX_FAILURE_DETAILS) || null,
+          }] : [],
+        };
+      });
+    return { name: pkg.name, start: pkg.start, durationMs: pkg.durationMs, cases };
+  }).filter(suite => suite.cases.length > 0);
+}
+
+/**
+ * Detects the format of a test report from its content
+ * @param {string} text - Report content
+ * @returns {string|null} junit, go-test-json or tap, or null if unrecognized
+ */
+function detectReportFormat(text) {
+  const content = text.replace(/^\uFEFF/, '').trimStart();
+  if (content.startsWith('<')) {
+    return 'junit';
+  }
+  try {
+    if (JSON.parse(content.split(/\r?\n/)[0])?.Action) {
+      return 'go-test-json';
+    }
+  } catch {
+    // Not a JSON event stream
+  }
+  // Test points need their number here, so plain `go test` output (`ok  \texample.com/app`) is not taken for TAP
+  if (/^\s*(TAP version \d+|(not )?ok \d+\b|1\.\.\d+|# Subtest: )/m.test(content)) {
+    return 'tap';
+  }
+  return null;
+}
+
+/**
+ * Parses a test report in any supported format
+ * @param {string} text - Report content
+ * @param {string} reportName - Report file name, naming the suite of JUnit and TAP tests outside any suite
+ * @returns {Array<Object>} Suites (name, format, start, durationMs, cases)
+ * @throws {Error} If the format is not recognized or the report cannot be parsed
+ */
+function parseTestReport(text, reportName) {
+  const format = detectReportFormat(text);
+  let suites;
+  switch (format) {
+    case 'junit':
+      suites = parseJUnitReport(text, reportName);
+      break;
+    case 'go-test-json':
+      suites = parseGoTestJson(text);
+      break;
+    case 'tap':
+      suites = parseTapReport(text, reportName);
+      break;
+    default:
+      throw new Error('not a JUnit XML, TAP or go test -json report');
+  }
+  return suites.map(suite => ({ ...suite, format }));
+}
+
+/**
+ * Places the suites of a report and their cases in time
+ * Suites without a start time are laid out back to back, in report order, ending when the report was written.
+ * Cases without a start time are laid out back to back from their suite's start
+ * @param {Array<Object>} suites - Suites from parseTestReport
+ * @param {Date} writtenAt - Modification time of the report file
+ * @returns {Array<Object>} Suites with start and end, and cases with start and end
+ */
+function placeSuites(suites, writtenAt) {
+  const untimedMs = suites.filter(suite => !suite.start).reduce((sum, suite) => sum + suite.durationMs, 0);
+  let suiteOffset = writtenAt.getTime() - untimedMs;
+
+  return suites.map(suite => {
+    const start = suite.start || new Date(suiteOffset);
+    if (!suite.start) {
+      suiteOffset += suite.durationMs;
+    }
+
+    let offset = start.getTime();
+    let end = start.getTime() + suite.durationMs;
+    const cases = suite.cases.map(testCase => {
+      const caseStart = testCase.start || new Date(offset);
+      const caseEnd = new Date(caseStart.getTime() + testCase.durationMs);
+      if (!testCase.start) {
+        offset = caseEnd.getTime();
+      }
+      end = Math.max(end, caseEnd.getTime());
+      return { ...testCase, start: caseStart, end: caseEnd };
+    });
+
+    return { ...suite, start, end: new Date(end), cases };
+  });
+}
+
+/**
+ * Finds and parses the test reports matching the configured glob patterns
+ * The format of each report is detected from its content; reports that cannot be read or parsed are skipped
+ * @param {string} patterns - Newline-separated glob patterns
+ * @returns {Promise<Array<Object>>} Suites of all reports, each with its report file
+ */
+async function readTestReports(patterns) {
+  const globber = await glob.create(patterns, { matchDirectories: false });
+  const files = await globber.glob();
+  if (files.length === 0) {
+    core.info(`ℹ️  No test reports match ${patterns.split('\n').map(p => p.trim()).filter(Boolean).join(', ')}`);
+    return [];
+  }
+
+  const suites = [];
+  for (const file of files) {
+    const relativePath = path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), file);
+    try {
+      const parsed = parseTestReport(fs.readFileSync(file, 'utf8'), path.basename(file, path.extname(file)));
+      const writtenAt = fs.statSync(file).mtime;
+      suites.push(...placeSuites(parsed, writtenAt).map(suite => ({ ...suite, file: relativePath })));
+      core.debug(`Read ${parsed.length} ${parsed[0]?.format || ''} test suite(s) from ${relativePath}`);
+    } catch (error) {
+      core.info(`ℹ️  Skipping test report ${relativePath}: ${error.message}`);
+    }
+  }
+
+  const caseCount = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+  core.info(`Read ${caseCount} test case(s) in ${suites.length} suite(s) from ${files.length} report(s)`);
+  return suites;
+}
+
+/**
+ * Counts test cases by status
+ * @param {Array<Object>} suites - Suites from readTestReports
+ * @returns {Object} Count per status, including statuses without cases
+ */
+function countTestCases(suites) {
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  for (const suite of suites) {
+    for (const testCase of suite.cases) {
+      counts[testCase.status]++;
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  parseJUnitReport,
+  parseTapReport,
+  parseGoTestJson,
+  detectReportFormat,
+  parseTestReport,
+  placeSuites,
+  readTestReports,
+  countTestCases,
+};
@@ -0,0 +1,280 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { context, isValidSpanId, trace } = require('@opentelemetry/api');
+
+/**
+ * Environment variable steps use to find the span drop directory
+ */
+const SPANS_DIR_ENV = 'OTEL_SPANS_DIR';
+
+/**
+ * Most span records read from the drop directory; the rest are ignored
+ */
+const MAX_USER_SPANS = 1000;
+
+/**
+ * Span status values accepted in records, mapped to SpanStatusCode
+ */
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Creates the directory steps drop span records into
+ * @returns {string} Directory path
+ */
+function createSpansDir() {
+  const dir = path.join(process.env.RUNNER_TEMP || os.tmpdir(), 'otel-spans');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Parses a record timestamp given as an ISO 8601 string or epoch milliseconds
+ * @param {string|number} value - Timestamp
+ * @returns {Date|null} Date, or null if the value is not a valid timestamp
+ */
+function parseTimestamp(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Checks that a value can be used as a span attribute value
+ * @param {*} value - Attribute value
+ * @returns {boolean} True for strings, finite numbers, booleans and arrays of one of those
+ */
+function isAttributeValue(value) {
+  const isPrimitive = v => typeof v === 'string' || typeof v === 'boolean' || (typeof v === 'number' && Number.isFinite(v));
+  if (Array.isArray(value)) {
+    return value.every(isPrimitive) && new Set(value.map(v => typeof v)).size <= 1;
+  }
+  return isPrimitive(value);
+}
+
+/**
+ * Validates a span record and normalizes it for recording
+ * @param {Object} record - Parsed span record
+ * @returns {Object} Normalized span record
+ * @throws {Error} If the record is invalid
+ */
+function validateSpanRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error('record must be a JSON object');
+  }
+  if (typeof record.name !== 'string' || record.name.trim() === '') {
+    throw new Error('"name" must be a non-empty string');
+  }
+
+  const start = parseTimestamp(record.start);
+  const end = parseTimestamp(record.end);
+  if (!start || !end) {
+    throw new Error('"start" and "end" must be ISO 8601 strings or epoch milliseconds');
+  }
+  if (end < start) {
+    throw new Error('"end" is before "start"');
+  }
+
+  const attributes = record.attributes ?? {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('"attributes" must be an object');
+  }
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!isAttributeValue(value)) {
+      throw new Error(`attribute "${key}" must be a string, number, boolean or an array of one of those`);
+    }
+  }
+
+  const status = (record.status ?? 'unset').toString().toLowerCase();
+  if (!(status in STATUS_CODES)) {
+    throw new Error(`"status" must be one of: ${Object.keys(STATUS_CODES).join(', ')}`);
+  }
+
+  for (const field of ['id', 'parent', 'statusMessage']) {
+    if (record[field] !== undefined && typeof record[field] !== 'string') {
+      throw new Error(`"${field}" must be a string`);
+    }
+  }
+  for (const field of ['spanId', 'parentSpanId']) {
+    if (record[field] !== undefined && !isValidSpanId(record[field])) {
+      throw new Error(`"${field}" must be 16 lowercase hex characters`);
+    }
+  }
+
+  return {
+    name: record.name,
+    start,
+    end,
+    attributes,
+    status,
+    statusMessage: record.statusMessage,
+    id: record.id,
+    parent: record.parent,
+    spanId: record.spanId,
+    parentSpanId: record.parentSpanId,
+  };
+}
+
+/**
+ * Parses a span file as a JSON array, a single JSON object, or JSON lines
+ * @param {string} content - File content
+ * @returns {Array<Object>} Parsed records
+ */
+function parseSpanFile(content) {
+  const trimmed = content.trim();
+  if (trimmed === '') {
+    return [];
+  }
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return trimmed.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+  }
+}
+
+/**
+ * Reads and validates the span records steps dropped into the directory
+ * Invalid files and records are skipped with a warning, so one bad record does not drop the others
+ * @param {string} dir - Span drop directory
+ * @returns {Array<Object>} Normalized span records
+ */
+function readUserSpans(dir) {
+  if (!dir || !fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') || file.endsWith('.jsonl'))
+    .sort();
+  const spans = [];
+
+  for (const file of files) {
+    let records;
+    try {
+      records = parseSpanFile(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      core.warning(`Skipping span file ${file}: ${error.message}`);
+      continue;
+    }
+
+    records.forEach((record, index) => {
+      try {
+        spans.push(validateSpanRecord(record));
+      } catch (error) {
+        core.warning(`Skipping span record ${index + 1} in ${file}: ${error.message}`);
+      }
+    });
+  }
+
+  if (spans.length > MAX_USER_SPANS) {
+    core.warning(`Found ${spans.length} span records; only the first ${MAX_USER_SPANS} will be exported`);
+    spans.length = MAX_USER_SPANS;
+  }
+
+  core.info(`Read ${spans.length} span record(s) from ${files.length} file(s) in ${SPANS_DIR_ENV}`);
+  return spans;
+}
+
+/**
+ * Finds the record a record nests under
+ * @param {Object} record - Normalized span record
+ * @param {Map<string, Object>} recordsById - Records keyed by local id
+ * @param {Map<string, Object>} recordsBySpanId - Records keyed by span ID
+ * @returns {Object|null} Parent record, or null for the job span
+ */
+function findParentRecord(record, recordsById, recordsBySpanId) {
+  if (record.parent) {
+    const parent = recordsById.get(record.parent);
+    if (!parent) {
+      core.warning(`Span "${record.name}" names unknown parent "${record.parent}"; recording it under its step or the job span`);
+    }
+    return parent || null;
+  }
+  if (record.parentSpanId) {
+    // Any other span ID (such as the job or step span's, from TRACEPARENT) places the record under its step
+    return recordsBySpanId.get(record.parentSpanId) || null;
+  }
+  return null;
+}
+
+/**
+ * Finds the step a record belongs to: the step whose span its parentSpanId names,
+ * otherwise the step that was running when the record started
+ * @param {Object} record - Span record
+ * @param {Array<Object>} stepParents - Step span IDs, time windows and contexts
+ * @returns {Object|null} Step parent, or null if the record ran outside any step
+ */
+function findParentStep(record, stepParents) {
+  return stepParents.find(step => step.spanId === record.parentSpanId)
+    || stepParents.find(step => record.start >= step.start && record.start <= step.end)
+    || null;
+}
+
+/**
+ * Records user span records under the job span
+ * A record nests under the record its parent (local id) or parentSpanId names; any other record,
+ * including one with an unknown or circular parent, becomes a child of its step span, or of the
+ * job span if it ran outside any step
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {Array<Object>} records - Normalized span records from readUserSpans
+ * @param {Object} jobContext - Context holding the job span
+ * @param {Object} baseAttributes - Base attributes for spans (includes custom attributes)
+ * @param {Object} idGenerator - ID generator of the tracer, used to keep the span IDs records carry
+ * @param {Array<Object>} stepParents - Step spans records can nest under (spanId, start, end, context)
+ * @returns {Array<Object>} Recorded spans
+ */
+function createUserSpans(tracer, records, jobContext, baseAttributes, idGenerator = null, stepParents = []) {
+  const recordsById = new Map(records.filter(record => record.id).map(record => [record.id, record]));
+  const recordsBySpanId = new Map(records.filter(record => record.spanId).map(record => [record.spanId, record]));
+  const contexts = new Map();
+  const pending = new Set();
+  const spans = [];
+
+  const start = (record) => {
+    if (contexts.has(record)) {
+      return contexts.get(record);
+    }
+
+    pending.add(record);
+    let parentContext = findParentStep(record, stepParents)?.context || jobContext;
+    const parent = findParentRecord(record, recordsById, recordsBySpanId);
+    if (parent && pending.has(parent)) {
+      core.warning(`Span "${record.name}" has a circular parent; recording it under its step or the job span`);
+    } else if (parent) {
+      parentContext = start(parent);
+    }
+    pending.delete(record);
+
+    if (record.spanId && idGenerator) {
+      idGenerator.reserve(record.spanId);
+    }
+    const span = tracer.startSpan(record.name, {
+      startTime: record.start,
+      attributes: { ...baseAttributes, ...record.attributes },
+    }, parentContext);
+    if (record.status !== 'unset') {
+      span.setStatus({ code: STATUS_CODES[record.status], message: record.statusMessage });
+    }
+    span.end(record.end);
+
+    const spanContext = trace.setSpan(context.active(), span);
+    contexts.set(record, spanContext);
+    spans.push(span);
+    return spanContext;
+  };
+
+  records.forEach(start);
+  return spans;
+}
+
+module.exports = {
+  SPANS_DIR_ENV,
+  createSpansDir,
+  readUserSpans,
+  createUserSpans,
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const core = require('@actions/core');
+const yaml = require('yaml');
+const { TraceFlags } = require('@opentelemetry/api');
+
+/**
+ * Derives a hex ID from a stable key, so every job of a run computes the same value
+ * @param {string} key - Stable key
+ * @param {number} length - Number of hex characters
+ * @returns {string} Hex ID
+ */
+function deriveId(key, length) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, length);
+}
+
+/**
+ * Derives the trace ID shared by all jobs of a workflow run attempt
+ * @param {string|number} runId - Workflow run ID
+ * @param {string|number} attempt - Run attempt
+ * @returns {string} 32-character trace ID
+ */
+function workflowTraceId(runId, attempt) {
+  return deriveId(`github.run:${runId}:${attempt}`, 32);
+}
+
+/**
+ * Derives the span ID of the synthetic workflow-run root span
+ * @param {string|number} runId - Workflow run ID
+ * @param {string|number} attempt - Run attempt
+ * @returns {string} 16-character span ID
+ */
+function workflowRunSpanId(runId, attempt) {
+  return deriveId(`github.run.span:${runId}:${attempt}`, 16);
+}
+
+/**
+ * Derives the span ID of a job span, so downstream jobs can link to it
+ * @param {string|number} runId - Workflow run ID
+ * @param {string|number} attempt - Run attempt the job ran in
+ * @param {string|number} jobId - Job ID from the jobs API
+ * @returns {string} 16-character span ID
+ */
+function jobSpanId(runId, attempt, jobId) {
+  return deriveId(`github.job:${runId}:${attempt}:${jobId}`, 16);
+}
+
+/**
+ * Derives the span ID of a step span, so tools running inside the step can parent to it
+ * @param {string|number} runId - Workflow run ID
+ * @param {string|number} attempt - Run attempt
+ * @param {string|number} jobId - Job ID from the jobs API
+ * @param {number} stepNumber - Step number from the jobs API
+ * @returns {string} 16-character span ID
+ */
+function stepSpanId(runId, attempt, jobId, stepNumber) {
+  return deriveId(`github.step:${runId}:${attempt}:${jobId}:${stepNumber}`, 16);
+}
+
+/**
+ * Builds the map of step span contexts written for running steps
+ * @param {string|number} runId - Workflow run ID
+ * @param {string|number} attempt - Run attempt
+ * @param {Object} job - Current job from the jobs API
+ * @returns {Object} Trace ID, job span ID and the traceparent of each step
+ */
+function buildStepSpanMap(runId, attempt, job) {
+  const traceId = workflowTraceId(runId, attempt);
+  return {
+    traceId,
+    jobSpanId: jobSpanId(runId, attempt, job.id),
+    steps: (job.steps || []).map(step => {
+      const spanId = stepSpanId(runId, attempt, job.id, step.number);
+      return { number: step.number, name: step.name, spanId, traceparent: `00-${traceId}-${spanId}-01` };
+    }),
+  };
+}
+
+/**
+ * Builds the span context of the workflow-run root span, used as the parent of job spans
+ * @param {string|number} runId - Workflow run ID
+ * @param {string|number} attempt - Run attempt
+ * @returns {Object} Remote span context
+ */
+function workflowRunSpanContext(runId, attempt) {
+  return {
+    traceId: workflowTraceId(runId, attempt),
+    spanId: workflowRunSpanId(runId, attempt),
+    traceFlags: TraceFlags.SAMPLED,
+    isRemote: true,
+  };
+}
+
+/**
+ * Splits a workflow reference into repository and file path
+ * @param {string} workflowRef - Workflow reference (owner/repo/path/to/workflow.yml@ref)
+ * @returns {Object|null} Owner, repo and path, or null when the reference cannot be parsed
+ */
+function parseWorkflowRef(workflowRef) {
+  const match = (workflowRef || '').match(/^([^/]+)\/([^/]+)\/(.+)@/);
+  if (!match) {
+    return null;
+  }
+  return { owner: match[1], repo: match[2], path: match[3] };
+}
+
+/**
+ * Parses the jobs of a workflow file
+ * @param {string} source - Workflow file content
+ * @returns {Object} Job definitions keyed by job ID, each with its display name template, needs and the actions its steps use
+ */
+function parseWorkflowJobs(source) {
+  const workflow = yaml.parse(source) || {};
+  const jobs = {};
+
+  for (const [key, definition] of Object.entries(workflow.jobs || {})) {
+    jobs[key] = {
+      name: typeof definition?.name === 'string' ? definition.name : key,
+      needs: [].concat(definition?.needs || []),
+      uses: (Array.isArray(definition?.steps) ? definition.steps : [])
+        .map(step => step?.uses)
+        .filter(uses => typeof uses === 'string'),
+    };
+  }
+
+  return jobs;
+}
+
+/**
+ * Fetches and parses the jobs of the running workflow file at the commit it ran from
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Object|null>} Job definitions keyed by job ID, or null if unavailable
+ */
+async function fetchWorkflowJobs(octokit, context) {
+  const workflowRef = parseWorkflowRef(process.env.GITHUB_WORKFLOW_REF || context.workflow_ref);
+  if (!workflowRef) {
+    core.debug('Workflow reference not available, skipping job dependency lookup');
+    return null;
+  }
+
+  try {
+    const { data } = await octokit.rest.repos.getContent({
+      ...workflowRef,
+      ref: process.env.GITHUB_WORKFLOW_SHA || context.sha,
+    });
+    return parseWorkflowJobs(Buffer.from(data.content, data.encoding).toString());
+  } catch (error) {
+    core.info(`ℹ️  Could not read workflow file ${workflowRef.path}; job spans will not link to needs`);
+    core.debug(`Workflow file error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds a pattern matching the API names of a job's runs
+ * Expressions in the name template match any text, and matrix runs append their values in parentheses
+ * @param {Object} definition - Job definition from parseWorkflowJobs
+ * @returns {RegExp} Job name pattern
+ */
+function jobNamePattern(definition) {
+  const parts = definition.name
+    .split(/\$\{\{.*?\}\}/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${parts.join('.+')}( \\(.+\\))?$`);
+}
+
+/**
+ * Finds the runs of the jobs listed in a job's needs
+ * @param {Object} workflowJobs - Job definitions from parseWorkflowJobs
+ * @param {string} jobKey - Job ID of the current job (GITHUB_JOB)
+ * @param {Array<Object>} runJobs - Jobs of the run from the jobs API
+ * @returns {Array<Object>} Upstream jobs (key, name, id, attempt)
+ */
+function findUpstreamJobs(workflowJobs, jobKey, runJobs) {
+  const definition = workflowJobs?.[jobKey];
+  if (!definition) {
+    return [];
+  }
+
+  return definition.needs.flatMap(key => {
+    const upstream = workflowJobs[key];
+    if (!upstream) {
+      return [];
+    }
+    const pattern = jobNamePattern(upstream);
+    return runJobs
+      .filter(job => pattern.test(job.name))
+      .map(job => ({ key, name: job.name, id: job.id, attempt: job.run_attempt ? String(job.run_attempt) : null }));
+  });
+}
+
+/**
+ * Finds the workflow job ID (the key under `jobs:`) of a job from the jobs API
+ * @param {Object|null} workflowJobs - Job definitions from parseWorkflowJobs, if available
+ * @param {string} jobName - API name of the job
+ * @returns {string|null} Job ID, or null if no definition matches the name
+ */
+function findJobKey(workflowJobs, jobName) {
+  const entries = Object.entries(workflowJobs || {});
+  const exact = entries.find(([, definition]) => definition.name === jobName);
+  if (exact) {
+    return exact[0];
+  }
+  const match = entries.find(([, definition]) => jobNamePattern(definition).test(jobName));
+  return match ? match[0] : null;
+}
+
+/**
+ * Checks whether a job runs this action, and so exports its own queued, job and step spans
+ * @param {Object|undefined} definition - Job definition from parseWorkflowJobs
+ * @param {string} actionRepository - owner/repo of this action (GITHUB_ACTION_REPOSITORY)
+ * @returns {boolean} True if one of the job's steps uses the action
+ */
+function jobUsesAction(definition, actionRepository) {
+  if (!definition || !actionRepository) {
+    return false;
+  }
+  const repository = actionRepository.toLowerCase();
+  return definition.uses.some(uses => {
+    const target = uses.split('@')[0].toLowerCase();
+    return target === repository || target.startsWith(`${repository}/`);
+  });
+}
+
+/**
+ * Picks the job that records the workflow-run span when the jobs of a run use the action themselves
+ * Several final jobs (those no other job needs) can finish in parallel, so the one with the largest ID is
+ * chosen: every job derives the same choice from the jobs API, so no two jobs record the span
+ * @param {Object|null} workflowJobs - Job definitions from parseWorkflowJobs, if available (all jobs are final without them)
+ * @param {Array<Object>} runJobs - Jobs of the run from the jobs API
+ * @returns {number|null} ID of the job, or null if the run has no jobs
+ */
+function findRunSpanJobId(workflowJobs, runJobs) {
+  const needed = new Set(Object.values(workflowJobs || {}).flatMap(definition => definition.needs));
+  const finalJobs = runJobs.filter(job => !needed.has(findJobKey(workflowJobs, job.name)));
+  return finalJobs.length > 0 ? Math.max(...finalJobs.map(job => job.id)) : null;
+}
+
+/**
+ * Checks whether the current job finishes the run and records its workflow-run span
+ * Only the job picked by findRunSpanJobId records it, once every other job has completed; a job that
+ * other jobs need is never last
+ * @param {Object|null} workflowJobs - Job definitions from parseWorkflowJobs, if available
+ * @param {string} jobKey - Job ID of the current job (GITHUB_JOB)
+ * @param {Array<Object>} runJobs - Jobs of the run from the jobs API
+ * @param {number} currentJobId - ID of the current job
+ * @returns {boolean} True if the current job finishes the run
+ */
+function isLastJobInRun(workflowJobs, jobKey, runJobs, currentJobId) {
+  if (workflowJobs && Object.values(workflowJobs).some(definition => definition.needs.includes(jobKey))) {
+    return false;
+  }
+  return findRunSpanJobId(workflowJobs, runJobs) === currentJobId
+    && runJobs.every(job => job.id === currentJobId || job.status === 'completed');
+}
+
+/**
+ * Number of jobs requested per page of the jobs API (its maximum)
+ */
+const JOBS_PER_PAGE = 100;
+
+/**
+ * Finds the same job in the previous attempt of a re-run workflow, following pages for runs with more than 100 jobs
+ * @param {Object} octokit - Authenticated Octokit instance
+ * @param {Object} context - GitHub context
+ * @param {string} jobName - API name of the current job
+ * @param {string|number} attempt - Current run attempt
+ * @returns {Promise<Object|null>} Previous job (name, id, attempt), or null on the first attempt or if unavailable
+ */
+async function fetchPreviousAttemptJob(octokit, context, jobName, attempt) {
+  const previousAttempt = Number(attempt) - 1;
+  if (!(previousAttempt >= 1)) {
+    return null;
+  }
+
+  try {
+    const { owner, repo } = context.repo;
+    let listed = 0;
+    for (let page = 1; ; page++) {
+      const { data } = await octokit.rest.actions.listJobsForWorkflowRunAttempt({
+        owner,
+        repo,
+        run_id: context.runId,
+        attempt_number: previousAttempt,
+        per_page: JOBS_PER_PAGE,
+        page,
+      });
+      const job = data.jobs.find(candidate => candidate.name === jobName);
+      if (job) {
+        // Jobs that were not re-run keep the attempt they ran in
+        return { name: job.name, id: job.id, attempt: String(job.run_attempt || previousAttempt) };
+      }
+      listed += data.jobs.length;
+      if (data.jobs.length < JOBS_PER_PAGE || listed >= (data.total_count ?? listed)) {
+        core.debug(`Job "${jobName}" did not run in attempt ${previousAttempt}`);
+        return null;
+      }
+    }
+  } catch (error) {
+    core.info(`ℹ️  Could not read attempt ${previousAttempt} of this run; the job span will not link to it`);
+    core.debug(`Previous attempt error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Reads the run that triggered this one through a workflow_run event
+ * @param {Object} context - GitHub context
+ * @returns {Object|null} Triggering run (id, attempt, workflow, conclusion), or null for other events
+ */
+function findTriggeringRun(context) {
+  const run = context.eventName === 'workflow_run' ? context.payload?.workflow_run : null;
+  if (!run?.id) {
+    return null;
+  }
+  return {
+    id: run.id,
+    attempt: String(run.run_attempt || 1),
+    workflow: run.name || null,
+    conclusion: run.conclusion || null,
+  };
+}
+
+module.exports = {
+  JOBS_PER_PAGE,
+  workflowTraceId,
+  workflowRunSpanId,
+  jobSpanId,
+  stepSpanId,
+  buildStepSpanMap,
+  workflowRunSpanContext,
+  parseWorkflowJobs,
+  fetchWorkflowJobs,
+  findUpstreamJobs,
+  findJobKey,
+  jobUsesAction,
+  findRunSpanJobId,
+  isLastJobInRun,
+  fetchPreviousAttemptJob,
+  findTriggeringRun,
+};
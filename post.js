@@ -1,23 +1,60 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const { isValidSpanId, isValidTraceId } = require('@opentelemetry/api');
 const { getConfig } = require('./lib/config');
 const { collectMetrics, collectArtifacts } = require('./lib/collector');
-const {
-  createMeterProvider,
-  recordMetrics,
-  shutdown,
-  createTracerProvider,
-  recordTraces,
-  shutdownTracer,
-} = require('./lib/exporter');
+const { exportToBackends } = require('./lib/exporter');
+const { readUserSpans } = require('./lib/user-spans');
+const { fetchJobLog, parseJobLog, parseLogGroups, buildLogRecords } = require('./lib/job-log');
+const { readTestReports } = require('./lib/test-reports');
+const { readCoverageReports } = require('./lib/coverage');
+const { runJobsWithCurrent, summarizeRun } = require('./lib/run-summary');
+const { findCriticalPath, writeCriticalPathSummary } = require('./lib/critical-path');
+
+/**
+ * Reads the job span's trace and span IDs saved by the main step
+ * @returns {Object|null} Trace and span IDs, or null when the main step did not save valid ones
+ */
+function getJobTraceContext() {
+  const traceId = core.getState('trace-id');
+  const spanId = core.getState('span-id');
+
+  if (!isValidTraceId(traceId) || !isValidSpanId(spanId)) {
+    core.info('No trace context saved by the main step; the job span will start a new trace');
+    return null;
+  }
+
+  return { traceId, spanId };
+}
+
+/**
+ * Reports each backend's export result on its own
+ * Backends with fail-on-error fail the workflow; others only warn
+ * @param {Array<Object>} results - Per-backend export results
+ */
+function reportBackendResults(results) {
+  core.info('');
+  core.info('Export results:');
+
+  for (const result of results) {
+    if (result.success) {
+      core.info(`  ✓ ${result.name} (${result.exporter})`);
+    } else if (result.failOnError) {
+      core.setFailed(`Observability export to "${result.name}" failed: ${result.error}`);
+    } else {
+      core.warning(`Observability export to "${result.name}" failed, but workflow will continue (set fail-on-error: true to fail on export errors): ${result.error}`);
+    }
+  }
+
+  const succeeded = results.filter(r => r.success).length;
+  core.info(`Exported to ${succeeded} of ${results.length} backend(s)`);
+}
 
 /**
  * Post-action entry point
- * Collects workflow metrics and traces and exports them to Google Cloud
+ * Collects workflow metrics and traces and exports them to the configured backends
  */
 async function run() {
-  let meterProvider;
-  let tracerProvider;
   let config;
 
   try {
@@ -25,6 +62,7 @@ async function run() {
 
     // Get configuration
     config = await getConfig();
+    config.jobTraceContext = getJobTraceContext();
 
     // Get GitHub token and create Octokit client
     const token = core.getInput('github-token', { required: true });
@@ -33,6 +71,21 @@ async function run() {
     // Collect metrics from GitHub API
     const metrics = await collectMetrics(octokit, github.context);
 
+    // A final job summarizing the run records run-level metrics and the spans of every job. It needs every
+    // other job, so their timings are final: find the chain that gated the run's wall time
+    if (config.mode === 'run-summary') {
+      metrics.runSummary = summarizeRun(metrics);
+      metrics.criticalPath = findCriticalPath(runJobsWithCurrent(metrics));
+      if (metrics.criticalPath) {
+        try {
+          await writeCriticalPathSummary(metrics.criticalPath);
+        } catch (error) {
+          core.info('ℹ️  Could not write the critical path to the job summary');
+          core.debug(`Job summary error: ${error.message}`);
+        }
+      }
+    }
+
     // Check for artifacts (likely won't find any while job is running)
     const artifacts = await collectArtifacts(octokit, github.context);
 
@@ -45,54 +98,49 @@ async function run() {
       };
     }
 
-    // Initialize OpenTelemetry providers
-    const { meterProvider: provider, meter } = createMeterProvider(config);
-    meterProvider = provider;
+    // Spans steps dropped into the directory the main step exported as OTEL_SPANS_DIR
+    metrics.userSpans = readUserSpans(core.getState('spans-dir'));
 
-    const { tracerProvider: tProvider, tracer } = createTracerProvider(config);
-    tracerProvider = tProvider;
-
-    // Record metrics
-    recordMetrics(meter, metrics, config.metricPrefix, config.customAttributes);
+    // Split steps into the ::group:: sections of the job log and turn its lines into log records
+    if (config.logGroupSpans || config.jobLogs) {
+      const log = await fetchJobLog(octokit, github.context, metrics.job.id);
+      const lines = log ? parseJobLog(log) : [];
+      if (config.logGroupSpans) {
+        metrics.logGroups = parseLogGroups(lines, metrics.steps);
+      }
+      if (config.jobLogs) {
+        const { records, dropped } = buildLogRecords(lines, metrics.steps, {
+          maxLines: config.jobLogMaxLines,
+          maxBytes: config.jobLogMaxBytes,
+        });
+        if (dropped > 0) {
+          core.info(`ℹ️  Job log exceeds job-log-max-lines or job-log-max-bytes; exporting the last ${records.length} of ${records.length + dropped} line(s)`);
+        }
+        metrics.logRecords = records;
+      }
+    }
 
-    // Record traces
-    recordTraces(tracer, metrics, config.customAttributes);
+    // Test reports the job's steps wrote
+    if (config.testReports) {
+      metrics.tests = await readTestReports(config.testReports);
+    }
 
-    // Force flush and shutdown to ensure data is exported
-    await shutdown(meterProvider);
-    await shutdownTracer(tracerProvider);
+    // Coverage reports the job's steps wrote
+    if (config.coverageReports) {
+      metrics.coverage = await readCoverageReports(config.coverageReports);
+    }
 
-    core.info('✓ Metrics and traces successfully exported to Google Cloud');
+    // Record and export to each backend; failures are isolated per backend
+    const results = await exportToBackends(config, metrics);
+    reportBackendResults(results);
   } catch (error) {
     core.error(`Post-action failed: ${error?.message || JSON.stringify(error)}`);
     core.error(error.stack);
 
-    // Try to shutdown gracefully even on error
-    if (meterProvider) {
-      try {
-        await shutdown(meterProvider);
-      } catch (shutdownError) {
-        core.error(`Error during metrics shutdown: ${shutdownError?.message || JSON.stringify(shutdownError)}`);
-      }
-      core.info('✓ Meter provider shut down successfully after error');
-    } else {
-      core.info('No meter provider to shut down after error');
-    }
-
-    if (tracerProvider) {
-      try {
-        await shutdownTracer(tracerProvider);
-      } catch (shutdownError) {
-        core.error(`Error during trace shutdown: ${shutdownError?.message || JSON.stringify(shutdownError)}`);
-      }
-      core.info('✓ Tracer provider shut down successfully after error');
-    } else {
-      core.info('No tracer provider to shut down after error');
-    }
-
     // Decide whether to fail the workflow based on config
     // Note: config might not be defined if error occurred before getConfig()
-    const shouldFail = config?.failOnError || false;
+    // Nothing reached any backend, so fail if any of them asked for it
+    const shouldFail = config?.failOnError || config?.backends?.some(b => b.failOnError) || false;
     const errorMsg = error?.message || error?.toString() || 'Unknown error';
     if (shouldFail) {
       core.setFailed(`Observability export failed: ${errorMsg}`);
@@ -0,0 +1,112 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const core = require('@actions/core');
+const { fetchAnnotations, assignAnnotationSteps, countAnnotations } = require('../lib/annotations');
+
+const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+test('fetchAnnotations', async (t) => {
+  let originalInfo;
+
+  t.beforeEach(() => {
+    originalInfo = core.info;
+    core.info = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.info = originalInfo;
+  });
+
+  await t.test('should read the annotations of the job check run', async () => {
+    const octokit = {
+      rest: {
+        checks: {
+          listAnnotations: mock.fn(async () => ({
+            data: [{
+              annotation_level: 'warning',
+              message: 'Unused variable "x"',
+              title: 'no-unused-vars',
+              path: 'src/index.js',
+              start_line: 4,
+              end_line: 4,
+            }],
+          })),
+        },
+      },
+    };
+
+    const annotations = await fetchAnnotations(octokit, context, { id: 1, check_run_url: 'https://api.github.com/repos/o/r/check-runs/99' });
+
+    assert.strictEqual(octokit.rest.checks.listAnnotations.mock.calls[0].arguments[0].check_run_id, 99);
+    assert.deepStrictEqual(annotations, [{
+      level: 'warning',
+      message: 'Unused variable "x"',
+      title: 'no-unused-vars',
+      path: 'src/index.js',
+      startLine: 4,
+      endLine: 4,
+    }]);
+  });
+
+  await t.test('should follow pages past 100 annotations', async () => {
+    const notice = { annotation_level: 'notice', message: 'Coverage 80%' };
+    const pages = [Array(100).fill(notice), [{ annotation_level: 'failure', message: 'Process completed with exit code 1.' }]];
+    const octokit = { rest: { checks: { listAnnotations: mock.fn(async ({ page }) => ({ data: pages[page - 1] })) } } };
+
+    const annotations = await fetchAnnotations(octokit, context, { id: 1 });
+
+    assert.strictEqual(annotations.length, 101);
+    assert.strictEqual(annotations[100].level, 'failure');
+    assert.deepStrictEqual(octokit.rest.checks.listAnnotations.mock.calls.map(call => call.arguments[0].page), [1, 2]);
+  });
+
+  await t.test('should return nothing when annotations cannot be read', async () => {
+    const octokit = {
+      rest: {
+        checks: {
+          listAnnotations: mock.fn(async () => {
+            throw new Error('Resource not accessible by integration');
+          }),
+        },
+      },
+    };
+
+    assert.deepStrictEqual(await fetchAnnotations(octokit, context, { id: 1 }), []);
+    assert.strictEqual(octokit.rest.checks.listAnnotations.mock.calls[0].arguments[0].check_run_id, 1);
+    assert.strictEqual(core.info.mock.callCount(), 1);
+  });
+});
+
+test('assignAnnotationSteps', async (t) => {
+  const annotation = (level, message) => ({ level, message, title: null, path: null, startLine: null, endLine: null });
+
+  await t.test('should place failures on the only failed step', () => {
+    const steps = [{ number: 1, conclusion: 'success' }, { number: 2, conclusion: 'failure' }];
+
+    const assigned = assignAnnotationSteps([
+      annotation('failure', 'Expected 2 to equal 3'),
+      annotation('failure', 'Process completed with exit code 1.'),
+      annotation('warning', 'Deprecated API'),
+    ], steps);
+
+    assert.deepStrictEqual(assigned.map(a => a.stepNumber), [2, 2, null]);
+  });
+
+  await t.test('should place exit-code annotations on failed steps in order when several failed', () => {
+    const steps = [{ number: 1, conclusion: 'failure' }, { number: 2, conclusion: 'success' }, { number: 3, conclusion: 'failure' }];
+
+    const assigned = assignAnnotationSteps([
+      annotation('failure', 'Process completed with exit code 2.'),
+      annotation('failure', 'Type error in src/app.ts'),
+      annotation('failure', 'Process completed with exit code 1.'),
+    ], steps);
+
+    assert.deepStrictEqual(assigned.map(a => a.stepNumber), [1, null, 3]);
+  });
+});
+
+test('countAnnotations', async (t) => {
+  await t.test('should count every level', () => {
+    assert.deepStrictEqual(countAnnotations([{ level: 'notice' }, { level: 'notice' }]), { failure: 0, warning: 0, notice: 2 });
+  });
+});
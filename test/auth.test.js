@@ -0,0 +1,210 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { GoogleAuth } = require('google-auth-library');
+const {
+  buildImpersonatedCredentials,
+  buildWorkloadIdentityCredentials,
+  getWorkloadIdentityCredentials,
+} = require('../lib/auth');
+const { startServer, replyJSON } = require('./helpers/http-server');
+
+const PROVIDER = 'projects/123456789/locations/global/workloadIdentityPools/github/providers/github-actions';
+const SERVICE_ACCOUNT = 'metrics@test-project.iam.gserviceaccount.com';
+
+/**
+ * Starts a local HTTP server that stands in for the GitHub OIDC, STS and IAM Credentials endpoints
+ * @returns {Promise<Object>} Server endpoint, captured requests, and close function
+ */
+function startTokenEndpoints() {
+  return startServer((req, res, body) => {
+    const reply = (status, payload) => replyJSON(res, status, payload);
+
+    if (req.url.startsWith('/oidc')) {
+      return req.headers.authorization === 'Bearer request-token'
+        ? reply(200, { value: 'github-oidc-jwt' })
+        : reply(401, { message: 'Bad credentials' });
+    }
+    if (req.url === '/sts/v1/token') {
+      const params = new URLSearchParams(body.toString());
+      return params.get('subject_token') === 'github-oidc-jwt'
+        ? reply(200, {
+          access_token: 'federated-token',
+          issued_token_type: 'urn:ietf:params:oauth:token-type:access_token',
+          token_type: 'Bearer',
+          expires_in: 3600,
+        })
+        : reply(400, { error: 'invalid_grant', error_description: 'Invalid subject token' });
+    }
+    if (req.url.endsWith(':generateAccessToken')) {
+      return ['Bearer federated-token', 'Bearer source-token'].includes(req.headers.authorization)
+        ? reply(200, { accessToken: 'service-account-token', expireTime: new Date(Date.now() + 3600 * 1000).toISOString() })
+        : reply(403, { error: { code: 403, message: 'Permission denied' } });
+    }
+    reply(404, {});
+  });
+}
+
+test('buildWorkloadIdentityCredentials', async (t) => {
+  await t.test('should build external account credentials for GitHub OIDC', () => {
+    const credentials = buildWorkloadIdentityCredentials({
+      workloadIdentityProvider: PROVIDER,
+      serviceAccount: SERVICE_ACCOUNT,
+      tokenRequestUrl: 'https://token.actions.example.com/token?api-version=2.0',
+      tokenRequestToken: 'request-token',
+    });
+
+    assert.strictEqual(credentials.type, 'external_account');
+    assert.strictEqual(credentials.audience, `//iam.googleapis.com/${PROVIDER}`);
+    assert.strictEqual(credentials.token_url, 'https://sts.googleapis.com/v1/token');
+    assert.strictEqual(
+      credentials.service_account_impersonation_url,
+      'https://iamcredentials.googleapis.com/v1/projects/-/serviceAccounts/metrics%40test-project.iam.gserviceaccount.com:generateAccessToken'
+    );
+
+    const sourceUrl = new URL(credentials.credential_source.url);
+    assert.strictEqual(sourceUrl.searchParams.get('api-version'), '2.0');
+    assert.strictEqual(sourceUrl.searchParams.get('audience'), `https://iam.googleapis.com/${PROVIDER}`);
+    assert.deepStrictEqual(credentials.credential_source.headers, { Authorization: 'Bearer request-token' });
+  });
+
+  await t.test('should reject a provider that is not a full resource name', () => {
+    assert.throws(() => buildWorkloadIdentityCredentials({
+      workloadIdentityProvider: 'github-actions',
+      serviceAccount: SERVICE_ACCOUNT,
+      tokenRequestUrl: 'https://token.actions.example.com/token',
+      tokenRequestToken: 'request-token',
+    }), /Invalid workload-identity-provider "github-actions"/);
+  });
+
+  await t.test('should require the id-token permission', () => {
+    assert.throws(() => buildWorkloadIdentityCredentials({
+      workloadIdentityProvider: PROVIDER,
+      serviceAccount: SERVICE_ACCOUNT,
+    }), /id-token: write/);
+  });
+});
+
+test('Workload Identity Federation token exchange', async (t) => {
+  await t.test('should exchange the GitHub OIDC token and impersonate the service account', async () => {
+    const endpoints = await startTokenEndpoints();
+    const credentials = buildWorkloadIdentityCredentials({
+      workloadIdentityProvider: PROVIDER,
+      serviceAccount: SERVICE_ACCOUNT,
+      tokenRequestUrl: `${endpoints.endpoint}/oidc?api-version=2.0`,
+      tokenRequestToken: 'request-token',
+      stsTokenUrl: `${endpoints.endpoint}/sts/v1/token`,
+      iamCredentialsEndpoint: `${endpoints.endpoint}/iam`,
+    });
+
+    const auth = new GoogleAuth({ credentials, scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    const token = await auth.getAccessToken();
+    await endpoints.close();
+
+    assert.strictEqual(token, 'service-account-token');
+
+    const [oidc, sts, impersonation] = endpoints.requests;
+    assert.strictEqual(new URL(oidc.url, endpoints.endpoint).searchParams.get('audience'), `https://iam.googleapis.com/${PROVIDER}`);
+
+    const stsParams = new URLSearchParams(sts.body.toString());
+    assert.strictEqual(stsParams.get('grant_type'), 'urn:ietf:params:oauth:grant-type:token-exchange');
+    assert.strictEqual(stsParams.get('audience'), `//iam.googleapis.com/${PROVIDER}`);
+    assert.strictEqual(stsParams.get('subject_token_type'), 'urn:ietf:params:oauth:token-type:jwt');
+
+    assert.strictEqual(impersonation.url, '/iam/v1/projects/-/serviceAccounts/metrics%40test-project.iam.gserviceaccount.com:generateAccessToken');
+    assert.deepStrictEqual(JSON.parse(impersonation.body.toString()).scope, ['https://www.googleapis.com/auth/cloud-platform']);
+  });
+
+  await t.test('should surface a rejected OIDC request', async () => {
+    const endpoints = await startTokenEndpoints();
+    const credentials = buildWorkloadIdentityCredentials({
+      workloadIdentityProvider: PROVIDER,
+      serviceAccount: SERVICE_ACCOUNT,
+      tokenRequestUrl: `${endpoints.endpoint}/oidc`,
+      tokenRequestToken: 'expired-token',
+      stsTokenUrl: `${endpoints.endpoint}/sts/v1/token`,
+      iamCredentialsEndpoint: `${endpoints.endpoint}/iam`,
+    });
+
+    const auth = new GoogleAuth({ credentials, scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    await assert.rejects(auth.getAccessToken());
+    await endpoints.close();
+
+    assert.strictEqual(endpoints.requests.length, 1, 'STS should not be called without a subject token');
+  });
+});
+
+test('service account impersonation', async (t) => {
+  await t.test('should exchange the key credentials for a short-lived token of the target account', async () => {
+    const endpoints = await startTokenEndpoints();
+    const sourceKey = {
+      type: 'service_account',
+      project_id: 'test-project',
+      private_key: 'not-a-real-private-key',
+      client_email: 'deployer@test-project.iam.gserviceaccount.com',
+    };
+
+    const credentials = buildImpersonatedCredentials(sourceKey, SERVICE_ACCOUNT, `${endpoints.endpoint}/iam`);
+    const auth = new GoogleAuth({ credentials, scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+    const client = await auth.getClient();
+    // The key's own token exchange always goes to Google, so start from an already issued source token
+    client.sourceClient.setCredentials({ access_token: 'source-token', expiry_date: Date.now() + 3600 * 1000 });
+
+    const { token } = await client.getAccessToken();
+    await endpoints.close();
+
+    assert.strictEqual(client.getTargetPrincipal(), 'metrics%40test-project.iam.gserviceaccount.com');
+    assert.strictEqual(token, 'service-account-token');
+
+    const [impersonation] = endpoints.requests;
+    assert.strictEqual(impersonation.headers.authorization, 'Bearer source-token');
+    assert.strictEqual(impersonation.url, '/iam/v1/projects/-/serviceAccounts/metrics%40test-project.iam.gserviceaccount.com:generateAccessToken');
+    assert.deepStrictEqual(JSON.parse(impersonation.body.toString()).scope, ['https://www.googleapis.com/auth/cloud-platform']);
+  });
+});
+
+test('getWorkloadIdentityCredentials', async (t) => {
+  const core = require('@actions/core');
+  let originalGetInput;
+  let originalInfo;
+  let originalSetSecret;
+  let originalEnv;
+
+  t.beforeEach(() => {
+    originalGetInput = core.getInput;
+    originalInfo = core.info;
+    originalSetSecret = core.setSecret;
+    originalEnv = { ...process.env };
+    core.info = () => {};
+    core.setSecret = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.getInput = originalGetInput;
+    core.info = originalInfo;
+    core.setSecret = originalSetSecret;
+    process.env = originalEnv;
+  });
+
+  await t.test('should return null when not configured', () => {
+    core.getInput = mock.fn(() => '');
+    assert.strictEqual(getWorkloadIdentityCredentials(), null);
+  });
+
+  await t.test('should require both inputs', () => {
+    core.getInput = mock.fn(name => (name === 'workload-identity-provider' ? PROVIDER : ''));
+    assert.throws(() => getWorkloadIdentityCredentials(), /must be provided together/);
+  });
+
+  await t.test('should read the OIDC request settings from the runner environment', () => {
+    const inputs = { 'workload-identity-provider': PROVIDER, 'service-account': SERVICE_ACCOUNT };
+    core.getInput = mock.fn(name => inputs[name] || '');
+    process.env.ACTIONS_ID_TOKEN_REQUEST_URL = 'https://token.actions.example.com/token?api-version=2.0';
+    process.env.ACTIONS_ID_TOKEN_REQUEST_TOKEN = 'request-token';
+
+    const result = getWorkloadIdentityCredentials();
+
+    assert.strictEqual(result.serviceAccount, SERVICE_ACCOUNT);
+    assert.strictEqual(result.credentials.credential_source.headers.Authorization, 'Bearer request-token');
+    assert.deepStrictEqual(core.setSecret.mock.calls[0].arguments, ['request-token']);
+  });
+});
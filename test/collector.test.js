@@ -1,6 +1,6 @@
 const { test, mock } = require('node:test');
 const assert = require('node:assert');
-const { collectMetrics } = require('../lib/collector');
+const { collectMetrics, waitForOtherJobs } = require('../lib/collector');
 
 test('collectMetrics', async (t) => {
   await t.test('should collect metrics from GitHub API', async () => {
@@ -293,7 +293,32 @@ test('collectMetrics', async (t) => {
     assert.strictEqual(metrics.runner.labels.length, 0);
   });
 
-  await t.test('should find matrix job by runner name', async () => {
+  await t.test('should measure the time the job was queued', async () => {
+    const job = {
+      id: 12345,
+      name: 'test-job',
+      status: 'completed',
+      conclusion: 'success',
+      created_at: '2025-01-01T09:58:30Z',
+      started_at: '2025-01-01T10:00:00Z',
+      completed_at: '2025-01-01T10:05:00Z',
+      steps: [],
+    };
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' }, runId: 67890, runNumber: 42, workflow: 'CI' };
+    process.env.GITHUB_JOB = 'test-job';
+
+    const listJobs = (jobs) => ({ rest: { actions: { listJobsForWorkflowRun: mock.fn(async () => ({ data: { jobs } })) } } });
+
+    const metrics = await collectMetrics(listJobs([job]), mockContext);
+    assert.deepStrictEqual(metrics.job.createdAt, new Date('2025-01-01T09:58:30Z'));
+    assert.strictEqual(metrics.job.queueTimeMs, 90000);
+
+    const withoutCreation = await collectMetrics(listJobs([{ ...job, created_at: undefined }]), mockContext);
+    assert.strictEqual(withoutCreation.job.createdAt, null);
+    assert.strictEqual(withoutCreation.job.queueTimeMs, null);
+  });
+
+  await t.test('should find matrix job by runner name', async (st) => {
     const mockJobData = {
       jobs: [
         {
@@ -335,11 +360,20 @@ test('collectMetrics', async (t) => {
     process.env.GITHUB_JOB = 'build-matrix';
     process.env.RUNNER_NAME = 'GitHub Actions 456';
 
-    const metrics = await collectMetrics(mockOctokit, mockContext);
+    // The job has the largest ID, so it waits for the other leg before giving up on the workflow-run span
+    st.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    let settled = false;
+    const collecting = collectMetrics(mockOctokit, mockContext).finally(() => { settled = true; });
+    while (!settled) {
+      await new Promise(resolve => setImmediate(resolve));
+      st.mock.timers.tick(10000);
+    }
+    const metrics = await collecting;
 
     // Should find the matrix job by matching runner name
     assert.strictEqual(metrics.job.id, 33333);
     assert.strictEqual(metrics.job.name, 'build-matrix (1, windows)');
+    assert.strictEqual(metrics.run.lastJob, false);
   });
 
   await t.test('should extract workflow path from workflow_ref', async () => {
@@ -399,4 +433,171 @@ test('collectMetrics', async (t) => {
     // Should prefer context.workflow over parsing workflow_ref
     assert.strictEqual(metrics.workflow, 'CI Workflow');
   });
+
+  await t.test('should resolve needs and whether the job finishes the run', async () => {
+    const workflow = 'jobs:\n  build:\n    runs-on: ubuntu-latest\n  test-job:\n    needs: build\n';
+    const mockJobData = {
+      jobs: [
+        {
+          id: 111,
+          name: 'build',
+          status: 'completed',
+          conclusion: 'success',
+          run_attempt: 1,
+          created_at: '2025-01-01T09:58:00Z',
+          started_at: '2025-01-01T09:59:00Z',
+          completed_at: '2025-01-01T10:00:00Z',
+          steps: [],
+        },
+        {
+          id: 12345,
+          name: 'test-job',
+          status: 'in_progress',
+          conclusion: null,
+          run_attempt: 1,
+          started_at: '2025-01-01T10:00:00Z',
+          steps: [],
+        },
+      ],
+    };
+
+    const mockOctokit = {
+      rest: {
+        actions: { listJobsForWorkflowRun: mock.fn(async () => ({ data: mockJobData })) },
+        repos: {
+          getContent: mock.fn(async () => ({ data: { content: Buffer.from(workflow).toString('base64'), encoding: 'base64' } })),
+        },
+      },
+    };
+    const mockContext = {
+      repo: { owner: 'test-owner', repo: 'test-repo' },
+      runId: 67890,
+      runNumber: 42,
+      workflow: 'CI',
+      workflow_ref: 'test-owner/test-repo/.github/workflows/ci.yml@refs/heads/main',
+      sha: 'abc123',
+    };
+    process.env.GITHUB_JOB = 'test-job';
+
+    const metrics = await collectMetrics(mockOctokit, mockContext);
+
+    assert.strictEqual(metrics.job.key, 'test-job');
+    assert.deepStrictEqual(metrics.job.needs, [{ key: 'build', name: 'build', id: 111, attempt: '1' }]);
+    assert.strictEqual(metrics.run.lastJob, true);
+    assert.strictEqual(metrics.run.jobs.length, 2);
+    assert.deepStrictEqual(metrics.run.jobs[0].createdAt, new Date('2025-01-01T09:58:00Z'));
+    assert.strictEqual(metrics.run.jobs[0].key, 'build');
+    assert.deepStrictEqual(metrics.run.jobs[1].needs, [{ key: 'build', name: 'build', id: 111, attempt: '1' }]);
+    assert.strictEqual(mockOctokit.rest.actions.listJobsForWorkflowRun.mock.calls[0].arguments[0].per_page, 100);
+  });
+
+  await t.test('should follow pages of the jobs API for runs with more than 100 jobs', async () => {
+    const jobs = Array.from({ length: 130 }, (_, index) => ({
+      id: index + 1,
+      name: index === 129 ? 'test-job' : `shard ${index + 1}`,
+      status: 'completed',
+      conclusion: 'success',
+      started_at: '2025-01-01T10:00:00Z',
+      completed_at: '2025-01-01T10:05:00Z',
+      steps: [{ name: 'Run', number: 1, status: 'completed', conclusion: 'success', started_at: '2025-01-01T10:00:00Z', completed_at: '2025-01-01T10:04:00Z' }],
+    }));
+    const listJobsForWorkflowRun = mock.fn(async ({ page, per_page: perPage }) => ({
+      data: { total_count: jobs.length, jobs: jobs.slice((page - 1) * perPage, page * perPage) },
+    }));
+    const mockOctokit = { rest: { actions: { listJobsForWorkflowRun } } };
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' }, runId: 67890, runNumber: 42, workflow: 'CI' };
+    process.env.GITHUB_JOB = 'test-job';
+
+    const metrics = await collectMetrics(mockOctokit, mockContext);
+
+    assert.strictEqual(listJobsForWorkflowRun.mock.callCount(), 2);
+    assert.strictEqual(metrics.job.id, 130);
+    assert.strictEqual(metrics.run.jobs.length, 130);
+    assert.strictEqual(metrics.run.jobs[0].steps[0].durationMs, 240000);
+  });
+
+  await t.test('should find the previous attempt and the triggering run', async () => {
+    const job = { id: 12345, name: 'test-job', status: 'in_progress', conclusion: null, run_attempt: 2, steps: [] };
+    const mockOctokit = {
+      rest: {
+        actions: {
+          listJobsForWorkflowRun: mock.fn(async () => ({ data: { jobs: [job] } })),
+          listJobsForWorkflowRunAttempt: mock.fn(async () => ({ data: { jobs: [{ ...job, id: 12000, run_attempt: 1 }] } })),
+        },
+      },
+    };
+    const mockContext = {
+      repo: { owner: 'test-owner', repo: 'test-repo' },
+      runId: 67890,
+      runNumber: 42,
+      workflow: 'Deploy',
+      eventName: 'workflow_run',
+      payload: { workflow_run: { id: 55555, run_attempt: 1, name: 'CI', conclusion: 'success' } },
+    };
+    process.env.GITHUB_JOB = 'test-job';
+    process.env.GITHUB_RUN_ATTEMPT = '2';
+
+    const metrics = await collectMetrics(mockOctokit, mockContext);
+    process.env.GITHUB_RUN_ATTEMPT = '1';
+
+    assert.deepStrictEqual(metrics.job.previousAttempt, { name: 'test-job', id: 12000, attempt: '1' });
+    assert.deepStrictEqual(metrics.run.triggeredBy, { id: 55555, attempt: '1', workflow: 'CI', conclusion: 'success' });
+  });
+
+  await t.test('should collect the check-run annotations of the job', async () => {
+    const mockOctokit = {
+      rest: {
+        actions: {
+          listJobsForWorkflowRun: mock.fn(async () => ({
+            data: {
+              jobs: [{
+                id: 12345,
+                name: 'test-job',
+                status: 'in_progress',
+                check_run_url: 'https://api.github.com/repos/test-owner/test-repo/check-runs/12345',
+                steps: [{ name: 'Test', number: 2, status: 'completed', conclusion: 'failure' }],
+              }],
+            },
+          })),
+        },
+        checks: {
+          listAnnotations: mock.fn(async () => ({
+            data: [{ annotation_level: 'failure', message: 'Process completed with exit code 1.', path: '.github', start_line: 1 }],
+          })),
+        },
+      },
+    };
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' }, runId: 67890, runNumber: 42, workflow: 'CI' };
+    process.env.GITHUB_JOB = 'test-job';
+
+    const metrics = await collectMetrics(mockOctokit, mockContext);
+
+    assert.strictEqual(mockOctokit.rest.checks.listAnnotations.mock.calls[0].arguments[0].check_run_id, 12345);
+    assert.strictEqual(metrics.annotations.length, 1);
+    assert.strictEqual(metrics.annotations[0].stepNumber, 2);
+  });
+});
+
+test('waitForOtherJobs', async (t) => {
+  const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' }, runId: 67890 };
+  const listJobs = (...responses) => ({
+    rest: { actions: { listJobsForWorkflowRun: mock.fn(async () => ({ data: { jobs: responses.shift() } })) } },
+  });
+
+  await t.test('should return the jobs once every other job has completed', async () => {
+    const octokit = listJobs(
+      [{ id: 1, status: 'in_progress' }, { id: 2, status: 'in_progress' }],
+      [{ id: 1, status: 'completed' }, { id: 2, status: 'in_progress' }],
+    );
+
+    const jobs = await waitForOtherJobs(octokit, mockContext, 2, 1000, 1);
+    assert.deepStrictEqual(jobs.map(job => job.status), ['completed', 'in_progress']);
+    assert.strictEqual(octokit.rest.actions.listJobsForWorkflowRun.mock.callCount(), 2);
+  });
+
+  await t.test('should give up after the timeout', async () => {
+    const octokit = { rest: { actions: { listJobsForWorkflowRun: mock.fn(async () => ({ data: { jobs: [{ id: 1, status: 'queued' }] } })) } } };
+
+    assert.strictEqual(await waitForOtherJobs(octokit, mockContext, 2, 20, 5), null);
+  });
 });
@@ -167,3 +167,471 @@ test('config attributes parsing', async (t) => {
     assert.ok(loggedWarnings.some(msg => msg.includes('Failed to parse custom attributes') && msg.includes('must be a YAML object')));
   });
 });
+
+test('config exporter selection', async (t) => {
+  let originalGetInput;
+  let originalGetBooleanInput;
+  let originalInfo;
+  let originalSetSecret;
+  let maskedValues;
+
+  t.beforeEach(() => {
+    const core = require('@actions/core');
+    originalGetInput = core.getInput;
+    originalGetBooleanInput = core.getBooleanInput;
+    originalInfo = core.info;
+    originalSetSecret = core.setSecret;
+    maskedValues = [];
+
+    core.info = () => {};
+    core.setSecret = (value) => maskedValues.push(value);
+    core.getBooleanInput = mock.fn(() => false);
+  });
+
+  t.afterEach(() => {
+    const core = require('@actions/core');
+    core.getInput = originalGetInput;
+    core.getBooleanInput = originalGetBooleanInput;
+    core.info = originalInfo;
+    core.setSecret = originalSetSecret;
+    delete require.cache[require.resolve('../lib/config')];
+  });
+
+  /**
+   * Mocks core.getInput with a fixed set of inputs
+   * @param {Object} inputs - Input name to value mapping
+   */
+  function setInputs(inputs) {
+    const core = require('@actions/core');
+    core.getInput = mock.fn((name) => inputs[name] || '');
+  }
+
+  await t.test('should default to the gcp exporter', async () => {
+    setInputs({ 'gcp-project-id': 'test-project' });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    assert.strictEqual(result.backends.length, 1);
+    assert.strictEqual(result.backends[0].exporter, 'gcp');
+    assert.strictEqual(result.backends[0].gcpLogging, false);
+    assert.strictEqual(result.gcpProjectId, 'test-project');
+  });
+
+  await t.test('should build Workload Identity Federation credentials', async () => {
+    const provider = 'projects/123456789/locations/global/workloadIdentityPools/github/providers/github-actions';
+    const originalEnv = { ...process.env };
+    // Nothing listens here, so the best-effort IAM check fails fast
+    process.env.ACTIONS_ID_TOKEN_REQUEST_URL = 'http://127.0.0.1:9/token?api-version=2.0';
+    process.env.ACTIONS_ID_TOKEN_REQUEST_TOKEN = 'request-token';
+
+    setInputs({
+      'gcp-project-id': 'test-project',
+      'workload-identity-provider': provider,
+      'service-account': 'metrics@test-project.iam.gserviceaccount.com',
+    });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    assert.strictEqual(result.gcpCredentials.type, 'external_account');
+    assert.strictEqual(result.gcpCredentials.audience, `//iam.googleapis.com/${provider}`);
+    assert.strictEqual(result.gcpServiceAccountKey, null);
+    assert.ok(maskedValues.includes('request-token'));
+
+    setInputs({
+      'gcp-project-id': 'test-project',
+      'gcp-service-account-key-file': 'key.json',
+      'workload-identity-provider': provider,
+      'service-account': 'metrics@test-project.iam.gserviceaccount.com',
+    });
+    await assert.rejects(config.getConfig(), /gcp-service-account-key-file or gcp-credentials-json\) or workload-identity-provider/);
+
+    process.env = originalEnv;
+  });
+
+  // The keys below cannot sign token requests, so the best-effort IAM check fails without network access
+  await t.test('should read a masked service account key from gcp-credentials-json', async () => {
+    const key = JSON.stringify({
+      type: 'service_account',
+      project_id: 'key-project',
+      private_key: 'not-a-real-private-key',
+      client_email: 'metrics@key-project.iam.gserviceaccount.com',
+    });
+    setInputs({ 'gcp-credentials-json': key });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    assert.strictEqual(result.gcpProjectId, 'key-project');
+    assert.strictEqual(result.gcpServiceAccountKey, key);
+    assert.strictEqual(result.gcpCredentials, null);
+    assert.ok(maskedValues.includes(key));
+    assert.ok(maskedValues.includes('not-a-real-private-key'));
+
+    setInputs({ 'gcp-credentials-json': key, 'gcp-service-account-key-file': 'key.json' });
+    await assert.rejects(config.getConfig(), /either gcp-service-account-key-file or gcp-credentials-json/);
+  });
+
+  await t.test('should impersonate a service account instead of using the key directly', async () => {
+    const key = JSON.stringify({
+      type: 'service_account',
+      project_id: 'key-project',
+      private_key: 'not-a-real-private-key',
+      client_email: 'deployer@key-project.iam.gserviceaccount.com',
+    });
+    setInputs({
+      'gcp-credentials-json': key,
+      'impersonate-service-account': 'metrics@key-project.iam.gserviceaccount.com',
+    });
+    const logged = [];
+    require('@actions/core').info = (msg) => logged.push(msg);
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    // Both the impersonated account and the long-lived key's own account are checked
+    assert.ok(logged.includes('Checking IAM permissions of metrics@key-project.iam.gserviceaccount.com...'));
+    assert.ok(logged.includes('Checking IAM permissions of deployer@key-project.iam.gserviceaccount.com...'));
+
+    assert.strictEqual(result.gcpServiceAccountKey, null);
+    assert.strictEqual(result.gcpCredentials.type, 'impersonated_service_account');
+    assert.strictEqual(result.gcpCredentials.source_credentials.client_email, 'deployer@key-project.iam.gserviceaccount.com');
+    assert.match(result.gcpCredentials.service_account_impersonation_url, /metrics%40key-project\.iam\.gserviceaccount\.com:generateAccessToken$/);
+
+    setInputs({
+      'gcp-project-id': 'test-project',
+      'gcp-credentials-json': 'not json',
+      'impersonate-service-account': 'metrics@key-project.iam.gserviceaccount.com',
+    });
+    await assert.rejects(config.getConfig(), /impersonate-service-account requires a valid service account key/);
+  });
+
+  await t.test('should parse Cloud Logging settings for the gcp exporter', async () => {
+    setInputs({ 'gcp-project-id': 'test-project', 'gcp-logging': 'true', 'gcp-log-name': 'ci-jobs' });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    assert.strictEqual(result.backends[0].gcpLogging, true);
+    assert.strictEqual(result.backends[0].gcpLogName, 'ci-jobs');
+
+    setInputs({ 'gcp-project-id': 'test-project', 'gcp-logging': 'yes' });
+    await assert.rejects(config.getConfig(), /Invalid gcp-logging "yes"/);
+  });
+
+  await t.test('should parse log-group-spans', async () => {
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318' });
+    const config = require('../lib/config');
+    assert.strictEqual((await config.getConfig()).logGroupSpans, false);
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'log-group-spans': 'true' });
+    assert.strictEqual((await config.getConfig()).logGroupSpans, true);
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'log-group-spans': 'on' });
+    await assert.rejects(config.getConfig(), /Invalid log-group-spans "on"/);
+  });
+
+  await t.test('should parse job log settings', async () => {
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318' });
+    const config = require('../lib/config');
+    const defaults = await config.getConfig();
+    assert.strictEqual(defaults.jobLogs, false);
+    assert.strictEqual(defaults.jobLogMaxLines, 10000);
+    assert.strictEqual(defaults.jobLogMaxBytes, 1048576);
+
+    setInputs({
+      exporter: 'otlp-http',
+      'otlp-endpoint': 'http://collector:4318',
+      'job-logs': 'true',
+      'job-log-max-lines': '500',
+      'job-log-max-bytes': '65536',
+    });
+    const parsed = await config.getConfig();
+    assert.strictEqual(parsed.jobLogs, true);
+    assert.strictEqual(parsed.jobLogMaxLines, 500);
+    assert.strictEqual(parsed.jobLogMaxBytes, 65536);
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'job-log-max-lines': '0' });
+    await assert.rejects(config.getConfig(), /Invalid job-log-max-lines "0": must be a positive integer/);
+  });
+
+  await t.test('should turn job logs off with a warning when no backend accepts logs', async () => {
+    const core = require('@actions/core');
+    const originalWarning = core.warning;
+    const warnings = [];
+    core.warning = (msg) => warnings.push(msg);
+
+    setInputs({ exporter: 'zipkin', 'zipkin-endpoint': 'http://zipkin:9411/api/v2/spans', 'job-logs': 'true' });
+    const result = await require('../lib/config').getConfig();
+    core.warning = originalWarning;
+
+    assert.strictEqual(result.jobLogs, false);
+    assert.ok(warnings.some(msg => msg.includes('none of the configured backends (zipkin) accepts logs')));
+  });
+
+  await t.test('should read test-reports patterns', async () => {
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318' });
+    const config = require('../lib/config');
+    assert.strictEqual((await config.getConfig()).testReports, null);
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'test-reports': 'reports/**/*.xml\n!reports/tmp/**' });
+    assert.strictEqual((await config.getConfig()).testReports, 'reports/**/*.xml\n!reports/tmp/**');
+  });
+
+  await t.test('should read coverage-reports patterns', async () => {
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'coverage-reports': 'coverage/lcov.info' });
+    const config = require('../lib/config');
+    assert.strictEqual((await config.getConfig()).coverageReports, 'coverage/lcov.info');
+  });
+
+  await t.test('should read the collection mode', async () => {
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318' });
+    const config = require('../lib/config');
+    assert.strictEqual((await config.getConfig()).mode, 'job');
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', mode: 'run-summary' });
+    assert.strictEqual((await config.getConfig()).mode, 'run-summary');
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', mode: 'workflow' });
+    await assert.rejects(config.getConfig(), /Invalid mode "workflow". Supported values: job, run-summary/);
+  });
+
+  await t.test('should reject an unknown permission-check mode', async () => {
+    setInputs({ 'gcp-project-id': 'test-project', 'permission-check': 'skip' });
+
+    const config = require('../lib/config');
+    await assert.rejects(
+      config.getConfig(),
+      /Invalid permission-check "skip". Supported values: iam-policy, test-iam-permissions/
+    );
+  });
+
+  await t.test('should not require a GCP project for otlp-http', async () => {
+    setInputs({
+      exporter: 'otlp-http',
+      'otlp-endpoint': 'http://collector:4318',
+      'otlp-headers': 'authorization: Bearer abc\nx-scope: ci',
+    });
+
+    const { GoogleAuth } = require('google-auth-library');
+    const originalGetProjectId = GoogleAuth.prototype.getProjectId;
+    GoogleAuth.prototype.getProjectId = mock.fn(async () => 'test-project');
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    const adcCalls = GoogleAuth.prototype.getProjectId.mock.calls.length;
+    GoogleAuth.prototype.getProjectId = originalGetProjectId;
+
+    assert.strictEqual(adcCalls, 0, 'ADC should not be consulted for otlp-http');
+    const [backend] = result.backends;
+    assert.strictEqual(backend.exporter, 'otlp-http');
+    assert.strictEqual(backend.otlpEndpoint, 'http://collector:4318');
+    assert.strictEqual(backend.otlpEncoding, 'protobuf');
+    assert.deepStrictEqual(backend.otlpHeaders, { authorization: 'Bearer abc', 'x-scope': 'ci' });
+    assert.deepStrictEqual(maskedValues, ['Bearer abc', 'ci']);
+  });
+
+  await t.test('should parse otlp-grpc transport settings', async () => {
+    setInputs({
+      exporter: 'otlp-grpc',
+      'otlp-endpoint': 'collector:4317',
+      // The OTLP/HTTP encoding input keeps its default and is not read for gRPC
+      'otlp-encoding': 'protobuf',
+      'otlp-compression': 'gzip',
+      'otlp-insecure': 'true',
+    });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    const [backend] = result.backends;
+    assert.strictEqual(backend.exporter, 'otlp-grpc');
+    assert.strictEqual(backend.otlpEndpoint, 'collector:4317');
+    assert.strictEqual(backend.otlpCompression, 'gzip');
+    assert.strictEqual(backend.otlpInsecure, true);
+
+    setInputs({ exporter: 'otlp-grpc', 'otlp-endpoint': 'collector:4317', 'otlp-compression': 'brotli' });
+    await assert.rejects(config.getConfig(), /Invalid otlp-compression "brotli"/);
+  });
+
+  await t.test('should require otlp-endpoint for otlp-http', async () => {
+    setInputs({ exporter: 'otlp-http' });
+
+    const config = require('../lib/config');
+    await assert.rejects(config.getConfig(), /otlp-endpoint is required/);
+  });
+
+  await t.test('should reject unknown exporters and encodings', async () => {
+    setInputs({ exporter: 'carrier-pigeon' });
+    await assert.rejects(require('../lib/config').getConfig(), /Invalid exporter "carrier-pigeon"/);
+
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'otlp-encoding': 'xml' });
+    await assert.rejects(require('../lib/config').getConfig(), /Invalid otlp-encoding "xml"/);
+  });
+
+  await t.test('should resolve the file exporter path against the workspace', async () => {
+    setInputs({
+      exporter: 'file',
+      'file-path': 'telemetry/otel.jsonl',
+      'file-upload-artifact': 'true',
+    });
+    const originalWorkspace = process.env.GITHUB_WORKSPACE;
+    process.env.GITHUB_WORKSPACE = '/home/runner/work/repo';
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    if (originalWorkspace === undefined) {
+      delete process.env.GITHUB_WORKSPACE;
+    } else {
+      process.env.GITHUB_WORKSPACE = originalWorkspace;
+    }
+
+    const [backend] = result.backends;
+    assert.strictEqual(backend.exporter, 'file');
+    assert.strictEqual(backend.filePath, '/home/runner/work/repo/telemetry/otel.jsonl');
+    assert.strictEqual(backend.fileUploadArtifact, true);
+    assert.strictEqual(backend.fileArtifactName, null);
+    assert.strictEqual(result.gcpProjectId, '', 'No GCP project is needed for the file exporter');
+  });
+
+  await t.test('should parse Prometheus Pushgateway settings with default grouping', async () => {
+    setInputs({
+      exporter: 'prometheus-pushgateway',
+      'prometheus-endpoint': 'http://pushgateway:9091',
+    });
+    const originalEnv = { ...process.env };
+    process.env.GITHUB_REPOSITORY = 'octo/repo';
+    process.env.GITHUB_WORKFLOW = 'CI';
+    process.env.GITHUB_JOB = 'build';
+    process.env.GITHUB_RUN_ID = '67890';
+    process.env.GITHUB_RUN_ATTEMPT = '2';
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+    setInputs({ exporter: 'prometheus-pushgateway', 'prometheus-endpoint': 'http://pushgateway:9091', 'prometheus-group-by-run': 'true' });
+    const perRun = (await config.getConfig()).backends[0];
+
+    for (const name of ['GITHUB_REPOSITORY', 'GITHUB_WORKFLOW', 'GITHUB_JOB', 'GITHUB_RUN_ID', 'GITHUB_RUN_ATTEMPT']) {
+      if (originalEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = originalEnv[name];
+      }
+    }
+
+    const [backend] = result.backends;
+    assert.strictEqual(backend.prometheusEndpoint, 'http://pushgateway:9091');
+    assert.strictEqual(backend.prometheusJob, 'github-actions');
+    // Later runs overwrite the default groups, so the Pushgateway does not keep a group per run
+    assert.deepStrictEqual(backend.prometheusGrouping, { github_repository: 'octo/repo', github_workflow: 'CI' });
+    assert.strictEqual(backend.prometheusGroupByJob, true);
+    assert.deepStrictEqual(perRun.prometheusGrouping, {
+      github_repository: 'octo/repo',
+      github_workflow: 'CI',
+      github_run_id: '67890',
+      github_run_attempt: '2',
+    });
+
+    setInputs({ exporter: 'prometheus-pushgateway', 'prometheus-endpoint': 'http://pushgateway:9091', 'prometheus-grouping': 'team: platform' });
+    const custom = (await config.getConfig()).backends[0];
+    assert.deepStrictEqual(custom.prometheusGrouping, { team: 'platform' });
+    assert.strictEqual(custom.prometheusGroupByJob, false);
+
+    setInputs({ exporter: 'prometheus-remote-write' });
+    await assert.rejects(config.getConfig(), /prometheus-endpoint is required/);
+  });
+
+  await t.test('should parse Zipkin settings and mask header values', async () => {
+    setInputs({
+      exporter: 'zipkin',
+      'zipkin-endpoint': 'http://zipkin:9411/api/v2/spans',
+      'zipkin-headers': 'authorization: Bearer zipkin-token',
+    });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    assert.deepStrictEqual(result.backends, [{
+      name: 'zipkin',
+      failOnError: false,
+      exporter: 'zipkin',
+      zipkinEndpoint: 'http://zipkin:9411/api/v2/spans',
+      zipkinHeaders: { authorization: 'Bearer zipkin-token' },
+    }]);
+    assert.ok(maskedValues.includes('Bearer zipkin-token'));
+
+    setInputs({ exporter: 'zipkin' });
+    await assert.rejects(config.getConfig(), /zipkin-endpoint is required/);
+  });
+
+  await t.test('should parse multiple backends from exporters', async () => {
+    setInputs({
+      'gcp-project-id': 'test-project',
+      exporters: [
+        '- type: gcp',
+        '  fail-on-error: true',
+        '- type: otlp-http',
+        '  endpoint: http://collector-a:4318',
+        '  headers:',
+        '    authorization: Bearer abc',
+        '- type: otlp-http',
+        '  endpoint: http://collector-b:4318',
+        '  encoding: json',
+        '- name: tempo',
+        '  type: otlp-grpc',
+        '  endpoint: tempo:4317',
+        '  insecure: true',
+      ].join('\n'),
+    });
+
+    const config = require('../lib/config');
+    const result = await config.getConfig();
+
+    assert.deepStrictEqual(result.backends.map(b => b.name), ['gcp', 'otlp-http-2', 'otlp-http-3', 'tempo']);
+    assert.deepStrictEqual(result.backends.map(b => b.failOnError), [true, false, false, false]);
+    assert.strictEqual(result.gcpProjectId, 'test-project');
+    assert.deepStrictEqual(result.backends[1].otlpHeaders, { authorization: 'Bearer abc' });
+    assert.strictEqual(result.backends[2].otlpEncoding, 'json');
+    assert.strictEqual(result.backends[3].otlpInsecure, true);
+    assert.deepStrictEqual(maskedValues, ['Bearer abc']);
+  });
+
+  await t.test('should reject invalid backend entries', async () => {
+    setInputs({ exporters: 'type: gcp' });
+    await assert.rejects(require('../lib/config').getConfig(), /must be a non-empty YAML list/);
+
+    setInputs({ exporters: '- type: otlp-http' });
+    await assert.rejects(require('../lib/config').getConfig(), /exporters\[0\]\.endpoint is required/);
+
+    setInputs({ exporters: '- type: otlp-grpc\n  endpoint: tempo:4317\n  encoding: json' });
+    await assert.rejects(require('../lib/config').getConfig(), /exporters\[0\]\.encoding is not supported when exporter is "otlp-grpc"/);
+
+    setInputs({ exporters: '- type: zmodem' });
+    await assert.rejects(require('../lib/config').getConfig(), /Invalid exporters\[0\]\.type "zmodem"/);
+
+    setInputs({ exporters: '- name: a\n  type: otlp-grpc\n  endpoint: x:4317\n- name: a\n  type: otlp-grpc\n  endpoint: y:4317' });
+    await assert.rejects(require('../lib/config').getConfig(), /duplicate backend name "a"/);
+  });
+
+  await t.test('should reject file backends sharing a path or artifact name', async () => {
+    setInputs({ exporters: '- type: file\n- type: file\n  path: ./otel-telemetry.jsonl' });
+    await assert.rejects(require('../lib/config').getConfig(), /file backends "file-1" and "file-2" write to the same path/);
+
+    setInputs({ exporters: '- type: file\n  upload-artifact: true\n- name: audit\n  type: file\n  path: audit.jsonl\n  upload-artifact: true' });
+    await assert.rejects(require('../lib/config').getConfig(), /file backends "file-1" and "audit" upload the same artifact/);
+
+    setInputs({ exporters: '- type: file\n  upload-artifact: true\n- name: audit\n  type: file\n  path: audit.jsonl\n  upload-artifact: true\n  artifact-name: audit' });
+    const result = await require('../lib/config').getConfig();
+    assert.deepStrictEqual(result.backends.map(b => b.fileArtifactName), [null, 'audit']);
+  });
+
+  await t.test('should reject otlp-headers that are not a mapping', async () => {
+    setInputs({ exporter: 'otlp-http', 'otlp-endpoint': 'http://collector:4318', 'otlp-headers': '- a\n- b' });
+
+    const config = require('../lib/config');
+    await assert.rejects(config.getConfig(), /Invalid otlp-headers/);
+  });
+});
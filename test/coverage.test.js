@@ -0,0 +1,172 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const core = require('@actions/core');
+const { parseLcov, parseCobertura, parseCoverageReport, summarizeCoverage, readCoverageReports } = require('../lib/coverage');
+
+const LCOV = `TN:
+SF:/home/runner/work/app/app/src/math.js
+FN:1,add
+FN:5,divide
+FNDA:3,add
+FNDA:0,divide
+FNF:2
+FNH:1
+DA:1,3
+DA:2,3
+DA:5,0
+DA:6,0
+LF:4
+LH:2
+BRDA:5,0,0,0
+BRDA:5,0,1,-
+BRF:2
+BRH:0
+end_of_record
+SF:index.js
+DA:1,1
+DA:2,1
+end_of_record
+`;
+
+const COBERTURA = `<?xml version="1.0" ?>
+<coverage line-rate="0.75" branch-rate="0.5" version="7.4">
+  <sources>
+    <source>/home/runner/work/app/app</source>
+  </sources>
+  <packages>
+    <package name="lib">
+      <classes>
+        <class name="parser.py" filename="lib/parser.py" line-rate="0.75">
+          <methods>
+            <method name="parse" line-rate="1">
+              <lines><line number="2" hits="4"/></lines>
+            </method>
+            <method name="dump" line-rate="0">
+              <lines><line number="8" hits="0"/></lines>
+            </method>
+          </methods>
+          <lines>
+            <line number="1" hits="1"/>
+            <line number="2" hits="4" branch="true" condition-coverage="50% (1/2)"/>
+            <line number="3" hits="1"/>
+            <line number="8" hits="0"/>
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>`;
+
+const emptyKind = { found: 0, hit: 0 };
+
+test('parseLcov', async (t) => {
+  await t.test('should read the summaries of each file, or count records without them', () => {
+    assert.deepStrictEqual(parseLcov(LCOV), [
+      {
+        path: '/home/runner/work/app/app/src/math.js',
+        lines: { found: 4, hit: 2 },
+        branches: { found: 2, hit: 0 },
+        functions: { found: 2, hit: 1 },
+      },
+      { path: 'index.js', lines: { found: 2, hit: 2 }, branches: emptyKind, functions: emptyKind },
+    ]);
+  });
+});
+
+test('parseCobertura', async (t) => {
+  await t.test('should count lines, branch conditions and methods per file', () => {
+    assert.deepStrictEqual(parseCobertura(COBERTURA), [{
+      path: '/home/runner/work/app/app/lib/parser.py',
+      lines: { found: 4, hit: 3 },
+      branches: { found: 2, hit: 1 },
+      functions: { found: 2, hit: 1 },
+    }]);
+  });
+
+  await t.test('should reject documents that are not Cobertura XML', () => {
+    assert.throws(() => parseCobertura('<testsuites/>'), /no <coverage> root element/);
+  });
+});
+
+test('parseCoverageReport', async (t) => {
+  await t.test('should detect the format from the content', () => {
+    assert.strictEqual(parseCoverageReport(LCOV).length, 2);
+    assert.strictEqual(parseCoverageReport(`\uFEFF${COBERTURA}`).length, 1);
+    assert.throws(() => parseCoverageReport('{"total": {}}'), /not an lcov or Cobertura XML report/);
+  });
+});
+
+test('summarizeCoverage', async (t) => {
+  await t.test('should add up files overall and per top-level directory', () => {
+    const file = (filePath, lines) => ({ path: filePath, lines, branches: emptyKind, functions: emptyKind });
+
+    const summary = summarizeCoverage([
+      file('src/a.js', { found: 10, hit: 5 }),
+      file('src/nested/b.js', { found: 10, hit: 10 }),
+      file('index.js', { found: 4, hit: 1 }),
+    ]);
+
+    assert.deepStrictEqual(summary.total.lines, { found: 24, hit: 16 });
+    assert.deepStrictEqual(summary.directories.src.lines, { found: 20, hit: 15 });
+    assert.deepStrictEqual(summary.directories['.'].lines, { found: 4, hit: 1 });
+  });
+});
+
+test('readCoverageReports', async (t) => {
+  let tmpDir;
+  let originalInfo;
+  let originalWorkspace;
+
+  t.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-coverage-'));
+    originalWorkspace = process.env.GITHUB_WORKSPACE;
+    process.env.GITHUB_WORKSPACE = tmpDir;
+    originalInfo = core.info;
+    core.info = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.info = originalInfo;
+    if (originalWorkspace === undefined) {
+      delete process.env.GITHUB_WORKSPACE;
+    } else {
+      process.env.GITHUB_WORKSPACE = originalWorkspace;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('should merge reports, counting each file once with its best coverage', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'coverage'));
+    fs.writeFileSync(path.join(tmpDir, 'coverage', 'unit.info'), `SF:${tmpDir}/src/a.js\nDA:1,1\nDA:2,0\nend_of_record\n`);
+    fs.writeFileSync(path.join(tmpDir, 'coverage', 'integration.info'), 'SF:src/a.js\nDA:1,1\nDA:2,1\nend_of_record\n');
+    fs.writeFileSync(path.join(tmpDir, 'coverage', 'broken.info'), 'not coverage');
+
+    const summary = await readCoverageReports(`${tmpDir}/coverage/*.info`);
+
+    assert.deepStrictEqual(summary.total.lines, { found: 2, hit: 2 });
+    assert.deepStrictEqual(Object.keys(summary.directories), ['src']);
+    assert.ok(core.info.mock.calls.some(call => call.arguments[0].includes('Skipping coverage report')));
+  });
+
+  await t.test('should resolve relative paths from the package a nested report belongs to', async () => {
+    for (const [pkg, hits] of [['a', 1], ['b', 0]]) {
+      fs.mkdirSync(path.join(tmpDir, 'packages', pkg, 'coverage'), { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, 'packages', pkg, 'src'));
+      fs.writeFileSync(path.join(tmpDir, 'packages', pkg, 'src', 'x.js'), '');
+      fs.writeFileSync(path.join(tmpDir, 'packages', pkg, 'coverage', 'lcov.info'), `SF:src/x.js\nDA:1,${hits}\nend_of_record\n`);
+    }
+
+    const summary = await readCoverageReports(`${tmpDir}/packages/*/coverage/lcov.info`);
+
+    // Same-named files of different packages are kept apart
+    assert.deepStrictEqual(summary.total.lines, { found: 2, hit: 1 });
+    assert.deepStrictEqual(Object.keys(summary.directories), ['packages']);
+  });
+
+  await t.test('should return null when no coverage is found', async () => {
+    assert.strictEqual(await readCoverageReports(`${tmpDir}/*.info`), null);
+  });
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const core = require('@actions/core');
+const { findCriticalPath, formatDuration, writeCriticalPathSummary } = require('../lib/critical-path');
+
+/**
+ * Builds a run job summary timed in minutes after 10:00
+ * @param {number} id - Job ID
+ * @param {string} name - Job name
+ * @param {Array<number>} minutes - Creation, start and completion minute
+ * @param {Array<number>} needs - IDs of the jobs it needs
+ * @returns {Object} Run job summary
+ */
+function runJob(id, name, [created, started, completed], needs = []) {
+  const at = (minute) => new Date(Date.parse('2025-01-01T10:00:00Z') + minute * 60000);
+  return {
+    id,
+    name,
+    conclusion: 'success',
+    createdAt: at(created),
+    startedAt: at(started),
+    completedAt: at(completed),
+    needs: needs.map(upstreamId => ({ id: upstreamId })),
+    steps: [],
+  };
+}
+
+const MINUTE = 60000;
+
+test('findCriticalPath', async (t) => {
+  const jobs = [
+    runJob(1, 'setup', [0, 1, 3]),
+    { ...runJob(2, 'build', [0, 4, 10], [1]), steps: [{ name: 'Compile', durationMs: 4 * MINUTE }, { name: 'Sign', conclusion: 'skipped', durationMs: 0 }, { name: 'Package', durationMs: MINUTE }] },
+    runJob(3, 'lint', [0, 3, 5], [1]),
+    runJob(4, 'test', [0, 10, 14], [2]),
+    runJob(5, 'deploy', [0, 15, 16], [4, 3]),
+    { ...runJob(6, 'docs', [0, 0, 0], [1]), conclusion: 'skipped' },
+  ];
+
+  await t.test('should follow the chain of needs that gated the run, counting queue time from when needs finished, with the steps that ran', () => {
+    const criticalPath = findCriticalPath(jobs);
+
+    assert.strictEqual(criticalPath.durationMs, 16 * MINUTE);
+    assert.deepStrictEqual(criticalPath.path, [1, 2, 4, 5]);
+    const build = criticalPath.jobs.find(job => job.name === 'build');
+    assert.strictEqual(build.costMs, 7 * MINUTE);
+    assert.deepStrictEqual(build.steps, [{ name: 'Compile', durationMs: 4 * MINUTE }, { name: 'Package', durationMs: MINUTE }]);
+    assert.ok(!criticalPath.jobs.some(job => job.name === 'docs'), 'skipped jobs are left out');
+  });
+
+  await t.test('should give jobs off the path the time they could have taken longer', () => {
+    const criticalPath = findCriticalPath(jobs);
+
+    const lint = criticalPath.jobs.find(job => job.name === 'lint');
+    assert.strictEqual(lint.critical, false);
+    assert.strictEqual(lint.slackMs, 9 * MINUTE);
+    assert.ok(criticalPath.jobs.filter(job => job.critical).every(job => job.slackMs === 0));
+  });
+
+  await t.test('should take the longest job when there are no needs', () => {
+    const criticalPath = findCriticalPath([runJob(1, 'a', [0, 1, 3]), runJob(2, 'b', [0, 1, 6])]);
+
+    assert.deepStrictEqual(criticalPath.path, [2]);
+    assert.strictEqual(criticalPath.jobs[0].slackMs, 3 * MINUTE);
+  });
+
+  await t.test('should return null when no job has finished', () => {
+    assert.strictEqual(findCriticalPath([{ ...runJob(1, 'a', [0, 1, 3]), completedAt: null }]), null);
+  });
+});
+
+test('formatDuration', async (t) => {
+  await t.test('should format seconds, minutes and hours', () => {
+    assert.strictEqual(formatDuration(12400), '12s');
+    assert.strictEqual(formatDuration(245000), '4m 05s');
+    assert.strictEqual(formatDuration(3 * 3600000 + 7 * MINUTE), '3h 07m');
+  });
+});
+
+test('writeCriticalPathSummary', async (t) => {
+  let tmpDir;
+  let originalSummary;
+
+  t.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-critical-path-'));
+    originalSummary = process.env.GITHUB_STEP_SUMMARY;
+    process.env.GITHUB_STEP_SUMMARY = path.join(tmpDir, 'summary.md');
+    fs.writeFileSync(process.env.GITHUB_STEP_SUMMARY, '');
+  });
+
+  t.afterEach(() => {
+    if (originalSummary === undefined) {
+      delete process.env.GITHUB_STEP_SUMMARY;
+    } else {
+      process.env.GITHUB_STEP_SUMMARY = originalSummary;
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('should list the jobs on the path in order with their steps and the others with their slack', async () => {
+    await writeCriticalPathSummary(findCriticalPath([
+      { ...runJob(1, 'build', [0, 1, 5]), steps: [{ name: 'Compile', durationMs: 3 * MINUTE }, { name: 'Upload', durationMs: MINUTE }] },
+      runJob(2, 'lint <b>&</b>', [0, 1, 2]),
+      runJob(3, 'test', [0, 6, 9], [1]),
+    ]));
+
+    const summary = fs.readFileSync(process.env.GITHUB_STEP_SUMMARY, 'utf8');
+    assert.match(summary, /<h3>Critical path<\/h3>/);
+    assert.match(summary, /took 9m 00s/);
+    assert.match(summary, /<td>build<\/td><td>5m 00s<\/td><td>Compile \(3m 00s\), Upload \(1m 00s\)<\/td>.*<td>test<\/td>/s);
+    assert.match(summary, /<td>lint &lt;b&gt;&amp;&lt;\/b&gt;<\/td><td>2m 00s<\/td><td>7m 00s<\/td>/);
+    assert.strictEqual(core.summary.stringify(), '', 'the summary buffer is written out');
+  });
+});
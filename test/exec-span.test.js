@@ -0,0 +1,195 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  STEP_SPANS_ENV,
+  installExecLauncher,
+  parseExecArgs,
+  parseTraceparent,
+  runTraced,
+  stepTraceparent,
+  writeStepSpanMap,
+} = require('../lib/exec-span');
+const { readUserSpans } = require('../lib/user-spans');
+
+const TRACEPARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+test('parseExecArgs', async (t) => {
+  await t.test('should split options from the command', () => {
+    assert.deepStrictEqual(parseExecArgs(['--name', 'unit tests', '--step', 'Test', '--', 'npm', 'test', '--', '--watch=false']), {
+      name: 'unit tests',
+      step: 'Test',
+      printTraceparent: false,
+      command: 'npm',
+      args: ['test', '--', '--watch=false'],
+    });
+    assert.deepStrictEqual(parseExecArgs(['make', 'build']), {
+      name: null,
+      step: null,
+      printTraceparent: false,
+      command: 'make',
+      args: ['build'],
+    });
+  });
+
+  await t.test('should accept --print-traceparent with a step and no command', () => {
+    assert.deepStrictEqual(parseExecArgs(['--step', '3', '--print-traceparent']), {
+      name: null,
+      step: '3',
+      printTraceparent: true,
+      command: null,
+      args: [],
+    });
+    assert.throws(() => parseExecArgs(['--print-traceparent']), /needs --step/);
+    assert.throws(() => parseExecArgs(['--step', '3', '--print-traceparent', '--', 'make']), /no command/);
+  });
+
+  await t.test('should reject a missing command or unknown options', () => {
+    assert.throws(() => parseExecArgs(['--']), /No command given/);
+    assert.throws(() => parseExecArgs(['--name', 'build']), /No command given/);
+    assert.throws(() => parseExecArgs(['--verbose', '--', 'make']), /Unknown option "--verbose"/);
+  });
+});
+
+test('parseTraceparent', async (t) => {
+  await t.test('should parse valid values and ignore malformed ones', () => {
+    assert.deepStrictEqual(parseTraceparent(TRACEPARENT), {
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+      traceFlags: '01',
+    });
+    assert.strictEqual(parseTraceparent(undefined), null);
+    assert.strictEqual(parseTraceparent('01-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'), null);
+  });
+});
+
+test('stepTraceparent', async (t) => {
+  const stepSpanMap = {
+    traceId: '0af7651916cd43dd8448eb211c80319c',
+    jobSpanId: 'b7ad6b7169203331',
+    steps: [
+      { number: 1, name: 'Set up job', spanId: '1111111111111111', traceparent: '00-0af7651916cd43dd8448eb211c80319c-1111111111111111-01' },
+      { number: 2, name: 'Run tests', spanId: '2222222222222222', traceparent: '00-0af7651916cd43dd8448eb211c80319c-2222222222222222-01' },
+    ],
+  };
+
+  await t.test('should find steps by name or number in the written map', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-steps-test-'));
+    const env = { [STEP_SPANS_ENV]: writeStepSpanMap(stepSpanMap, dir) };
+
+    assert.strictEqual(stepTraceparent('Run tests', env), stepSpanMap.steps[1].traceparent);
+    assert.strictEqual(stepTraceparent('1', env), stepSpanMap.steps[0].traceparent);
+    assert.throws(() => stepTraceparent('Deploy', env), /Unknown step "Deploy". Known steps: 1 "Set up job", 2 "Run tests"/);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  await t.test('should fail without a step span map', () => {
+    assert.throws(() => stepTraceparent('Run tests', {}), /OTEL_STEP_SPANS is not set/);
+  });
+});
+
+test('runTraced', async (t) => {
+  let spansDir;
+
+  t.beforeEach(() => {
+    spansDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-exec-test-'));
+  });
+
+  t.afterEach(() => {
+    fs.rmSync(spansDir, { recursive: true });
+  });
+
+  await t.test('should record the command as a span and hand the child its own TRACEPARENT', async () => {
+    const childTraceparent = path.join(spansDir, 'child-traceparent.txt');
+    const script = `require('fs').writeFileSync(${JSON.stringify(childTraceparent)}, process.env.TRACEPARENT); process.exit(3)`;
+
+    const { exitCode, file } = await runTraced({
+      command: process.execPath,
+      args: ['-e', script],
+      name: 'failing script',
+      env: { ...process.env, TRACEPARENT, OTEL_SPANS_DIR: spansDir },
+    });
+
+    assert.strictEqual(exitCode, 3);
+    const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(record.name, 'failing script');
+    assert.strictEqual(record.parentSpanId, 'b7ad6b7169203331');
+    assert.strictEqual(record.status, 'error');
+    assert.strictEqual(record.statusMessage, 'Exited with code 3');
+    assert.strictEqual(record.attributes['process.exit.code'], 3);
+    assert.strictEqual(record.attributes['process.command'], process.execPath);
+    assert.ok(new Date(record.end) >= new Date(record.start));
+
+    const child = parseTraceparent(fs.readFileSync(childTraceparent, 'utf8'));
+    assert.strictEqual(child.traceId, '0af7651916cd43dd8448eb211c80319c');
+    assert.strictEqual(child.spanId, record.spanId);
+
+    // The record passes the post-action's validation
+    fs.rmSync(childTraceparent);
+    const [userSpan] = readUserSpans(spansDir);
+    assert.strictEqual(userSpan.spanId, record.spanId);
+  });
+
+  await t.test('should exit with 127 when the command cannot start', async () => {
+    const { exitCode, file } = await runTraced({
+      command: 'otel-exec-test-command-that-does-not-exist',
+      env: { PATH: process.env.PATH, OTEL_SPANS_DIR: spansDir },
+    });
+
+    assert.strictEqual(exitCode, 127);
+    const record = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(record.status, 'error');
+    assert.match(record.statusMessage, /^Failed to start: .*ENOENT/);
+    assert.strictEqual(record.parentSpanId, undefined);
+  });
+
+  await t.test('should keep the command\'s exit code when the span cannot be written', async () => {
+    // A file where the spans directory should be makes the write fail
+    const notADir = path.join(spansDir, 'not-a-dir');
+    fs.writeFileSync(notADir, '');
+
+    const { exitCode, file } = await runTraced({
+      command: process.execPath,
+      args: ['-e', 'process.exit(4)'],
+      env: { PATH: process.env.PATH, OTEL_SPANS_DIR: notADir },
+    });
+
+    assert.strictEqual(exitCode, 4);
+    assert.strictEqual(file, null);
+  });
+});
+
+test('otel-exec', { skip: process.platform === 'win32' }, async (t) => {
+  await t.test('should report a command that cannot start and exit with 127', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'bin', 'otel-exec.js'), '--', 'otel-exec-test-command-that-does-not-exist'], {
+      env: { PATH: process.env.PATH },
+    });
+
+    assert.strictEqual(result.status, 127);
+    assert.match(result.stderr.toString(), /otel-exec: Failed to start: .*ENOENT/);
+  });
+});
+
+test('installExecLauncher', { skip: process.platform === 'win32' }, async (t) => {
+  await t.test('should run the CLI through the launcher', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-bin-test-'));
+    const spansDir = path.join(dir, 'spans');
+    fs.mkdirSync(spansDir);
+
+    installExecLauncher(path.join(__dirname, '..', 'bin', 'otel-exec.js'), dir);
+    const output = execFileSync(path.join(dir, 'otel-exec'), ['--', process.execPath, '-e', 'console.log("ok")'], {
+      env: { ...process.env, TRACEPARENT, OTEL_SPANS_DIR: spansDir },
+    }).toString();
+
+    assert.strictEqual(output.trim(), 'ok');
+    assert.ok(fs.existsSync(path.join(dir, 'otel-exec.cmd')));
+    const [file] = fs.readdirSync(spansDir);
+    const record = JSON.parse(fs.readFileSync(path.join(spansDir, file), 'utf8'));
+    assert.strictEqual(record.status, 'unset');
+    assert.strictEqual(record.attributes['process.exit.code'], 0);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -1,6 +1,169 @@
 const { test, mock } = require('node:test');
 const assert = require('node:assert');
-const { createMeterProvider, createTracerProvider, recordMetrics } = require('../lib/exporter');
+const grpc = require('@grpc/grpc-js');
+const { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const {
+  createMeterProvider,
+  createTracerProvider,
+  recordMetrics,
+  recordTraces,
+  shutdown,
+  shutdownTracer,
+  exportToBackends,
+} = require('../lib/exporter');
+const { jobSpanId, stepSpanId, workflowRunSpanId, workflowTraceId } = require('../lib/workflow');
+const { startServer } = require('./helpers/http-server');
+
+/**
+ * Starts a local HTTP server that stands in for an OTLP collector
+ * @returns {Promise<Object>} Server endpoint, captured requests, and close function
+ */
+function startCollector() {
+  return startServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': req.headers['content-type'] });
+    res.end(req.headers['content-type'] === 'application/json' ? '{}' : '');
+  });
+}
+
+/**
+ * Starts a local gRPC server that stands in for an OTLP collector
+ * Payloads are captured as raw protobuf bytes
+ * @returns {Promise<Object>} Server endpoint, captured requests, and close function
+ */
+async function startGrpcCollector() {
+  const requests = [];
+  const server = new grpc.Server();
+  const passthrough = (buffer) => buffer;
+
+  for (const [signal, service] of [['traces', 'trace.v1.TraceService'], ['metrics', 'metrics.v1.MetricsService']]) {
+    const definition = {
+      Export: {
+        path: `/opentelemetry.proto.collector.${service}/Export`,
+        requestStream: false,
+        responseStream: false,
+        requestSerialize: passthrough,
+        requestDeserialize: passthrough,
+        responseSerialize: passthrough,
+        responseDeserialize: passthrough,
+      },
+    };
+    server.addService(definition, {
+      Export: (call, callback) => {
+        requests.push({ signal, metadata: call.metadata.getMap(), body: call.request });
+        callback(null, Buffer.alloc(0));
+      },
+    });
+  }
+
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, boundPort) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(boundPort);
+      }
+    });
+  });
+
+  return {
+    endpoint: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.tryShutdown(resolve)),
+  };
+}
+
+/**
+ * Builds a minimal collected metrics object for export tests
+ * @returns {Object} Collected metrics
+ */
+function buildTestMetrics() {
+  return {
+    workflow: 'CI',
+    job: {
+      name: 'test-job',
+      id: 12345,
+      status: 'completed',
+      conclusion: 'success',
+      startedAt: new Date('2025-01-01T10:00:00Z'),
+      completedAt: new Date('2025-01-01T10:05:00Z'),
+      durationMs: 300000,
+    },
+    steps: [
+      {
+        name: 'Build',
+        number: 1,
+        status: 'completed',
+        conclusion: 'success',
+        startedAt: new Date('2025-01-01T10:00:00Z'),
+        completedAt: new Date('2025-01-01T10:03:00Z'),
+        durationMs: 180000,
+      },
+    ],
+    repository: {
+      owner: 'test-owner',
+      repo: 'test-repo',
+      fullName: 'test-owner/test-repo',
+    },
+    run: {
+      id: 67890,
+      number: 42,
+      attempt: '1',
+    },
+    git: {
+      sha: 'abc123',
+      ref: 'refs/heads/main',
+      refName: 'main',
+      baseRef: null,
+      headRef: null,
+    },
+    event: {
+      name: 'push',
+      actor: 'test-user',
+      prNumber: null,
+    },
+    runner: {
+      os: 'Linux',
+      arch: 'X64',
+      name: 'Hosted Agent',
+      labels: ['ubuntu-latest'],
+    },
+  };
+}
+
+/**
+ * Builds a placed test suite as read from a JUnit report
+ * @returns {Object} Test suite
+ */
+function buildTestSuite() {
+  return {
+    name: 'math',
+    format: 'junit',
+    file: 'reports/junit.xml',
+    start: new Date('2025-01-01T10:01:00Z'),
+    end: new Date('2025-01-01T10:01:01.500Z'),
+    durationMs: 1500,
+    cases: [
+      {
+        name: 'adds numbers',
+        classname: 'math add',
+        durationMs: 500,
+        status: 'passed',
+        failures: [],
+        start: new Date('2025-01-01T10:01:00Z'),
+        end: new Date('2025-01-01T10:01:00.500Z'),
+      },
+      {
+        name: 'adds floats',
+        classname: 'math add',
+        durationMs: 1000,
+        status: 'failed',
+        failures: [{ type: 'AssertionError', message: 'expected 0.3 to equal 0.30000000000000004', details: 'AssertionError: expected 0.3' }],
+        start: new Date('2025-01-01T10:01:00.500Z'),
+        end: new Date('2025-01-01T10:01:01.500Z'),
+      },
+    ],
+  };
+}
 
 test('createMeterProvider', async (t) => {
   await t.test('should create MeterProvider with correct configuration', () => {
@@ -522,4 +685,898 @@ test('recordMetrics', async (t) => {
     assert.strictEqual(mockMeter.createGauge.mock.calls.length, 0);
     assert.strictEqual(mockGaugeRecord.mock.calls.length, 0);
   });
+
+  await t.test('should count annotations by level', () => {
+    const mockCounterAdd = mock.fn();
+    const mockMeter = {
+      createHistogram: mock.fn(() => ({ record: mock.fn() })),
+      createGauge: mock.fn(() => ({ record: mock.fn() })),
+      createCounter: mock.fn(() => ({ add: mockCounterAdd })),
+    };
+
+    const metrics = buildTestMetrics();
+    metrics.annotations = [
+      { level: 'failure', message: 'Process completed with exit code 1.', stepNumber: 1 },
+      { level: 'warning', message: 'Node.js 16 actions are deprecated', stepNumber: null },
+      { level: 'warning', message: 'Unused variable', stepNumber: null },
+    ];
+
+    recordMetrics(mockMeter, metrics, 'test.prefix');
+
+    assert.strictEqual(mockMeter.createCounter.mock.calls[0].arguments[0], 'test.prefix.job.annotations');
+    const counts = Object.fromEntries(mockCounterAdd.mock.calls.map(call => [call.arguments[1]['annotation.level'], call.arguments[0]]));
+    assert.deepStrictEqual(counts, { failure: 1, warning: 2, notice: 0 });
+    assert.strictEqual(mockCounterAdd.mock.calls[0].arguments[1]['job.name'], 'test-job');
+  });
+
+  await t.test('should record queue time by runner labels when the job creation time is known', () => {
+    const histograms = {};
+    const mockMeter = {
+      createHistogram: mock.fn((name) => (histograms[name] = { record: mock.fn() })),
+      createGauge: mock.fn(() => ({ record: mock.fn() })),
+      createCounter: mock.fn(() => ({ add: mock.fn() })),
+    };
+
+    const metrics = buildTestMetrics();
+    metrics.runner.labels = ['self-hosted', 'linux', 'gpu'];
+    metrics.job.createdAt = new Date('2025-01-01T09:58:30Z');
+    metrics.job.queueTimeMs = 90000;
+
+    recordMetrics(mockMeter, metrics, 'test.prefix');
+
+    const [queueCall] = histograms['test.prefix.job.queue_time'].record.mock.calls;
+    assert.strictEqual(queueCall.arguments[0], 90000);
+    assert.strictEqual(queueCall.arguments[1]['runner.label'], 'self-hosted');
+    assert.strictEqual(queueCall.arguments[1]['runner.labels'], 'gpu,linux,self-hosted');
+    assert.strictEqual(queueCall.arguments[1]['job.name'], 'test-job');
+
+    const withoutQueueTime = {};
+    recordMetrics({ ...mockMeter, createHistogram: mock.fn((name) => (withoutQueueTime[name] = { record: mock.fn() })) }, buildTestMetrics(), 'test.prefix');
+    assert.ok(!withoutQueueTime['test.prefix.job.queue_time']);
+  });
+
+  await t.test('should record run-level metrics from the run summary without job attributes', () => {
+    const histograms = {};
+    const gauges = {};
+    const mockCounterAdd = mock.fn();
+    const mockMeter = {
+      createHistogram: mock.fn((name) => (histograms[name] = { record: mock.fn() })),
+      createGauge: mock.fn((name) => (gauges[name] = { record: mock.fn() })),
+      createCounter: mock.fn(() => ({ add: mockCounterAdd })),
+    };
+
+    const metrics = buildTestMetrics();
+    metrics.runSummary = {
+      jobCount: 3,
+      wallTimeMs: 600000,
+      jobTimeMs: 900000,
+      parallelism: 1.5,
+      conclusions: { success: 2, failure: 1, cancelled: 0, skipped: 0 },
+      failedJobs: 1,
+    };
+
+    recordMetrics(mockMeter, metrics, 'test.prefix');
+
+    const [durationCall] = histograms['test.prefix.run.duration'].record.mock.calls;
+    assert.strictEqual(durationCall.arguments[0], 600000);
+    assert.strictEqual(durationCall.arguments[1]['run.id'], '67890');
+    assert.strictEqual(durationCall.arguments[1]['job.name'], undefined);
+    assert.strictEqual(durationCall.arguments[1]['runner.label'], undefined);
+    assert.strictEqual(histograms['test.prefix.run.job_time'].record.mock.calls[0].arguments[0], 900000);
+    assert.strictEqual(gauges['test.prefix.run.parallelism'].record.mock.calls[0].arguments[0], 1.5);
+
+    const counts = Object.fromEntries(mockCounterAdd.mock.calls.map(call => [call.arguments[1]['job.conclusion'], call.arguments[0]]));
+    assert.deepStrictEqual(counts, { success: 2, failure: 1, cancelled: 0, skipped: 0 });
+  });
+
+  await t.test('should record the critical path duration when it was computed', () => {
+    const histograms = {};
+    const mockMeter = {
+      createHistogram: mock.fn((name) => (histograms[name] = { record: mock.fn() })),
+      createGauge: mock.fn(() => ({ record: mock.fn() })),
+      createCounter: mock.fn(() => ({ add: mock.fn() })),
+    };
+
+    recordMetrics(mockMeter, buildTestMetrics(), 'test.prefix');
+    assert.ok(!histograms['test.prefix.run.critical_path_duration']);
+
+    const metrics = buildTestMetrics();
+    metrics.criticalPath = { durationMs: 420000, path: [12345], jobs: [] };
+    recordMetrics(mockMeter, metrics, 'test.prefix');
+
+    const [call] = histograms['test.prefix.run.critical_path_duration'].record.mock.calls;
+    assert.strictEqual(call.arguments[0], 420000);
+    assert.strictEqual(call.arguments[1]['workflow.name'], 'CI');
+    assert.strictEqual(call.arguments[1]['job.name'], undefined);
+  });
+
+  await t.test('should record test durations and count test cases by status', () => {
+    const histograms = {};
+    const mockCounterAdd = mock.fn();
+    const mockMeter = {
+      createHistogram: mock.fn((name) => (histograms[name] = { record: mock.fn() })),
+      createGauge: mock.fn(() => ({ record: mock.fn() })),
+      createCounter: mock.fn(() => ({ add: mockCounterAdd })),
+    };
+
+    const metrics = buildTestMetrics();
+    metrics.tests = [buildTestSuite()];
+
+    recordMetrics(mockMeter, metrics, 'test.prefix');
+
+    const [suiteCall] = histograms['test.prefix.test.suite.duration'].record.mock.calls;
+    assert.strictEqual(suiteCall.arguments[0], 1500);
+    assert.strictEqual(suiteCall.arguments[1]['test.suite'], 'math');
+    assert.strictEqual(suiteCall.arguments[1]['repository.full_name'], 'test-owner/test-repo');
+    const caseCalls = histograms['test.prefix.test.duration'].record.mock.calls;
+    assert.deepStrictEqual(caseCalls.map(call => [call.arguments[0], call.arguments[1]['test.status']]), [[500, 'passed'], [1000, 'failed']]);
+
+    assert.strictEqual(mockMeter.createCounter.mock.calls[0].arguments[0], 'test.prefix.test.cases');
+    const counts = Object.fromEntries(mockCounterAdd.mock.calls.map(call => [call.arguments[1]['test.status'], call.arguments[0]]));
+    assert.deepStrictEqual(counts, { passed: 1, failed: 1, skipped: 0 });
+  });
+
+  await t.test('should record coverage overall and per top-level directory', () => {
+    const gauges = {};
+    const mockMeter = {
+      createHistogram: mock.fn(() => ({ record: mock.fn() })),
+      createGauge: mock.fn((name) => (gauges[name] = { record: mock.fn() })),
+      createCounter: mock.fn(() => ({ add: mock.fn() })),
+    };
+
+    const metrics = buildTestMetrics();
+    metrics.coverage = {
+      total: { lines: { found: 200, hit: 150 }, branches: { found: 0, hit: 0 }, functions: { found: 20, hit: 10 } },
+      directories: {
+        src: { lines: { found: 100, hit: 100 }, branches: { found: 0, hit: 0 }, functions: { found: 20, hit: 10 } },
+        lib: { lines: { found: 100, hit: 50 }, branches: { found: 0, hit: 0 }, functions: { found: 0, hit: 0 } },
+      },
+    };
+
+    recordMetrics(mockMeter, metrics, 'test.prefix');
+
+    const lineCalls = gauges['test.prefix.coverage.lines'].record.mock.calls;
+    assert.deepStrictEqual(lineCalls.map(call => [call.arguments[0], call.arguments[1]['coverage.scope'], call.arguments[1]['coverage.directory']]), [
+      [75, 'total', undefined],
+      [100, 'directory', 'src'],
+      [50, 'directory', 'lib'],
+    ]);
+    assert.strictEqual(lineCalls[0].arguments[1]['git.ref_name'], 'main');
+    assert.strictEqual(gauges['test.prefix.coverage.branches'].record.mock.callCount(), 0, 'kinds without data are not recorded');
+    assert.strictEqual(gauges['test.prefix.coverage.functions'].record.mock.callCount(), 2);
+  });
+});
+
+test('OTLP/HTTP export', async (t) => {
+  let collector;
+
+  t.beforeEach(async () => {
+    collector = await startCollector();
+  });
+
+  t.afterEach(async () => {
+    await collector.close();
+  });
+
+  await t.test('should export metrics as OTLP/JSON with configured headers', async () => {
+    const config = {
+      exporter: 'otlp-http',
+      otlpEndpoint: `${collector.endpoint}/`,
+      otlpHeaders: { 'x-api-key': 'secret' },
+      otlpEncoding: 'json',
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { meterProvider, meter } = createMeterProvider(config);
+    recordMetrics(meter, buildTestMetrics(), config.metricPrefix);
+    await shutdown(meterProvider);
+
+    const request = collector.requests.find(r => r.url === '/v1/metrics');
+    assert.ok(request, 'Collector should receive a metrics request');
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+    assert.strictEqual(request.headers['x-api-key'], 'secret');
+
+    const body = JSON.parse(request.body.toString());
+    const metricNames = body.resourceMetrics
+      .flatMap(rm => rm.scopeMetrics)
+      .flatMap(sm => sm.metrics)
+      .map(m => m.name);
+    assert.ok(metricNames.includes('test.prefix.job.duration'));
+    assert.ok(metricNames.includes('test.prefix.step.duration'));
+  });
+
+  await t.test('should export spans as OTLP/JSON', async () => {
+    const config = {
+      exporter: 'otlp-http',
+      otlpEndpoint: collector.endpoint,
+      otlpHeaders: {},
+      otlpEncoding: 'json',
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordTraces(tracer, buildTestMetrics());
+    await shutdownTracer(tracerProvider);
+
+    const request = collector.requests.find(r => r.url === '/v1/traces');
+    assert.ok(request, 'Collector should receive a traces request');
+
+    const body = JSON.parse(request.body.toString());
+    const spanNames = body.resourceSpans
+      .flatMap(rs => rs.scopeSpans)
+      .flatMap(ss => ss.spans)
+      .map(span => span.name);
+    assert.deepStrictEqual(spanNames.sort(), ['Job: test-job', 'Step: Build']);
+  });
+
+  await t.test('should export spans as OTLP/protobuf by default', async () => {
+    const config = {
+      exporter: 'otlp-http',
+      otlpEndpoint: collector.endpoint,
+      otlpHeaders: {},
+      otlpEncoding: 'protobuf',
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordTraces(tracer, buildTestMetrics());
+    await shutdownTracer(tracerProvider);
+
+    const request = collector.requests.find(r => r.url === '/v1/traces');
+    assert.ok(request, 'Collector should receive a traces request');
+    assert.strictEqual(request.headers['content-type'], 'application/x-protobuf');
+    assert.ok(request.body.includes(Buffer.from('Step: Build')), 'Protobuf payload should contain span names');
+  });
+});
+
+test('OTLP/gRPC export', async (t) => {
+  let collector;
+
+  t.beforeEach(async () => {
+    collector = await startGrpcCollector();
+  });
+
+  t.afterEach(async () => {
+    await collector.close();
+  });
+
+  await t.test('should export metrics and spans with metadata and compression', async () => {
+    const config = {
+      exporter: 'otlp-grpc',
+      otlpEndpoint: collector.endpoint,
+      otlpHeaders: { 'x-api-key': 'secret' },
+      otlpCompression: 'gzip',
+      otlpInsecure: true,
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { meterProvider, meter } = createMeterProvider(config);
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordMetrics(meter, buildTestMetrics(), config.metricPrefix);
+    recordTraces(tracer, buildTestMetrics());
+    await shutdown(meterProvider);
+    await shutdownTracer(tracerProvider);
+
+    const metricsRequest = collector.requests.find(r => r.signal === 'metrics');
+    assert.ok(metricsRequest, 'Collector should receive a metrics export');
+    assert.strictEqual(metricsRequest.metadata['x-api-key'], 'secret');
+    assert.ok(metricsRequest.body.includes(Buffer.from('test.prefix.job.duration')));
+
+    const tracesRequest = collector.requests.find(r => r.signal === 'traces');
+    assert.ok(tracesRequest, 'Collector should receive a traces export');
+    assert.ok(tracesRequest.body.includes(Buffer.from('Job: test-job')));
+    assert.ok(tracesRequest.body.includes(Buffer.from('Step: Build')));
+  });
+});
+
+test('Zipkin export', async (t) => {
+  await t.test('should export the span tree as Zipkin v2 JSON', async () => {
+    const collector = await startCollector();
+    const config = {
+      exporter: 'zipkin',
+      zipkinEndpoint: `${collector.endpoint}/api/v2/spans`,
+      zipkinHeaders: { authorization: 'Bearer token' },
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const metrics = buildTestMetrics();
+    metrics.job.conclusion = 'failure';
+    metrics.steps[0].conclusion = 'failure';
+
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordTraces(tracer, metrics);
+    await shutdownTracer(tracerProvider);
+    await collector.close();
+
+    const request = collector.requests.find(r => r.url === '/api/v2/spans');
+    assert.ok(request, 'Zipkin should receive a spans request');
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.headers.authorization, 'Bearer token');
+
+    const spans = JSON.parse(request.body.toString());
+    const jobSpan = spans.find(s => s.name === 'Job: test-job');
+    const stepSpan = spans.find(s => s.name === 'Step: Build');
+    assert.strictEqual(stepSpan.parentId, jobSpan.id);
+    assert.strictEqual(stepSpan.traceId, jobSpan.traceId);
+    assert.strictEqual(stepSpan.localEndpoint.serviceName, 'test-service');
+    assert.strictEqual(stepSpan.duration, 180000 * 1000, 'Zipkin durations are in microseconds');
+
+    assert.strictEqual(jobSpan.tags['repository.full_name'], 'test-owner/test-repo');
+    assert.strictEqual(jobSpan.tags['job.conclusion'], 'failure');
+    assert.strictEqual(stepSpan.tags['step.number'], '1');
+    assert.strictEqual(stepSpan.tags.error, 'Step failed');
+    assert.strictEqual(stepSpan.tags['otel.status_code'], 'ERROR');
+  });
+
+  await t.test('should leave the error tag off successful spans', async () => {
+    const collector = await startCollector();
+    const config = {
+      exporter: 'zipkin',
+      zipkinEndpoint: `${collector.endpoint}/api/v2/spans`,
+      zipkinHeaders: {},
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordTraces(tracer, buildTestMetrics());
+    await shutdownTracer(tracerProvider);
+    await collector.close();
+
+    const spans = JSON.parse(collector.requests[0].body.toString());
+    assert.ok(spans.every(span => !('error' in span.tags)));
+  });
+
+  await t.test('should only send traces when used as a backend', async () => {
+    const collector = await startCollector();
+    const config = {
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+      customAttributes: {},
+      backends: [
+        { name: 'zipkin', exporter: 'zipkin', zipkinEndpoint: `${collector.endpoint}/api/v2/spans`, zipkinHeaders: {} },
+      ],
+    };
+
+    const [result] = await exportToBackends(config, buildTestMetrics());
+    await collector.close();
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(collector.requests.map(r => r.url), ['/api/v2/spans']);
+  });
+});
+
+test('workflow-run traces', async (t) => {
+  const traceId = workflowTraceId(67890, '1');
+  const runSpanId = workflowRunSpanId(67890, '1');
+
+  /**
+   * Records the test job's traces through a Zipkin stand-in and returns the exported spans
+   * @param {Object} metrics - Collected metrics
+   * @param {Object} jobTraceContext - Job span IDs saved by the main step
+   * @returns {Promise<Array<Object>>} Exported Zipkin spans
+   */
+  async function exportSpans(metrics, jobTraceContext = null) {
+    const collector = await startCollector();
+    const { tracerProvider, tracer } = createTracerProvider({
+      exporter: 'zipkin',
+      zipkinEndpoint: `${collector.endpoint}/api/v2/spans`,
+      zipkinHeaders: {},
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    });
+
+    recordTraces(tracer, metrics, {}, jobTraceContext);
+    await shutdownTracer(tracerProvider);
+    await collector.close();
+
+    return JSON.parse(collector.requests[0].body.toString());
+  }
+
+  await t.test('should place the job span under the run span with a derived span ID', async () => {
+    const metrics = buildTestMetrics();
+    metrics.steps.push({ ...metrics.steps[0], name: 'Test', number: 2 });
+    const spans = await exportSpans(metrics);
+
+    const jobSpan = spans.find(s => s.name === 'Job: test-job');
+    assert.strictEqual(jobSpan.traceId, traceId);
+    assert.strictEqual(jobSpan.parentId, runSpanId);
+    assert.strictEqual(jobSpan.id, jobSpanId(67890, '1', 12345));
+
+    const stepSpans = spans.filter(s => s.name.startsWith('Step: '));
+    assert.strictEqual(stepSpans.length, 2);
+    for (const stepSpan of stepSpans) {
+      assert.strictEqual(stepSpan.traceId, traceId);
+      assert.strictEqual(stepSpan.parentId, jobSpan.id);
+    }
+    assert.notStrictEqual(stepSpans[0].id, stepSpans[1].id);
+    assert.ok(!spans.some(s => s.name.startsWith('Workflow: ')), 'only the last job records the run span');
+  });
+
+  await t.test('should record the wait for a runner as a Queued span before the job span', async () => {
+    const metrics = buildTestMetrics();
+    metrics.job.createdAt = new Date('2025-01-01T09:58:30Z');
+    metrics.job.queueTimeMs = 90000;
+    const spans = await exportSpans(metrics);
+
+    const queuedSpan = spans.find(s => s.name === 'Queued: test-job');
+    assert.strictEqual(queuedSpan.traceId, traceId);
+    assert.strictEqual(queuedSpan.parentId, runSpanId);
+    assert.strictEqual(queuedSpan.timestamp, Date.parse('2025-01-01T09:58:30Z') * 1000);
+    assert.strictEqual(queuedSpan.duration, 90000 * 1000);
+    assert.strictEqual(queuedSpan.tags['runner.labels'], 'ubuntu-latest');
+    assert.strictEqual(spans.find(s => s.name === 'Job: test-job').id, jobSpanId(67890, '1', 12345));
+
+    const withoutCreation = await exportSpans(buildTestMetrics());
+    assert.ok(!withoutCreation.some(s => s.name.startsWith('Queued: ')));
+  });
+
+  await t.test('should keep the job span ID saved by the main step', async () => {
+    const spans = await exportSpans(buildTestMetrics(), { traceId, spanId: 'b7ad6b7169203331' });
+
+    const jobSpan = spans.find(s => s.name === 'Job: test-job');
+    assert.strictEqual(jobSpan.id, 'b7ad6b7169203331');
+    assert.strictEqual(spans.find(s => s.name === 'Step: Build').parentId, 'b7ad6b7169203331');
+  });
+
+  await t.test('should record the run span from the last job', async () => {
+    const metrics = buildTestMetrics();
+    metrics.run.lastJob = true;
+    metrics.run.jobs = [
+      {
+        id: 111,
+        name: 'lint',
+        status: 'completed',
+        conclusion: 'failure',
+        createdAt: new Date('2025-01-01T09:58:00Z'),
+        startedAt: new Date('2025-01-01T09:59:00Z'),
+        completedAt: new Date('2025-01-01T10:01:00Z'),
+      },
+      { id: 12345, name: 'test-job', status: 'in_progress', conclusion: null },
+    ];
+    const spans = await exportSpans(metrics);
+
+    const runSpan = spans.find(s => s.name === 'Workflow: CI');
+    assert.strictEqual(runSpan.traceId, traceId);
+    assert.strictEqual(runSpan.id, runSpanId);
+    assert.strictEqual(runSpan.parentId, undefined);
+    assert.strictEqual(runSpan.timestamp, Date.parse('2025-01-01T09:58:00Z') * 1000);
+    assert.strictEqual(runSpan.duration, 7 * 60 * 1000 * 1000);
+    assert.strictEqual(runSpan.tags['workflow.job_count'], '2');
+    assert.strictEqual(runSpan.tags['workflow.conclusion'], 'failure');
+    assert.strictEqual(runSpan.tags.error, 'Workflow run failed');
+  });
+
+  await t.test('should record spans for every job of the run in run-summary mode', async () => {
+    const metrics = buildTestMetrics();
+    metrics.run.jobs = [
+      {
+        id: 111,
+        name: 'build',
+        status: 'completed',
+        conclusion: 'failure',
+        attempt: '1',
+        createdAt: new Date('2025-01-01T09:50:00Z'),
+        startedAt: new Date('2025-01-01T09:51:00Z'),
+        completedAt: new Date('2025-01-01T09:55:00Z'),
+        labels: ['self-hosted', 'linux'],
+        runnerName: 'runner-1',
+        key: 'build',
+        needs: [],
+        steps: [{
+          name: 'Compile',
+          number: 1,
+          status: 'completed',
+          conclusion: 'failure',
+          startedAt: new Date('2025-01-01T09:51:00Z'),
+          completedAt: new Date('2025-01-01T09:54:00Z'),
+          durationMs: 180000,
+        }],
+      },
+      {
+        id: 222,
+        name: 'deploy',
+        status: 'queued',
+        conclusion: null,
+        createdAt: new Date('2025-01-01T09:55:00Z'),
+        startedAt: null,
+        completedAt: null,
+        labels: [],
+        runnerName: null,
+        key: 'deploy',
+        needs: [],
+        steps: [],
+      },
+      {
+        id: 333,
+        name: 'lint',
+        status: 'completed',
+        conclusion: 'success',
+        createdAt: new Date('2025-01-01T09:50:00Z'),
+        startedAt: new Date('2025-01-01T09:51:00Z'),
+        completedAt: new Date('2025-01-01T09:52:00Z'),
+        labels: [],
+        runnerName: null,
+        key: 'lint',
+        needs: [],
+        instrumented: true,
+        steps: [],
+      },
+      { id: 12345, name: 'test-job', status: 'in_progress', conclusion: null, labels: [], needs: [], steps: [] },
+    ];
+    metrics.job.needs = [{ key: 'build', name: 'build', id: 111, attempt: '1' }];
+    metrics.runSummary = { jobCount: 3, wallTimeMs: 900000, jobTimeMs: 540000, parallelism: 0.6, failedJobs: 1 };
+    metrics.criticalPath = {
+      durationMs: 900000,
+      path: [111, 12345],
+      jobs: [
+        { id: 111, name: 'build', costMs: 300000, slackMs: 0, critical: true },
+        { id: 12345, name: 'test-job', costMs: 300000, slackMs: 0, critical: true },
+      ],
+    };
+    const spans = await exportSpans(metrics);
+
+    const buildSpan = spans.find(s => s.name === 'Job: build');
+    assert.strictEqual(buildSpan.id, jobSpanId(67890, '1', 111));
+    assert.strictEqual(buildSpan.parentId, runSpanId);
+    assert.strictEqual(buildSpan.tags['job.conclusion'], 'failure');
+    assert.strictEqual(buildSpan.tags['runner.label'], 'self-hosted');
+    assert.strictEqual(buildSpan.tags.error, 'Job failed');
+    assert.strictEqual(buildSpan.tags['critical_path.on_path'], 'true');
+    assert.strictEqual(buildSpan.tags['critical_path.slack_ms'], '0');
+
+    const compileSpan = spans.find(s => s.name === 'Step: Compile');
+    assert.strictEqual(compileSpan.id, stepSpanId(67890, '1', 111, 1));
+    assert.strictEqual(compileSpan.parentId, buildSpan.id);
+    assert.strictEqual(compileSpan.tags['critical_path.on_path'], 'true');
+    assert.strictEqual(spans.find(s => s.name === 'Queued: build').duration, 60 * 1000 * 1000);
+    assert.ok(!spans.some(s => s.name === 'Job: deploy'), 'jobs that have not finished get no span');
+    assert.ok(!spans.some(s => s.name === 'Job: lint' || s.name === 'Queued: lint'), 'jobs running the action export their own spans');
+
+    const runSpan = spans.find(s => s.name === 'Workflow: CI');
+    assert.strictEqual(runSpan.id, runSpanId);
+    assert.strictEqual(runSpan.tags['workflow.job_time_ms'], '540000');
+    assert.strictEqual(runSpan.tags['workflow.failed_jobs'], '1');
+    assert.strictEqual(runSpan.tags['workflow.critical_path'], 'build > test-job');
+    assert.strictEqual(runSpan.tags['workflow.critical_path_duration_ms'], '900000');
+  });
+
+  await t.test('should link the job span to the jobs it needs', async () => {
+    const collector = await startCollector();
+    const { tracerProvider, tracer } = createTracerProvider({
+      exporter: 'otlp-http',
+      otlpEndpoint: collector.endpoint,
+      otlpHeaders: {},
+      otlpEncoding: 'json',
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    });
+
+    const metrics = buildTestMetrics();
+    metrics.job.needs = [
+      { key: 'build', name: 'build (linux)', id: 201, attempt: '1' },
+      { key: 'setup', name: 'setup', id: 100, attempt: null },
+    ];
+    metrics.run.attempt = '2';
+    recordTraces(tracer, metrics);
+    await shutdownTracer(tracerProvider);
+    await collector.close();
+
+    const body = JSON.parse(collector.requests[0].body.toString());
+    const jobSpan = body.resourceSpans[0].scopeSpans[0].spans.find(s => s.name === 'Job: test-job');
+    assert.strictEqual(jobSpan.links.length, 2);
+
+    const [build, setup] = jobSpan.links;
+    assert.strictEqual(build.traceId, workflowTraceId(67890, '1'), 'upstream jobs from an earlier attempt keep their trace');
+    assert.strictEqual(build.spanId, jobSpanId(67890, '1', 201));
+    assert.deepStrictEqual(build.attributes.find(a => a.key === 'job.name').value, { stringValue: 'build (linux)' });
+    assert.strictEqual(setup.traceId, workflowTraceId(67890, '2'));
+    assert.strictEqual(setup.spanId, jobSpanId(67890, '2', 100));
+  });
+
+  await t.test('should link re-runs to the previous attempt and chained runs to their trigger', async () => {
+    const collector = await startCollector();
+    const { tracerProvider, tracer } = createTracerProvider({
+      exporter: 'otlp-http',
+      otlpEndpoint: collector.endpoint,
+      otlpHeaders: {},
+      otlpEncoding: 'json',
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    });
+
+    const metrics = buildTestMetrics();
+    metrics.run.attempt = '3';
+    metrics.run.lastJob = true;
+    metrics.run.jobs = [];
+    metrics.run.triggeredBy = { id: 55555, attempt: '2', workflow: 'Build', conclusion: 'success' };
+    metrics.job.previousAttempt = { name: 'test-job', id: 12000, attempt: '1' };
+    recordTraces(tracer, metrics);
+    await shutdownTracer(tracerProvider);
+    await collector.close();
+
+    const spans = JSON.parse(collector.requests[0].body.toString()).resourceSpans[0].scopeSpans[0].spans;
+    const linkType = link => link.attributes.find(a => a.key === 'link.type').value.stringValue;
+
+    const jobSpan = spans.find(s => s.name === 'Job: test-job');
+    assert.deepStrictEqual(jobSpan.links.map(linkType), ['previous_attempt', 'triggered_by']);
+    const [previous, trigger] = jobSpan.links;
+    assert.strictEqual(previous.traceId, workflowTraceId(67890, '1'), 'a job not re-run in attempt 2 links to its attempt 1 span');
+    assert.strictEqual(previous.spanId, jobSpanId(67890, '1', 12000));
+    assert.strictEqual(trigger.traceId, workflowTraceId(55555, '2'));
+    assert.strictEqual(trigger.spanId, workflowRunSpanId(55555, '2'));
+    assert.deepStrictEqual(trigger.attributes.find(a => a.key === 'workflow.name').value, { stringValue: 'Build' });
+
+    const runSpan = spans.find(s => s.name === 'Workflow: CI');
+    assert.deepStrictEqual(runSpan.links.map(linkType), ['triggered_by', 'previous_attempt']);
+    assert.strictEqual(runSpan.links[1].traceId, workflowTraceId(67890, '2'));
+    assert.strictEqual(runSpan.links[1].spanId, workflowRunSpanId(67890, '2'));
+  });
+});
+
+test('recordTraces with annotations', async (t) => {
+  await t.test('should add annotations as events on their step span or the job span', () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }).getTracer('test');
+    const metrics = buildTestMetrics();
+    metrics.annotations = [
+      { level: 'failure', message: 'Expected 2 to equal 3', title: 'test/math.test.js', path: 'test/math.test.js', startLine: 12, stepNumber: 1 },
+      { level: 'warning', message: 'Node.js 16 actions are deprecated', title: null, path: null, startLine: null, stepNumber: null },
+    ];
+
+    recordTraces(tracer, metrics);
+
+    const spans = exporter.getFinishedSpans();
+    const [stepEvent] = spans.find(s => s.name === 'Step: Build').events;
+    assert.strictEqual(stepEvent.name, 'annotation');
+    assert.deepStrictEqual(stepEvent.attributes, {
+      'annotation.level': 'failure',
+      'annotation.message': 'Expected 2 to equal 3',
+      'annotation.title': 'test/math.test.js',
+      'code.filepath': 'test/math.test.js',
+      'code.lineno': 12,
+    });
+    const jobEvents = spans.find(s => s.name === 'Job: test-job').events;
+    assert.deepStrictEqual(jobEvents.map(e => e.attributes['annotation.message']), ['Node.js 16 actions are deprecated']);
+  });
+});
+
+test('recordTraces with test reports', async (t) => {
+  await t.test('should record suites and cases under the job span with failures as events', () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }).getTracer('test');
+    const metrics = buildTestMetrics();
+    metrics.tests = [buildTestSuite()];
+
+    const { jobSpan } = recordTraces(tracer, metrics);
+
+    const spans = exporter.getFinishedSpans();
+    const suite = spans.find(s => s.name === 'Test suite: math');
+    assert.strictEqual(suite.parentSpanContext.spanId, jobSpan.spanContext().spanId);
+    assert.strictEqual(suite.attributes['test.file'], 'reports/junit.xml');
+    assert.strictEqual(suite.attributes['test.format'], 'junit');
+    assert.strictEqual(suite.status.code, 2);
+
+    const failed = spans.find(s => s.name === 'adds floats');
+    assert.strictEqual(failed.parentSpanContext.spanId, suite.spanContext().spanId);
+    assert.strictEqual(failed.attributes['test.status'], 'failed');
+    assert.strictEqual(failed.attributes['test.classname'], 'math add');
+    assert.strictEqual(failed.status.message, 'expected 0.3 to equal 0.30000000000000004');
+    assert.deepStrictEqual(failed.events.map(e => [e.name, e.attributes]), [['test.failure', {
+      'test.failure.message': 'expected 0.3 to equal 0.30000000000000004',
+      'test.failure.type': 'AssertionError',
+      'test.failure.details': 'AssertionError: expected 0.3',
+    }]]);
+    assert.deepStrictEqual(failed.endTime, [Math.floor(new Date('2025-01-01T10:01:01.500Z').getTime() / 1000), 500000000]);
+  });
+});
+
+test('recordTraces with log groups', async (t) => {
+  await t.test('should record log groups as children of their step span', () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }).getTracer('test');
+    const metrics = buildTestMetrics();
+    metrics.logGroups = [
+      { name: 'Install dependencies', start: new Date('2025-01-01T10:00:05Z'), end: new Date('2025-01-01T10:01:00Z'), stepNumber: 1 },
+      { name: 'Orphan', start: new Date('2025-01-01T10:04:00Z'), end: new Date('2025-01-01T10:04:10Z'), stepNumber: 7 },
+    ];
+
+    const { stepSpans } = recordTraces(tracer, metrics);
+
+    const spans = exporter.getFinishedSpans();
+    const group = spans.find(s => s.name === 'Install dependencies');
+    assert.strictEqual(group.parentSpanContext.spanId, stepSpans.get(1).spanContext().spanId);
+    assert.strictEqual(group.attributes['log.group'], 'Install dependencies');
+    assert.strictEqual(group.attributes['step.name'], 'Build');
+    assert.deepStrictEqual(group.endTime, [Math.floor(new Date('2025-01-01T10:01:00Z').getTime() / 1000), 0]);
+    assert.strictEqual(spans.find(s => s.name === 'Orphan'), undefined, 'groups of steps without a span are dropped');
+  });
+});
+
+test('recordTraces with user spans', async (t) => {
+  await t.test('should record dropped spans outside any step under the job span', () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }).getTracer('test');
+    const metrics = buildTestMetrics();
+    metrics.userSpans = [{
+      name: 'webpack',
+      start: new Date('2025-01-01T10:03:30Z'),
+      end: new Date('2025-01-01T10:04:00Z'),
+      attributes: { 'bundle.count': 3 },
+      status: 'unset',
+    }];
+
+    const { jobSpan } = recordTraces(tracer, metrics);
+
+    const span = exporter.getFinishedSpans().find(s => s.name === 'webpack');
+    assert.strictEqual(span.parentSpanContext.spanId, jobSpan.spanContext().spanId);
+    assert.strictEqual(span.attributes['bundle.count'], 3);
+    assert.strictEqual(span.attributes['job.name'], 'test-job');
+    assert.strictEqual(span.attributes['repository.full_name'], 'test-owner/test-repo');
+  });
+
+  await t.test('should nest dropped spans under the step they ran in', () => {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }).getTracer('test');
+    const metrics = buildTestMetrics();
+    metrics.userSpans = [{
+      name: 'webpack',
+      start: new Date('2025-01-01T10:00:30Z'),
+      end: new Date('2025-01-01T10:02:00Z'),
+      attributes: {},
+      status: 'unset',
+    }];
+
+    const { stepSpans } = recordTraces(tracer, metrics);
+
+    const span = exporter.getFinishedSpans().find(s => s.name === 'webpack');
+    assert.strictEqual(span.parentSpanContext.spanId, stepSpans.get(1).spanContext().spanId);
+  });
+
+  await t.test('should keep the span IDs otel-exec handed to its commands', async () => {
+    const collector = await startCollector();
+    const { tracerProvider, tracer } = createTracerProvider({
+      exporter: 'zipkin',
+      zipkinEndpoint: `${collector.endpoint}/api/v2/spans`,
+      zipkinHeaders: {},
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    });
+
+    const metrics = buildTestMetrics();
+    const jobId = jobSpanId(67890, '1', 12345);
+    const span = (name, spanId, parentSpanId) => ({
+      name,
+      start: new Date('2025-01-01T10:01:00Z'),
+      end: new Date('2025-01-01T10:02:00Z'),
+      attributes: {},
+      status: 'unset',
+      spanId,
+      parentSpanId,
+    });
+    metrics.userSpans = [
+      span('npm test', '1111111111111111', jobId),
+      span('jest', '2222222222222222', '1111111111111111'),
+      // otel-exec --step hands out the step span's ID; it applies even outside the step's time window
+      { ...span('deploy', '3333333333333333', stepSpanId(67890, '1', 12345, 1)), start: new Date('2025-01-01T10:04:00Z'), end: new Date('2025-01-01T10:04:30Z') },
+    ];
+
+    recordTraces(tracer, metrics);
+    await shutdownTracer(tracerProvider);
+    await collector.close();
+
+    const spans = JSON.parse(collector.requests[0].body.toString());
+    const npmTest = spans.find(s => s.name === 'npm test');
+    const jest = spans.find(s => s.name === 'jest');
+    const step = spans.find(s => s.name === 'Step: Build');
+    assert.strictEqual(step.id, stepSpanId(67890, '1', 12345, 1));
+    assert.strictEqual(step.parentId, jobId);
+    assert.strictEqual(npmTest.id, '1111111111111111');
+    assert.strictEqual(npmTest.parentId, step.id, 'commands run with the job TRACEPARENT nest under their step');
+    assert.strictEqual(jest.id, '2222222222222222');
+    assert.strictEqual(jest.parentId, '1111111111111111');
+    assert.strictEqual(spans.find(s => s.name === 'deploy').parentId, step.id);
+  });
+});
+
+test('job log export', async (t) => {
+  const logRecords = [
+    { time: new Date('2025-01-01T10:01:00Z'), body: 'npm ERR! missing script: build', severity: 'ERROR', marker: 'error', stepNumber: 1 },
+    { time: new Date('2025-01-01T10:04:00Z'), body: 'Cleaning up orphan processes', severity: 'INFO', marker: null, stepNumber: null },
+  ];
+
+  await t.test('should export log lines as OTLP logs carrying the IDs of their step and job spans', async () => {
+    const collector = await startCollector();
+    const metrics = buildTestMetrics();
+    metrics.logRecords = logRecords;
+
+    const [result] = await exportToBackends({
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+      customAttributes: {},
+      backends: [{ name: 'otlp', exporter: 'otlp-http', otlpEndpoint: collector.endpoint, otlpEncoding: 'json' }],
+    }, metrics);
+    await collector.close();
+
+    assert.strictEqual(result.success, true, result.error);
+    const request = collector.requests.find(r => r.url === '/v1/logs');
+    assert.ok(request, 'Collector should receive a logs request');
+
+    const [error, cleanup] = JSON.parse(request.body.toString()).resourceLogs[0].scopeLogs[0].logRecords;
+    assert.strictEqual(error.body.stringValue, 'npm ERR! missing script: build');
+    assert.strictEqual(error.severityText, 'ERROR');
+    assert.strictEqual(error.severityNumber, 17);
+    assert.strictEqual(error.traceId, workflowTraceId(67890, '1'));
+    assert.strictEqual(error.spanId, stepSpanId(67890, '1', 12345, 1));
+    assert.deepStrictEqual(error.attributes.find(a => a.key === 'step.name').value, { stringValue: 'Build' });
+    assert.deepStrictEqual(error.attributes.find(a => a.key === 'log.marker').value, { stringValue: 'error' });
+    assert.strictEqual(cleanup.spanId, jobSpanId(67890, '1', 12345), 'lines outside any step belong to the job span');
+  });
+
+  await t.test('should skip logs for backends without them', async () => {
+    const collector = await startCollector();
+    const metrics = buildTestMetrics();
+    metrics.logRecords = logRecords;
+
+    const [result] = await exportToBackends({
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+      customAttributes: {},
+      backends: [{ name: 'zipkin', exporter: 'zipkin', zipkinEndpoint: `${collector.endpoint}/api/v2/spans` }],
+    }, metrics);
+    await collector.close();
+
+    assert.strictEqual(result.success, true, result.error);
+    assert.deepStrictEqual(collector.requests.map(r => r.url), ['/api/v2/spans']);
+  });
+});
+
+test('exportToBackends', async (t) => {
+  await t.test('should isolate a failing backend from the others', async () => {
+    const collector = await startCollector();
+    const unreachable = await startCollector();
+    await unreachable.close(); // Nothing listens on this port anymore
+
+    const config = {
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+      customAttributes: {},
+      backends: [
+        { name: 'broken', exporter: 'otlp-http', otlpEndpoint: unreachable.endpoint, otlpEncoding: 'json', failOnError: true },
+        { name: 'working', exporter: 'otlp-http', otlpEndpoint: collector.endpoint, otlpEncoding: 'json', failOnError: false },
+      ],
+    };
+
+    const results = await exportToBackends(config, buildTestMetrics());
+    await collector.close();
+
+    assert.deepStrictEqual(results.map(r => [r.name, r.success, r.failOnError]), [
+      ['broken', false, true],
+      ['working', true, false],
+    ]);
+    assert.match(results[0].error, /metrics export/);
+    assert.match(results[0].error, /trace export/);
+    assert.ok(collector.requests.some(r => r.url === '/v1/metrics'), 'Working backend should receive metrics');
+    assert.ok(collector.requests.some(r => r.url === '/v1/traces'), 'Working backend should receive traces');
+  });
 });
@@ -0,0 +1,163 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { uploadTelemetryArtifact } = require('../lib/file-exporter');
+const {
+  createLoggerProvider,
+  createMeterProvider,
+  createTracerProvider,
+  recordLogs,
+  recordMetrics,
+  recordTraces,
+  shutdown,
+  shutdownLogger,
+  shutdownTracer,
+} = require('../lib/exporter');
+
+/**
+ * Builds a minimal collected metrics object for export tests
+ * @returns {Object} Collected metrics
+ */
+function buildTestMetrics() {
+  return {
+    workflow: 'CI',
+    job: {
+      name: 'test-job',
+      id: 12345,
+      status: 'completed',
+      conclusion: 'failure',
+      startedAt: new Date('2025-01-01T10:00:00Z'),
+      completedAt: new Date('2025-01-01T10:05:00Z'),
+      durationMs: 300000,
+    },
+    steps: [
+      {
+        name: 'Test',
+        number: 1,
+        status: 'completed',
+        conclusion: 'failure',
+        startedAt: new Date('2025-01-01T10:00:00Z'),
+        completedAt: new Date('2025-01-01T10:03:00Z'),
+        durationMs: 180000,
+      },
+    ],
+    repository: { owner: 'test-owner', repo: 'test-repo', fullName: 'test-owner/test-repo' },
+    run: { id: 67890, number: 42, attempt: '1' },
+    git: { sha: 'abc123', ref: 'refs/heads/main', refName: 'main', baseRef: null, headRef: null },
+    event: { name: 'push', actor: 'test-user', prNumber: null },
+    runner: { os: 'Linux', arch: 'X64', name: 'Hosted Agent', labels: ['ubuntu-latest'] },
+  };
+}
+
+test('file exporter', async (t) => {
+  let tmpDir;
+
+  t.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-file-'));
+  });
+
+  t.afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('should write metrics and spans as OTLP/JSON lines', async () => {
+    const config = {
+      exporter: 'file',
+      filePath: path.join(tmpDir, 'nested', 'telemetry.jsonl'),
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { meterProvider, meter } = createMeterProvider(config);
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordMetrics(meter, buildTestMetrics(), config.metricPrefix);
+    recordTraces(tracer, buildTestMetrics());
+    await shutdown(meterProvider);
+    await shutdownTracer(tracerProvider);
+
+    const lines = fs.readFileSync(config.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(lines.every(line => line.resourceMetrics || line.resourceSpans), 'Each line is one OTLP export request');
+
+    const metricsLine = lines.find(line => line.resourceMetrics);
+    const metricNames = metricsLine.resourceMetrics
+      .flatMap(rm => rm.scopeMetrics)
+      .flatMap(sm => sm.metrics)
+      .map(m => m.name);
+    assert.ok(metricNames.includes('test.prefix.job.duration'));
+
+    const tracesLine = lines.find(line => line.resourceSpans);
+    const spans = tracesLine.resourceSpans.flatMap(rs => rs.scopeSpans).flatMap(ss => ss.spans);
+    assert.deepStrictEqual(spans.map(s => s.name).sort(), ['Job: test-job', 'Step: Test']);
+    assert.match(spans[0].traceId, /^[0-9a-f]{32}$/, 'Trace IDs should be hex encoded');
+
+    const resourceAttributes = tracesLine.resourceSpans[0].resource.attributes;
+    assert.ok(resourceAttributes.some(a => a.key === 'service.name' && a.value.stringValue === 'test-service'));
+  });
+
+  await t.test('should write job log lines as OTLP/JSON lines', async () => {
+    const config = {
+      exporter: 'file',
+      filePath: path.join(tmpDir, 'telemetry.jsonl'),
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+    const metrics = buildTestMetrics();
+    metrics.logRecords = [
+      { time: new Date('2025-01-01T10:01:00Z'), body: '1 test failed', severity: 'ERROR', marker: 'error', stepNumber: 1 },
+    ];
+
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    const spans = recordTraces(tracer, metrics);
+    await shutdownTracer(tracerProvider);
+    const { loggerProvider, logger } = createLoggerProvider(config);
+    recordLogs(logger, metrics, spans);
+    await shutdownLogger(loggerProvider);
+
+    const lines = fs.readFileSync(config.filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const [record] = lines.find(line => line.resourceLogs).resourceLogs[0].scopeLogs[0].logRecords;
+    assert.strictEqual(record.body.stringValue, '1 test failed');
+    assert.strictEqual(record.spanId, spans.stepSpans.get(1).spanContext().spanId);
+  });
+
+  await t.test('should append to an existing file', async () => {
+    const filePath = path.join(tmpDir, 'telemetry.jsonl');
+    fs.writeFileSync(filePath, '{"existing":true}\n');
+
+    const config = {
+      exporter: 'file',
+      filePath,
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'test.prefix',
+    };
+
+    const { tracerProvider, tracer } = createTracerProvider(config);
+    recordTraces(tracer, buildTestMetrics());
+    await shutdownTracer(tracerProvider);
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(JSON.parse(lines[0]), { existing: true });
+  });
+});
+
+test('uploadTelemetryArtifact', async (t) => {
+  await t.test('should upload the file relative to its directory', async () => {
+    const artifactClient = {
+      uploadArtifact: mock.fn(async () => ({ id: 7, size: 1024 })),
+    };
+
+    const result = await uploadTelemetryArtifact('/work/out/telemetry.jsonl', 'otel-telemetry-1', artifactClient);
+
+    assert.deepStrictEqual(result, { id: 7, size: 1024 });
+    assert.deepStrictEqual(artifactClient.uploadArtifact.mock.calls[0].arguments, [
+      'otel-telemetry-1',
+      ['/work/out/telemetry.jsonl'],
+      '/work/out',
+    ]);
+  });
+});
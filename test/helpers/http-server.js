@@ -0,0 +1,41 @@
+const http = require('node:http');
+
+/**
+ * Starts a local HTTP server that stands in for a backend or API, capturing every request it receives
+ * @param {Function} respond - Answers each request, called as respond(req, res, body) with the body as a Buffer
+ * @returns {Promise<Object>} Server endpoint, captured requests (method, url, headers, body), and close function
+ */
+async function startServer(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      respond(req, res, body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    endpoint: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Writes a JSON response
+ * @param {Object} res - Server response
+ * @param {number} status - HTTP status code
+ * @param {Object} payload - Response body
+ */
+function replyJSON(res, status, payload) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+module.exports = { startServer, replyJSON };
@@ -0,0 +1,144 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const core = require('@actions/core');
+const { fetchJobLog, parseJobLog, findStepAt, parseLogGroups, buildLogRecords } = require('../lib/job-log');
+
+const STEPS = [
+  { name: 'Set up job', number: 1, startedAt: new Date('2025-01-01T10:00:00Z'), completedAt: new Date('2025-01-01T10:00:02Z') },
+  { name: 'Build', number: 2, startedAt: new Date('2025-01-01T10:00:02Z'), completedAt: new Date('2025-01-01T10:01:00Z') },
+  { name: 'Skipped', number: 3, startedAt: null, completedAt: null },
+];
+
+const LOG = [
+  '\uFEFF2025-01-01T10:00:00.1000000Z Current runner version: \'2.320.0\'',
+  '2025-01-01T10:00:00.2000000Z ##[group]Operating System',
+  '2025-01-01T10:00:00.3000000Z Ubuntu',
+  '2025-01-01T10:00:00.4000000Z ##[endgroup]',
+  '2025-01-01T10:00:02.1000000Z ##[group]Run ./build.sh',
+  '2025-01-01T10:00:02.1100000Z ./build.sh',
+  '2025-01-01T10:00:02.1200000Z ##[endgroup]',
+  '2025-01-01T10:00:03.0000000Z ##[group]Install dependencies',
+  '2025-01-01T10:00:20.5000000Z added 512 packages',
+  'in 17s',
+  '2025-01-01T10:00:21.0000000Z ##[endgroup]',
+  '2025-01-01T10:00:21.5000000Z ##[group]Compile',
+  '2025-01-01T10:00:59.0000000Z done',
+  '',
+].join('\n');
+
+test('parseJobLog', async (t) => {
+  await t.test('should read timestamps and carry them over to continuation lines', () => {
+    const lines = parseJobLog(LOG);
+
+    assert.strictEqual(lines.length, 13);
+    assert.deepStrictEqual(lines[0], { time: new Date('2025-01-01T10:00:00.100Z'), text: 'Current runner version: \'2.320.0\'' });
+    assert.deepStrictEqual(lines[9], { time: new Date('2025-01-01T10:00:20.500Z'), text: 'in 17s' });
+  });
+});
+
+test('findStepAt', async (t) => {
+  await t.test('should find the latest step started by then', () => {
+    assert.strictEqual(findStepAt(STEPS, new Date('2025-01-01T10:00:00.500Z')).number, 1);
+    assert.strictEqual(findStepAt(STEPS, new Date('2025-01-01T10:00:30Z')).number, 2);
+    // Step start times have second precision, so lines just before the reported start still count
+    assert.strictEqual(findStepAt(STEPS, new Date('2025-01-01T10:00:01.500Z')).number, 2);
+    assert.strictEqual(findStepAt(STEPS, new Date('2025-01-01T09:59:00Z')), null);
+  });
+});
+
+test('parseLogGroups', async (t) => {
+  await t.test('should find groups per step, skipping the run header and closing open groups', () => {
+    const groups = parseLogGroups(parseJobLog(LOG), STEPS);
+
+    assert.deepStrictEqual(groups, [
+      {
+        name: 'Operating System',
+        start: new Date('2025-01-01T10:00:00.200Z'),
+        end: new Date('2025-01-01T10:00:00.400Z'),
+        stepNumber: 1,
+      },
+      {
+        name: 'Install dependencies',
+        start: new Date('2025-01-01T10:00:03Z'),
+        end: new Date('2025-01-01T10:00:21Z'),
+        stepNumber: 2,
+      },
+      {
+        name: 'Compile',
+        start: new Date('2025-01-01T10:00:21.500Z'),
+        end: new Date('2025-01-01T10:00:59Z'),
+        stepNumber: 2,
+      },
+    ]);
+  });
+});
+
+test('buildLogRecords', async (t) => {
+  const lines = parseJobLog([
+    '2025-01-01T10:00:00.1000000Z Current runner version: \'2.320.0\'',
+    '2025-01-01T10:00:02.1000000Z ##[group]Run ./build.sh',
+    '2025-01-01T10:00:02.1200000Z ##[endgroup]',
+    '2025-01-01T10:00:10.0000000Z ##[warning]Node.js 16 actions are deprecated',
+    '2025-01-01T10:00:59.0000000Z ##[error]Process completed with exit code 1.',
+  ].join('\n'));
+  const unlimited = { maxLines: 100, maxBytes: 10000 };
+
+  await t.test('should place lines in steps and derive severity from markers', () => {
+    const { records, dropped } = buildLogRecords(lines, STEPS, unlimited);
+
+    assert.strictEqual(dropped, 0);
+    assert.deepStrictEqual(records, [
+      { time: new Date('2025-01-01T10:00:00.100Z'), body: 'Current runner version: \'2.320.0\'', severity: 'INFO', marker: null, stepNumber: 1 },
+      { time: new Date('2025-01-01T10:00:02.100Z'), body: 'Run ./build.sh', severity: 'INFO', marker: 'group', stepNumber: 2 },
+      { time: new Date('2025-01-01T10:00:10Z'), body: 'Node.js 16 actions are deprecated', severity: 'WARN', marker: 'warning', stepNumber: 2 },
+      { time: new Date('2025-01-01T10:00:59Z'), body: 'Process completed with exit code 1.', severity: 'ERROR', marker: 'error', stepNumber: 2 },
+    ]);
+  });
+
+  await t.test('should keep the most recent lines within the limits', () => {
+    assert.deepStrictEqual(
+      buildLogRecords(lines, STEPS, { maxLines: 2, maxBytes: 10000 }).records.map(r => r.severity),
+      ['WARN', 'ERROR']
+    );
+
+    const { records, dropped } = buildLogRecords(lines, STEPS, { maxLines: 100, maxBytes: 40 });
+    assert.deepStrictEqual(records.map(r => r.body), ['Process completed with exit code 1.']);
+    assert.strictEqual(dropped, 3);
+  });
+});
+
+test('fetchJobLog', async (t) => {
+  const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+  await t.test('should download the log of the job', async () => {
+    const octokit = {
+      rest: { actions: { downloadJobLogsForWorkflowRun: mock.fn(async () => ({ data: LOG })) } },
+    };
+
+    assert.strictEqual(await fetchJobLog(octokit, context, 12345), LOG);
+    assert.deepStrictEqual(octokit.rest.actions.downloadJobLogsForWorkflowRun.mock.calls[0].arguments[0], {
+      owner: 'test-owner',
+      repo: 'test-repo',
+      job_id: 12345,
+    });
+  });
+
+  await t.test('should return null when the log cannot be downloaded', async () => {
+    const originalInfo = core.info;
+    core.info = mock.fn();
+    const octokit = {
+      rest: {
+        actions: {
+          downloadJobLogsForWorkflowRun: mock.fn(async () => {
+            throw new Error('Not Found');
+          }),
+        },
+      },
+    };
+
+    const log = await fetchJobLog(octokit, context, 12345);
+    core.info = originalInfo;
+
+    assert.strictEqual(log, null);
+  });
+});
@@ -0,0 +1,177 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { OAuth2Client } = require('google-auth-library');
+const { BasicTracerProvider } = require('@opentelemetry/sdk-trace-base');
+const { buildLogEntries, exportLogs } = require('../lib/logging');
+const { recordTraces } = require('../lib/exporter');
+const { startServer, replyJSON } = require('./helpers/http-server');
+
+/**
+ * Starts a local HTTP server that stands in for the Cloud Logging API
+ * @returns {Promise<Object>} Server endpoint, captured requests, and close function
+ */
+function startLoggingAPI() {
+  return startServer((req, res) => {
+    const denied = req.headers.authorization !== 'Bearer test-token';
+    replyJSON(res, denied ? 403 : 200, denied ? { error: { code: 403, message: 'Permission denied' } } : {});
+  });
+}
+
+/**
+ * Creates an auth client with a fixed access token
+ * @param {string} accessToken - Token sent as the bearer credential
+ * @returns {Object} Auth client
+ */
+function createTestAuthClient(accessToken) {
+  const client = new OAuth2Client();
+  client.setCredentials({ access_token: accessToken, expiry_date: Date.now() + 3600 * 1000 });
+  return client;
+}
+
+/**
+ * Builds a minimal collected metrics object for log tests
+ * @returns {Object} Collected metrics
+ */
+function buildTestMetrics() {
+  return {
+    workflow: 'CI',
+    job: {
+      name: 'test-job',
+      id: 12345,
+      status: 'completed',
+      conclusion: 'failure',
+      startedAt: new Date('2025-01-01T10:00:00Z'),
+      completedAt: new Date('2025-01-01T10:05:00Z'),
+      durationMs: 300000,
+    },
+    steps: [
+      {
+        name: 'Build',
+        number: 1,
+        status: 'completed',
+        conclusion: 'success',
+        startedAt: new Date('2025-01-01T10:00:00Z'),
+        completedAt: new Date('2025-01-01T10:03:00Z'),
+        durationMs: 180000,
+      },
+      {
+        name: 'Test',
+        number: 2,
+        status: 'completed',
+        conclusion: 'failure',
+        startedAt: new Date('2025-01-01T10:03:00Z'),
+        completedAt: new Date('2025-01-01T10:05:00Z'),
+        durationMs: 120000,
+      },
+    ],
+    repository: { owner: 'test-owner', repo: 'test-repo', fullName: 'test-owner/test-repo' },
+    run: { id: 67890, number: 42, attempt: '2' },
+    git: { sha: 'abc123', ref: 'refs/pull/7/merge', refName: '7/merge', baseRef: 'main', headRef: 'feature' },
+    event: { name: 'pull_request', actor: 'test-user', prNumber: 7 },
+    runner: { os: 'Linux', arch: 'X64', name: 'Hosted Agent', labels: ['ubuntu-latest'] },
+  };
+}
+
+test('buildLogEntries', async (t) => {
+  await t.test('should build one entry for the job and one per step', () => {
+    const entries = buildLogEntries(buildTestMetrics(), {
+      projectId: 'test-project',
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      jobSpanId: 'b7ad6b7169203331',
+      stepSpanIds: { 1: '00f067aa0ba902b7', 2: '53995c3f42cd8ad8' },
+      customAttributes: { team: 'platform' },
+    });
+
+    assert.strictEqual(entries.length, 3);
+    const [job, build, testStep] = entries;
+
+    assert.strictEqual(job.trace, 'projects/test-project/traces/0af7651916cd43dd8448eb211c80319c');
+    assert.strictEqual(job.spanId, 'b7ad6b7169203331');
+    assert.strictEqual(job.severity, 'ERROR');
+    assert.strictEqual(job.timestamp, '2025-01-01T10:05:00.000Z');
+    assert.strictEqual(job.jsonPayload.message, 'Job "test-job" failure in 300.0s');
+    assert.strictEqual(job.jsonPayload.job.durationMs, 300000);
+    assert.strictEqual(job.jsonPayload.event.prNumber, 7);
+    assert.strictEqual(job.jsonPayload.git.ref, 'refs/pull/7/merge');
+    assert.deepStrictEqual(job.jsonPayload.runner.labels, ['ubuntu-latest']);
+    assert.deepStrictEqual(job.jsonPayload.attributes, { team: 'platform' });
+    assert.deepStrictEqual(job.jsonPayload.run, {
+      id: 67890,
+      number: 42,
+      attempt: '2',
+      workflow: 'CI',
+      url: 'https://github.com/test-owner/test-repo/actions/runs/67890/attempts/2',
+    });
+    assert.strictEqual(job.labels['github.run_id'], '67890');
+    assert.strictEqual(job.labels['github.entry_type'], 'job');
+
+    assert.strictEqual(build.spanId, '00f067aa0ba902b7');
+    assert.strictEqual(build.severity, 'INFO');
+    assert.strictEqual(build.jsonPayload.step.durationMs, 180000);
+    assert.strictEqual(build.labels['github.entry_type'], 'step');
+
+    assert.strictEqual(testStep.trace, job.trace);
+    assert.strictEqual(testStep.severity, 'ERROR');
+    assert.strictEqual(testStep.jsonPayload.step.conclusion, 'failure');
+  });
+});
+
+test('buildLogEntries with every job of the run', async (t) => {
+  await t.test('should leave the run job summaries out of every entry', () => {
+    const metrics = buildTestMetrics();
+    const steps = metrics.steps;
+    metrics.run.jobs = Array.from({ length: 200 }, (_, index) => ({ id: index, name: `shard ${index}`, labels: ['ubuntu-latest'], needs: [], steps }));
+    metrics.run.lastJob = true;
+    metrics.run.triggeredBy = { id: 55555, attempt: '1', workflow: 'Build', conclusion: 'success' };
+
+    const entries = buildLogEntries(metrics, { projectId: 'test-project' });
+
+    for (const entry of entries) {
+      assert.deepStrictEqual(Object.keys(entry.jsonPayload.run), ['id', 'number', 'attempt', 'workflow', 'url']);
+      assert.ok(!JSON.stringify(entry).includes('shard'));
+    }
+  });
+});
+
+test('exportLogs', async (t) => {
+  const config = {
+    gcpProjectId: 'test-project',
+    gcpLogName: 'github-actions',
+    customAttributes: {},
+  };
+
+  await t.test('should write entries linked to the recorded spans', async () => {
+    const api = await startLoggingAPI();
+    const tracer = new BasicTracerProvider().getTracer('test');
+    const spans = recordTraces(tracer, buildTestMetrics());
+
+    await exportLogs(config, buildTestMetrics(), spans, createTestAuthClient('test-token'), api.endpoint);
+    await api.close();
+
+    assert.strictEqual(api.requests.length, 1);
+    const request = api.requests[0];
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/v2/entries:write');
+
+    const body = JSON.parse(request.body.toString());
+    assert.strictEqual(body.logName, 'projects/test-project/logs/github-actions');
+    assert.deepStrictEqual(body.resource, { type: 'global', labels: { project_id: 'test-project' } });
+
+    const { traceId, spanId } = spans.jobSpan.spanContext();
+    assert.strictEqual(body.entries[0].trace, `projects/test-project/traces/${traceId}`);
+    assert.strictEqual(body.entries[0].spanId, spanId);
+    assert.strictEqual(body.entries[2].spanId, spans.stepSpans.get(2).spanContext().spanId);
+  });
+
+  await t.test('should reject when the API refuses the write', async () => {
+    const api = await startLoggingAPI();
+    const tracer = new BasicTracerProvider().getTracer('test');
+    const spans = recordTraces(tracer, buildTestMetrics());
+
+    await assert.rejects(
+      exportLogs(config, buildTestMetrics(), spans, createTestAuthClient('wrong-token'), api.endpoint),
+      /Permission denied/
+    );
+    await api.close();
+  });
+});
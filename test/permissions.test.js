@@ -0,0 +1,239 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { OAuth2Client } = require('google-auth-library');
+const core = require('@actions/core');
+const { testServiceAccountPermissions } = require('../lib/permissions');
+const { startServer, replyJSON } = require('./helpers/http-server');
+
+const SERVICE_ACCOUNT = 'metrics@test-project.iam.gserviceaccount.com';
+const MEMBER = `serviceAccount:${SERVICE_ACCOUNT}`;
+
+/**
+ * Starts a local HTTP server that stands in for the Resource Manager and IAM APIs
+ * @param {Object} options - Canned responses
+ * @param {Array<string>} options.granted - Permissions testIamPermissions reports as held
+ * @param {Object} options.policies - Bindings keyed by resource name; resources without an entry return 403
+ * @param {Object} options.roles - Custom role permissions keyed by role name; roles without an entry return 403
+ * @param {boolean} options.testable - Whether testIamPermissions succeeds
+ * @returns {Promise<Object>} Server endpoints, captured requests, and close function
+ */
+async function startPermissionAPIs({ granted = [], policies = {}, roles = {}, testable = true }) {
+  const server = await startServer((req, res, body) => {
+    const reply = (status, payload) => replyJSON(res, status, payload);
+    const denied = () => reply(403, { error: { code: 403, message: 'Permission denied' } });
+
+    if (req.url === '/crm/v1/projects/test-project:testIamPermissions') {
+      if (!testable) {
+        return denied();
+      }
+      const { permissions } = JSON.parse(body.toString());
+      return reply(200, { permissions: permissions.filter(permission => granted.includes(permission)) });
+    }
+    if (req.url === '/crm/v1/projects/test-project:getAncestry') {
+      return reply(200, {
+        ancestor: [
+          { resourceId: { type: 'project', id: 'test-project' } },
+          { resourceId: { type: 'folder', id: '111' } },
+          { resourceId: { type: 'organization', id: '222' } },
+        ],
+      });
+    }
+    const policyMatch = req.url.match(/^\/crm\/v3\/(.+):getIamPolicy$/);
+    if (policyMatch) {
+      const bindings = policies[policyMatch[1]];
+      return bindings ? reply(200, { bindings }) : denied();
+    }
+    if (req.url.startsWith('/iam/v1/')) {
+      const permissions = roles[req.url.slice('/iam/v1/'.length)];
+      return permissions ? reply(200, { includedPermissions: permissions }) : denied();
+    }
+    reply(404, {});
+  });
+
+  return {
+    endpoints: {
+      resourceManager: `${server.endpoint}/crm`,
+      iam: `${server.endpoint}/iam`,
+    },
+    requests: server.requests,
+    close: server.close,
+  };
+}
+
+/**
+ * Creates an auth client with a fixed access token
+ * @returns {Object} Auth client
+ */
+function createTestAuthClient() {
+  const client = new OAuth2Client();
+  client.setCredentials({ access_token: 'test-token', expiry_date: Date.now() + 3600 * 1000 });
+  return client;
+}
+
+/**
+ * Collects the messages logged through a mocked core function
+ * @param {Object} fn - Mocked function
+ * @returns {string} Logged messages joined by newlines
+ */
+function logged(fn) {
+  return fn.mock.calls.map(call => call.arguments[0]).join('\n');
+}
+
+test('testServiceAccountPermissions', async (t) => {
+  let originalInfo;
+  let originalDebug;
+  let originalError;
+  let originalWarning;
+
+  t.beforeEach(() => {
+    originalInfo = core.info;
+    originalDebug = core.debug;
+    originalError = core.error;
+    originalWarning = core.warning;
+    core.info = mock.fn();
+    core.debug = mock.fn();
+    core.error = mock.fn();
+    core.warning = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.info = originalInfo;
+    core.debug = originalDebug;
+    core.error = originalError;
+    core.warning = originalWarning;
+  });
+
+  await t.test('should pass when only the export permissions are held', async () => {
+    const apis = await startPermissionAPIs({
+      granted: ['monitoring.timeSeries.create', 'cloudtrace.traces.patch'],
+      policies: {
+        'projects/test-project': [
+          { role: 'roles/monitoring.metricWriter', members: [MEMBER] },
+          { role: 'roles/owner', members: ['user:admin@example.com'] },
+        ],
+        'folders/111': [],
+      },
+    });
+
+    const report = await testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints);
+    await apis.close();
+
+    assert.strictEqual(report.passed, true);
+    assert.deepStrictEqual(report.inspected, ['projects/test-project', 'folders/111']);
+    assert.deepStrictEqual(report.uninspected, ['organizations/222']);
+    assert.deepStrictEqual(report.missingRequired, []);
+    assert.match(logged(core.info), /Permission check passed/);
+    assert.strictEqual(core.error.mock.callCount(), 0);
+
+    const probe = JSON.parse(apis.requests[0].body.toString());
+    assert.ok(probe.permissions.includes('resourcemanager.projects.setIamPolicy'));
+    assert.strictEqual(apis.requests[0].headers.authorization, 'Bearer test-token');
+  });
+
+  await t.test('should fail with remediation for an inherited folder binding', async () => {
+    const apis = await startPermissionAPIs({
+      granted: ['monitoring.timeSeries.create', 'cloudtrace.traces.patch', 'storage.objects.get'],
+      policies: {
+        'projects/test-project': [{ role: 'roles/monitoring.metricWriter', members: [MEMBER] }],
+        'folders/111': [{ role: 'roles/storage.objectViewer', members: [MEMBER] }],
+        'organizations/222': [],
+      },
+    });
+
+    await assert.rejects(
+      testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints),
+      /excessive permissions/
+    );
+    await apis.close();
+
+    const errors = logged(core.error);
+    assert.match(errors, /storage\.objects\.get/);
+    assert.match(errors, /roles\/storage\.objectViewer on folders\/111/);
+    assert.match(errors, /gcloud resource-manager folders remove-iam-policy-binding 111/);
+    assert.match(errors, new RegExp(`--member="${MEMBER}"`));
+  });
+
+  await t.test('should flag custom roles with permissions beyond export', async () => {
+    const apis = await startPermissionAPIs({
+      granted: ['monitoring.timeSeries.create', 'cloudtrace.traces.patch'],
+      policies: {
+        'projects/test-project': [{ role: 'projects/test-project/roles/telemetry', members: [MEMBER] }],
+        'folders/111': [],
+        'organizations/222': [],
+      },
+      roles: {
+        'projects/test-project/roles/telemetry': ['monitoring.timeSeries.create', 'pubsub.topics.publish'],
+      },
+    });
+
+    await assert.rejects(
+      testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints),
+      /excessive permissions/
+    );
+    await apis.close();
+
+    const errors = logged(core.error);
+    assert.match(errors, /custom role with: pubsub\.topics\.publish/);
+    assert.match(errors, /gcloud iam roles update telemetry --project=test-project/);
+    assert.match(errors, /--remove-permissions=pubsub\.topics\.publish/);
+  });
+
+  await t.test('should point at asset search when dangerous grants come from unreadable policies', async () => {
+    const apis = await startPermissionAPIs({
+      granted: ['monitoring.timeSeries.create', 'cloudtrace.traces.patch', 'iam.serviceAccountKeys.create'],
+      policies: {
+        'projects/test-project': [{ role: 'roles/monitoring.metricWriter', members: [MEMBER] }],
+      },
+    });
+
+    await assert.rejects(
+      testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints),
+      /excessive permissions/
+    );
+    await apis.close();
+
+    const errors = logged(core.error);
+    assert.match(errors, /iam\.serviceAccountKeys\.create/);
+    assert.match(errors, /folders\/111, organizations\/222 could not be read/);
+    assert.match(errors, /gcloud asset search-all-iam-policies --scope=projects\/test-project/);
+  });
+
+  await t.test('should warn about missing export permissions', async () => {
+    const apis = await startPermissionAPIs({
+      granted: ['cloudtrace.traces.patch'],
+      policies: { 'projects/test-project': [], 'folders/111': [], 'organizations/222': [] },
+    });
+
+    const report = await testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints);
+    await apis.close();
+
+    assert.strictEqual(report.passed, true);
+    assert.deepStrictEqual(report.missingRequired, ['monitoring.timeSeries.create']);
+    assert.match(logged(core.warning), /missing permissions needed for export: monitoring\.timeSeries\.create/);
+  });
+
+  await t.test('should not expect export permissions on a key that only impersonates', async () => {
+    const apis = await startPermissionAPIs({
+      granted: [],
+      policies: { 'projects/test-project': [], 'folders/111': [], 'organizations/222': [] },
+    });
+
+    const report = await testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints, false);
+    await apis.close();
+
+    assert.strictEqual(report.passed, true);
+    assert.deepStrictEqual(report.missingRequired, []);
+    assert.doesNotMatch(logged(core.warning), /missing permissions/);
+  });
+
+  await t.test('should skip the check when testIamPermissions is unavailable', async () => {
+    const apis = await startPermissionAPIs({ testable: false });
+
+    const report = await testServiceAccountPermissions('test-project', SERVICE_ACCOUNT, null, createTestAuthClient(), apis.endpoints);
+    await apis.close();
+
+    assert.strictEqual(report, null);
+    assert.strictEqual(apis.requests.length, 1);
+    assert.match(logged(core.info), /Could not test service account permissions/);
+  });
+});
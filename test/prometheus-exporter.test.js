@@ -0,0 +1,252 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const snappy = require('snappyjs');
+const { toPrometheusName, pushgatewayUrl } = require('../lib/prometheus-exporter');
+const { createMeterProvider, recordMetrics, shutdown, exportToBackends } = require('../lib/exporter');
+const { startServer } = require('./helpers/http-server');
+
+/**
+ * Starts a local HTTP server that stands in for a Pushgateway or remote-write receiver
+ * @returns {Promise<Object>} Server endpoint, captured requests, and close function
+ */
+function startReceiver() {
+  return startServer((req, res) => {
+    res.writeHead(req.url.includes('reject') ? 400 : 200);
+    res.end(req.url.includes('reject') ? 'bad payload' : '');
+  });
+}
+
+/**
+ * Builds a minimal collected metrics object for export tests
+ * @returns {Object} Collected metrics
+ */
+function buildTestMetrics() {
+  return {
+    workflow: 'CI',
+    job: { name: 'test-job', id: 12345, status: 'completed', conclusion: 'success', durationMs: 300000 },
+    steps: [
+      { name: 'Build "app"', number: 1, status: 'completed', conclusion: 'success', durationMs: 180000 },
+    ],
+    repository: { owner: 'test-owner', repo: 'test-repo', fullName: 'test-owner/test-repo', sizeKB: 2048 },
+    run: { id: 67890, number: 42, attempt: '1' },
+    git: { sha: 'abc123', ref: 'refs/heads/main', refName: 'main', baseRef: null, headRef: null },
+    event: { name: 'push', actor: 'test-user', prNumber: null },
+    runner: { os: 'Linux', arch: 'X64', name: 'Hosted Agent', labels: ['ubuntu-latest'] },
+  };
+}
+
+/**
+ * Decodes the label sets of a remote-write WriteRequest
+ * Only handles the fields this exporter writes (TimeSeries labels and samples)
+ * @param {Buffer} buffer - Uncompressed WriteRequest
+ * @returns {Array<Object>} Time series with labels and sample value
+ */
+function decodeWriteRequest(buffer) {
+  const readVarint = (buf, offset) => {
+    let value = 0;
+    let multiplier = 1;
+    let position = offset;
+    let byte;
+    do {
+      byte = buf[position++];
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 0x80;
+    } while (byte & 0x80);
+    return [value, position];
+  };
+
+  const readFields = (buf) => {
+    const fields = [];
+    let offset = 0;
+    while (offset < buf.length) {
+      let key;
+      [key, offset] = readVarint(buf, offset);
+      const field = Math.floor(key / 8);
+      const wireType = key & 7;
+      if (wireType === 2) {
+        let length;
+        [length, offset] = readVarint(buf, offset);
+        fields.push({ field, value: buf.subarray(offset, offset + length) });
+        offset += length;
+      } else if (wireType === 1) {
+        fields.push({ field, value: buf.readDoubleLE(offset) });
+        offset += 8;
+      } else {
+        let value;
+        [value, offset] = readVarint(buf, offset);
+        fields.push({ field, value });
+      }
+    }
+    return fields;
+  };
+
+  return readFields(buffer).map(({ value: series }) => {
+    const labels = {};
+    let sample;
+    for (const { field, value } of readFields(series)) {
+      if (field === 1) {
+        const [name, labelValue] = readFields(value).map(f => f.value.toString());
+        labels[name] = labelValue;
+      } else if (field === 2) {
+        const sampleFields = readFields(value);
+        sample = { value: sampleFields[0].value, timestampMs: sampleFields[1].value };
+      }
+    }
+    return { labels, sample };
+  });
+}
+
+test('toPrometheusName', async (t) => {
+  await t.test('should convert dotted names to underscores', () => {
+    assert.strictEqual(toPrometheusName('github.actions.job.duration'), 'github_actions_job_duration');
+    assert.strictEqual(toPrometheusName('ci-metrics.step.duration'), 'ci_metrics_step_duration');
+    assert.strictEqual(toPrometheusName('1st.metric'), '_1st_metric');
+  });
+});
+
+test('pushgatewayUrl', async (t) => {
+  await t.test('should encode grouping labels', () => {
+    assert.strictEqual(
+      pushgatewayUrl('http://pushgateway:9091/', 'github-actions', { repository: 'octo/repo', job_name: 'build' }),
+      'http://pushgateway:9091/metrics/job/github-actions/repository@base64/b2N0by9yZXBv/job_name/build'
+    );
+    assert.strictEqual(
+      pushgatewayUrl('http://pushgateway:9091', 'ci', { empty: '' }),
+      'http://pushgateway:9091/metrics/job/ci/empty@base64/='
+    );
+  });
+});
+
+test('Prometheus Pushgateway export', async (t) => {
+  await t.test('should push metrics in the text exposition format', async () => {
+    const receiver = await startReceiver();
+    const config = {
+      exporter: 'prometheus-pushgateway',
+      prometheusEndpoint: receiver.endpoint,
+      prometheusHeaders: { authorization: 'Basic abc' },
+      prometheusJob: 'github-actions',
+      prometheusGrouping: { job_name: 'build' },
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'github.actions',
+    };
+
+    const { meterProvider, meter } = createMeterProvider(config);
+    recordMetrics(meter, buildTestMetrics(), config.metricPrefix);
+    await shutdown(meterProvider);
+    await receiver.close();
+
+    const request = receiver.requests[0];
+    assert.ok(request, 'Pushgateway should receive a push');
+    assert.strictEqual(request.method, 'PUT');
+    assert.strictEqual(request.url, '/metrics/job/github-actions/job_name/build');
+    assert.strictEqual(request.headers.authorization, 'Basic abc');
+    assert.match(request.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+
+    const body = request.body.toString();
+    assert.match(body, /^# TYPE github_actions_job_duration histogram$/m);
+    assert.match(body, /^github_actions_job_duration_bucket\{.*le="\+Inf"\} 1$/m);
+    assert.match(body, /^github_actions_job_duration_sum\{.*\} 300000$/m);
+    assert.match(body, /^github_actions_job_duration_count\{.*workflow_name="CI".*\} 1$/m);
+    assert.match(body, /^# TYPE github_actions_repo_size gauge$/m);
+    assert.match(body, /^github_actions_repo_size\{.*\} 2048$/m);
+    assert.ok(body.includes('step_name="Build \\"app\\""'), 'Label values should be escaped');
+    assert.ok(!/\} \d+ \d+$/m.test(body), 'Pushed samples must not carry timestamps');
+  });
+
+  await t.test('should push matrix legs of one job to separate groups by default', async () => {
+    const receiver = await startReceiver();
+    const config = {
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'github.actions',
+      backends: [{
+        name: 'pushgateway',
+        exporter: 'prometheus-pushgateway',
+        prometheusEndpoint: receiver.endpoint,
+        prometheusHeaders: {},
+        prometheusJob: 'github-actions',
+        prometheusGrouping: { github_repository: 'octo/repo', github_workflow: 'CI' },
+        prometheusGroupByJob: true,
+      }],
+    };
+
+    for (const [id, name] of [[111, 'test (linux)'], [222, 'test (windows)']]) {
+      const metrics = buildTestMetrics();
+      metrics.job = { ...metrics.job, id, name };
+      const [result] = await exportToBackends(config, metrics);
+      assert.strictEqual(result.success, true);
+    }
+    await receiver.close();
+
+    const urls = [...new Set(receiver.requests.map(request => request.url))];
+    assert.deepStrictEqual(urls, [
+      '/metrics/job/github-actions/github_repository@base64/b2N0by9yZXBv/github_workflow/CI/github_job/test%20(linux)',
+      '/metrics/job/github-actions/github_repository@base64/b2N0by9yZXBv/github_workflow/CI/github_job/test%20(windows)',
+    ]);
+    assert.ok(receiver.requests.at(-1).body.toString().includes('job_name="test (windows)"'));
+  });
+
+  await t.test('should report HTTP errors as export failures', async () => {
+    const receiver = await startReceiver();
+    const config = {
+      exporter: 'prometheus-pushgateway',
+      prometheusEndpoint: receiver.endpoint,
+      prometheusHeaders: {},
+      prometheusJob: 'reject',
+      prometheusGrouping: {},
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'github.actions',
+    };
+
+    const { meterProvider, meter } = createMeterProvider(config);
+    recordMetrics(meter, buildTestMetrics(), config.metricPrefix);
+    await assert.rejects(shutdown(meterProvider), /Pushgateway responded with HTTP 400: bad payload/);
+    await receiver.close();
+  });
+});
+
+test('Prometheus remote-write export', async (t) => {
+  await t.test('should send snappy-compressed WriteRequests', async () => {
+    const receiver = await startReceiver();
+    const config = {
+      exporter: 'prometheus-remote-write',
+      prometheusEndpoint: `${receiver.endpoint}/api/v1/write`,
+      prometheusHeaders: {},
+      serviceName: 'test-service',
+      serviceNamespace: 'test-namespace',
+      metricPrefix: 'github.actions',
+    };
+
+    process.env.GITHUB_RUN_ID = '12345';
+
+    const { meterProvider, meter } = createMeterProvider(config);
+    recordMetrics(meter, buildTestMetrics(), config.metricPrefix);
+    await shutdown(meterProvider);
+    await receiver.close();
+
+    const request = receiver.requests[0];
+    assert.ok(request, 'Receiver should get a remote-write request');
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/api/v1/write');
+    assert.strictEqual(request.headers['content-encoding'], 'snappy');
+    assert.strictEqual(request.headers['content-type'], 'application/x-protobuf');
+    assert.strictEqual(request.headers['x-prometheus-remote-write-version'], '0.1.0');
+
+    const series = decodeWriteRequest(Buffer.from(snappy.uncompress(request.body)));
+    const jobCount = series.find(s => s.labels.__name__ === 'github_actions_job_duration_count');
+    assert.ok(jobCount, 'Histogram count series should be present');
+    assert.strictEqual(jobCount.sample.value, 1);
+    assert.ok(jobCount.sample.timestampMs > 1600000000000, 'Samples should carry millisecond timestamps');
+    assert.strictEqual(jobCount.labels.job, 'test-namespace/test-service');
+    assert.strictEqual(jobCount.labels.instance, '12345');
+    assert.strictEqual(jobCount.labels.repository_full_name, 'test-owner/test-repo');
+
+    const labelNames = Object.keys(jobCount.labels);
+    assert.deepStrictEqual(labelNames, [...labelNames].sort(), 'Labels should be sorted by name');
+
+    const stepSum = series.find(s => s.labels.__name__ === 'github_actions_step_duration_sum');
+    assert.strictEqual(stepSum.sample.value, 180000);
+  });
+});
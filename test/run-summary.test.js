@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { summarizeRun } = require('../lib/run-summary');
+
+/**
+ * Builds a job summary as found in run.jobs
+ * @param {number} id - Job ID
+ * @param {string} conclusion - Job conclusion
+ * @param {string} createdAt - Creation time
+ * @param {string} startedAt - Start time
+ * @param {string} completedAt - Completion time
+ * @returns {Object} Job summary
+ */
+function runJob(id, conclusion, createdAt, startedAt, completedAt) {
+  return {
+    id,
+    name: `job-${id}`,
+    status: 'completed',
+    conclusion,
+    createdAt: createdAt ? new Date(createdAt) : null,
+    startedAt: startedAt ? new Date(startedAt) : null,
+    completedAt: completedAt ? new Date(completedAt) : null,
+  };
+}
+
+test('summarizeRun', async (t) => {
+  const metrics = {
+    job: {
+      id: 4,
+      conclusion: 'success',
+      createdAt: new Date('2025-01-01T10:10:00Z'),
+      startedAt: new Date('2025-01-01T10:10:00Z'),
+      completedAt: new Date('2025-01-01T10:11:00Z'),
+    },
+    run: {
+      jobs: [
+        runJob(1, 'success', '2025-01-01T10:00:00Z', '2025-01-01T10:01:00Z', '2025-01-01T10:06:00Z'),
+        runJob(2, 'failure', '2025-01-01T10:00:00Z', '2025-01-01T10:02:00Z', '2025-01-01T10:10:00Z'),
+        runJob(3, 'skipped', '2025-01-01T10:00:00Z', '2025-01-01T10:00:00Z', '2025-01-01T10:00:00Z'),
+        { ...runJob(4, null, '2025-01-01T10:10:00Z', '2025-01-01T10:10:00Z', null), status: 'in_progress' },
+      ],
+    },
+  };
+
+  await t.test('should add up wall time, job time and parallelism with the current job\'s live timings', () => {
+    const summary = summarizeRun(metrics);
+
+    assert.strictEqual(summary.jobCount, 4);
+    assert.deepStrictEqual(summary.startedAt, new Date('2025-01-01T10:00:00Z'));
+    assert.deepStrictEqual(summary.completedAt, new Date('2025-01-01T10:11:00Z'));
+    assert.strictEqual(summary.wallTimeMs, 660000);
+    assert.strictEqual(summary.jobTimeMs, 840000);
+    assert.strictEqual(summary.parallelism, 840000 / 660000);
+  });
+
+  await t.test('should count jobs by conclusion', () => {
+    const summary = summarizeRun(metrics);
+
+    assert.deepStrictEqual(summary.conclusions, { success: 2, failure: 1, cancelled: 0, skipped: 1 });
+    assert.strictEqual(summary.failedJobs, 1);
+  });
+
+  await t.test('should report no time when no job ran', () => {
+    const summary = summarizeRun({
+      job: { id: 1, conclusion: 'skipped', startedAt: null, completedAt: null },
+      run: { jobs: [runJob(1, 'skipped', null, null, null)] },
+    });
+
+    assert.strictEqual(summary.startedAt, null);
+    assert.strictEqual(summary.wallTimeMs, 0);
+    assert.strictEqual(summary.parallelism, 0);
+  });
+});
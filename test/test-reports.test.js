@@ -0,0 +1,328 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const core = require('@actions/core');
+const {
+  parseJUnitReport,
+  parseTapReport,
+  parseGoTestJson,
+  detectReportFormat,
+  parseTestReport,
+  placeSuites,
+  readTestReports,
+  countTestCases,
+} = require('../lib/test-reports');
+
+const JUNIT = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="jest tests" tests="4" failures="1" time="3.5">
+  <testsuite name="math" timestamp="2025-01-01T10:01:00" time="1.5" tests="3">
+    <testcase classname="math add" name="adds numbers" time="0.5"/>
+    <testcase classname="math add" name="adds floats" time="1">
+      <failure message="expected 0.3 to equal 0.30000000000000004" type="AssertionError">AssertionError: expected 0.3
+    at Object.&lt;anonymous&gt; (math.test.js:7:5)</failure>
+    </testcase>
+    <testcase classname="math div" name="divides by zero">
+      <skipped/>
+    </testcase>
+  </testsuite>
+  <testsuite name="io" time="2">
+    <testcase name="reads a file" time="2"/>
+  </testsuite>
+</testsuites>`;
+
+// Written by `node --test --test-reporter=junit` (Node 20), with the stack traces shortened
+const NODE_TEST_JUNIT = `<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+	<testcase name="top-level passes" time="0.001698" classname="test"/>
+	<testcase name="top-level fails" time="0.001870" classname="test" failure="Expected values to be strictly equal:1 !== 2">
+		<failure type="testCodeFailure" message="Expected values to be strictly equal:1 !== 2">
+[Error [ERR_TEST_FAILURE]: Expected values to be strictly equal:
+
+1 !== 2
+] {
+  code: 'ERR_TEST_FAILURE',
+  failureType: 'testCodeFailure',
+  cause: AssertionError [ERR_ASSERTION]: Expected values to be strictly equal:
+  
+  1 !== 2
+  
+      at TestContext.&lt;anonymous> (/tmp/jr/sample.test.js:4:40)
+}
+		</failure>
+	</testcase>
+	<testcase name="top-level skipped" time="0.000161" classname="test">
+		<skipped type="skipped" message="not now"/>
+	</testcase>
+	<testsuite name="math" time="0.000813" disabled="0" errors="0" tests="2" failures="1" skipped="0" hostname="vm">
+		<testcase name="adds" time="0.000321" classname="test"/>
+		<testcase name="divides &amp; &lt;fails>" time="0.000146" classname="test" failure="boom">
+			<failure type="testCodeFailure" message="boom">
+Error [ERR_TEST_FAILURE]: boom
+    at async Promise.all (index 0) {
+  code: 'ERR_TEST_FAILURE',
+  failureType: 'testCodeFailure',
+  cause: TypeError [Error]: boom
+      at TestContext.&lt;anonymous> (/tmp/jr/sample.test.js:8:41)
+}
+			</failure>
+		</testcase>
+	</testsuite>
+	<testsuite name="with subtests" time="0.000541" disabled="0" errors="0" tests="1" failures="0" skipped="0" hostname="vm">
+		<testcase name="inner passes" time="0.000175" classname="test"/>
+	</testsuite>
+	<!-- tests 7 -->
+	<!-- suites 1 -->
+	<!-- pass 4 -->
+	<!-- fail 2 -->
+	<!-- cancelled 0 -->
+	<!-- skipped 1 -->
+	<!-- todo 0 -->
+	<!-- duration_ms 170.924902 -->
+</testsuites>
+`;
+
+test('parseJUnitReport', async (t) => {
+  await t.test('should read suites, cases, statuses and failures', () => {
+    const suites = parseJUnitReport(JUNIT);
+
+    assert.deepStrictEqual(suites.map(s => [s.name, s.start, s.durationMs, s.cases.length]), [
+      ['math', new Date('2025-01-01T10:01:00Z'), 1500, 3],
+      ['io', null, 2000, 1],
+    ]);
+    assert.deepStrictEqual(suites[0].cases.map(c => [c.name, c.classname, c.durationMs, c.status]), [
+      ['adds numbers', 'math add', 500, 'passed'],
+      ['adds floats', 'math add', 1000, 'failed'],
+      ['divides by zero', 'math div', 0, 'skipped'],
+    ]);
+    assert.deepStrictEqual(suites[0].cases[1].failures, [{
+      type: 'AssertionError',
+      message: 'expected 0.3 to equal 0.30000000000000004',
+      details: 'AssertionError: expected 0.3\n    at Object.<anonymous> (math.test.js:7:5)',
+    }]);
+  });
+
+  await t.test('should accept a single testsuite root, errors and nested suites', () => {
+    const suites = parseJUnitReport(`<testsuite name="outer">
+      <testsuite name="inner" time="1,002.5"><testcase name="crashes"><error>Segmentation fault</error></testcase></testsuite>
+    </testsuite>`);
+
+    // Wrapper suites without cases of their own are left out
+    assert.deepStrictEqual(suites.map(s => [s.name, s.durationMs]), [['inner', 1002500]]);
+    assert.deepStrictEqual(suites[0].cases[0].failures, [{ type: null, message: 'Segmentation fault', details: 'Segmentation fault' }]);
+  });
+
+  await t.test('should read node:test reports, with top-level cases in a suite named after the report', () => {
+    const suites = parseJUnitReport(NODE_TEST_JUNIT, 'node-test');
+
+    assert.deepStrictEqual(suites.map(s => [s.name, s.cases.map(c => [c.name, c.status])]), [
+      ['node-test', [['top-level passes', 'passed'], ['top-level fails', 'failed'], ['top-level skipped', 'skipped']]],
+      ['math', [['adds', 'passed'], ['divides & <fails>', 'failed']]],
+      ['with subtests', [['inner passes', 'passed']]],
+    ]);
+    assert.strictEqual(suites[0].durationMs, 2 + 2, 'timed by its cases');
+
+    // The failure attribute on the case does not hide the <failure> element's type and stack
+    const [failure] = suites[1].cases[1].failures;
+    assert.strictEqual(failure.type, 'testCodeFailure');
+    assert.strictEqual(failure.message, 'boom');
+    assert.match(failure.details, /^Error \[ERR_TEST_FAILURE\]: boom\n/);
+    assert.match(failure.details, /at TestContext\.<anonymous> \(\/tmp\/jr\/sample\.test\.js:8:41\)/);
+  });
+
+  await t.test('should reject documents that are not JUnit XML', () => {
+    assert.throws(() => parseJUnitReport('<testsuite><testcase></testsuite>'), /invalid XML at line 1/);
+    assert.throws(() => parseJUnitReport('<coverage/>'), /no <testsuites> or <testsuite> root element/);
+  });
+});
+
+const TAP = `TAP version 13
+# Subtest: math
+    # Subtest: adds
+        # Subtest: adds numbers
+        ok 1 - adds numbers
+          ---
+          duration_ms: 1.6
+          ...
+        1..1
+    ok 1 - adds
+      ---
+      duration_ms: 2.1
+      ...
+    # Subtest: divides
+    not ok 2 - divides
+      ---
+      duration_ms: 3.2
+      failureType: 'testCodeFailure'
+      error: |-
+        Expected values to be strictly equal:
+
+        1 !== 2
+      code: 'ERR_ASSERTION'
+      name: 'AssertionError'
+      stack: |-
+        TestContext.<anonymous> (math.test.js:9:12)
+      ...
+    # Subtest: rounds
+    ok 3 - rounds # SKIP not implemented
+    1..3
+not ok 1 - math
+  ---
+  duration_ms: 7
+  failureType: 'subtestsFailed'
+  ...
+# ::debug::not a test point
+ok 2 - loads \\# config
+1..2
+# tests 4
+`;
+
+const GO_TEST_JSON = [
+  '{"Time":"2025-01-01T10:02:00Z","Action":"start","Package":"example.com/app"}',
+  '{"Time":"2025-01-01T10:02:00.1Z","Action":"run","Package":"example.com/app","Test":"TestParse"}',
+  '{"Time":"2025-01-01T10:02:00.1Z","Action":"output","Package":"example.com/app","Test":"TestParse","Output":"=== RUN   TestParse\\n"}',
+  '{"Time":"2025-01-01T10:02:00.2Z","Action":"run","Package":"example.com/app","Test":"TestParse/empty"}',
+  '{"Time":"2025-01-01T10:02:00.3Z","Action":"output","Package":"example.com/app","Test":"TestParse/empty","Output":"    parse_test.go:12: got 1, want 0\\n"}',
+  '{"Time":"2025-01-01T10:02:00.3Z","Action":"output","Package":"example.com/app","Test":"TestParse/empty","Output":"--- FAIL: TestParse/empty (0.10s)\\n"}',
+  '{"Time":"2025-01-01T10:02:00.3Z","Action":"fail","Package":"example.com/app","Test":"TestParse/empty","Elapsed":0.1}',
+  '{"Time":"2025-01-01T10:02:00.4Z","Action":"fail","Package":"example.com/app","Test":"TestParse","Elapsed":0.3}',
+  '{"Time":"2025-01-01T10:02:00.4Z","Action":"run","Package":"example.com/app","Test":"TestSlow"}',
+  '{"Time":"2025-01-01T10:02:00.4Z","Action":"skip","Package":"example.com/app","Test":"TestSlow","Elapsed":0}',
+  '# example.com/app/internal [example.com/app/internal.test]',
+  '{"Time":"2025-01-01T10:02:00.5Z","Action":"fail","Package":"example.com/app","Elapsed":0.5}',
+].join('\n');
+
+test('parseTapReport', async (t) => {
+  await t.test('should turn node:test subtests into suites and cases', () => {
+    const suites = parseTapReport(TAP, 'math.test');
+
+    assert.deepStrictEqual(suites.map(s => [s.name, s.durationMs, s.cases.map(c => [c.name, c.durationMs, c.status])]), [
+      ['math > adds', 2, [['adds numbers', 2, 'passed']]],
+      ['math', 7, [['divides', 3, 'failed'], ['rounds', 0, 'skipped']]],
+      ['math.test', 0, [['loads # config', 0, 'passed']]],
+    ]);
+    assert.deepStrictEqual(suites[1].cases[0].failures, [{
+      type: 'AssertionError',
+      message: 'Expected values to be strictly equal:',
+      details: 'Expected values to be strictly equal:\n\n1 !== 2\nTestContext.<anonymous> (math.test.js:9:12)',
+    }]);
+  });
+
+  await t.test('should read plain TAP without diagnostics', () => {
+    const suites = parseTapReport('1..3\nok 1 first\nnot ok 2 second # TODO flaky\nnot ok 3 - third\n', 'smoke');
+
+    assert.deepStrictEqual(suites[0].cases.map(c => [c.name, c.status]), [['first', 'passed'], ['second', 'skipped'], ['third', 'failed']]);
+    assert.strictEqual(suites[0].cases[2].failures[0].message, 'third failed');
+  });
+});
+
+test('parseGoTestJson', async (t) => {
+  await t.test('should turn packages into suites and leaf tests into cases', () => {
+    const [suite] = parseGoTestJson(GO_TEST_JSON);
+
+    assert.strictEqual(suite.name, 'example.com/app');
+    assert.deepStrictEqual(suite.start, new Date('2025-01-01T10:02:00Z'));
+    assert.strictEqual(suite.durationMs, 500);
+    assert.deepStrictEqual(suite.cases.map(c => [c.name, c.classname, c.start, c.durationMs, c.status]), [
+      ['TestParse/empty', 'example.com/app', new Date('2025-01-01T10:02:00.200Z'), 100, 'failed'],
+      ['TestSlow', 'example.com/app', new Date('2025-01-01T10:02:00.400Z'), 0, 'skipped'],
+    ]);
+    assert.deepStrictEqual(suite.cases[0].failures, [{
+      type: null,
+      message: 'parse_test.go:12: got 1, want 0',
+      details: 'parse_test.go:12: got 1, want 0',
+    }]);
+  });
+});
+
+test('detectReportFormat', async (t) => {
+  await t.test('should recognize each format from the content', () => {
+    assert.strictEqual(detectReportFormat(JUNIT), 'junit');
+    assert.strictEqual(detectReportFormat(GO_TEST_JSON), 'go-test-json');
+    assert.strictEqual(detectReportFormat(TAP), 'tap');
+    assert.strictEqual(detectReportFormat('ok 1 - works\n'), 'tap');
+    assert.strictEqual(detectReportFormat('PASS\nok  \texample.com/app\t0.5s'), null);
+  });
+
+  await t.test('should tag suites with the detected format', () => {
+    assert.deepStrictEqual(parseTestReport(GO_TEST_JSON, 'go').map(s => s.format), ['go-test-json']);
+    assert.throws(() => parseTestReport('{"coverage": 80}', 'coverage'), /not a JUnit XML, TAP or go test -json report/);
+  });
+});
+
+test('placeSuites', async (t) => {
+  await t.test('should lay cases out back to back from the suite start', () => {
+    const [math, io] = placeSuites(parseJUnitReport(JUNIT), new Date('2025-01-01T10:04:00Z'));
+
+    assert.deepStrictEqual(math.cases.map(c => [c.start, c.end]), [
+      [new Date('2025-01-01T10:01:00Z'), new Date('2025-01-01T10:01:00.500Z')],
+      [new Date('2025-01-01T10:01:00.500Z'), new Date('2025-01-01T10:01:01.500Z')],
+      [new Date('2025-01-01T10:01:01.500Z'), new Date('2025-01-01T10:01:01.500Z')],
+    ]);
+    assert.deepStrictEqual(math.end, new Date('2025-01-01T10:01:01.500Z'));
+
+    // Without a timestamp, the suite ends when the report was written
+    assert.deepStrictEqual([io.start, io.end], [new Date('2025-01-01T10:03:58Z'), new Date('2025-01-01T10:04:00Z')]);
+  });
+
+  await t.test('should lay untimed suites out back to back and keep case start times', () => {
+    const writtenAt = new Date('2025-01-01T10:04:00Z');
+    const [first, second] = placeSuites(parseTapReport(TAP, 'math.test'), writtenAt);
+    assert.deepStrictEqual([first.start, second.start, second.end], [
+      new Date('2025-01-01T10:03:59.991Z'),
+      new Date('2025-01-01T10:03:59.993Z'),
+      writtenAt,
+    ]);
+
+    const [suite] = placeSuites(parseGoTestJson(GO_TEST_JSON), writtenAt);
+    assert.deepStrictEqual([suite.cases[0].start, suite.cases[0].end], [
+      new Date('2025-01-01T10:02:00.200Z'),
+      new Date('2025-01-01T10:02:00.300Z'),
+    ]);
+  });
+});
+
+test('readTestReports', async (t) => {
+  let tmpDir;
+  let originalInfo;
+
+  t.beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-tests-'));
+    originalInfo = core.info;
+    core.info = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.info = originalInfo;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  await t.test('should read matching reports and skip broken ones', async () => {
+    fs.mkdirSync(path.join(tmpDir, 'unit'));
+    fs.writeFileSync(path.join(tmpDir, 'unit', 'junit.xml'), JUNIT);
+    fs.writeFileSync(path.join(tmpDir, 'unit', 'go.json'), GO_TEST_JSON);
+    fs.writeFileSync(path.join(tmpDir, 'broken.xml'), '<testsuite>');
+
+    const suites = await readTestReports(`${tmpDir}/**/*.xml\n${tmpDir}/**/*.json`);
+
+    assert.deepStrictEqual(suites.map(s => [s.name, s.format]).sort(), [
+      ['example.com/app', 'go-test-json'],
+      ['io', 'junit'],
+      ['math', 'junit'],
+    ]);
+    assert.ok(suites.find(s => s.name === 'math').file.endsWith(path.join('unit', 'junit.xml')));
+    assert.ok(suites.every(s => s.end instanceof Date));
+    assert.ok(core.info.mock.calls.some(call => call.arguments[0].includes('Skipping test report')));
+  });
+
+  await t.test('should return nothing when no report matches', async () => {
+    assert.deepStrictEqual(await readTestReports(`${tmpDir}/*.xml`), []);
+  });
+});
+
+test('countTestCases', async (t) => {
+  await t.test('should count every status', () => {
+    assert.deepStrictEqual(countTestCases(parseJUnitReport(JUNIT)), { passed: 2, failed: 1, skipped: 1 });
+  });
+});
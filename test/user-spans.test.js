@@ -0,0 +1,196 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const { context, trace } = require('@opentelemetry/api');
+const { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+const { createSpansDir, readUserSpans, createUserSpans } = require('../lib/user-spans');
+
+/**
+ * Creates a span drop directory holding the given files
+ * @param {Object} files - File contents keyed by file name
+ * @returns {string} Directory path
+ */
+function createDropDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'otel-spans-test-'));
+  for (const [name, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+test('createSpansDir', async (t) => {
+  await t.test('should create the directory under RUNNER_TEMP', () => {
+    const originalRunnerTemp = process.env.RUNNER_TEMP;
+    process.env.RUNNER_TEMP = fs.mkdtempSync(path.join(os.tmpdir(), 'runner-temp-'));
+
+    const dir = createSpansDir();
+
+    assert.strictEqual(dir, path.join(process.env.RUNNER_TEMP, 'otel-spans'));
+    assert.ok(fs.statSync(dir).isDirectory());
+    fs.rmSync(process.env.RUNNER_TEMP, { recursive: true });
+    process.env.RUNNER_TEMP = originalRunnerTemp;
+  });
+});
+
+test('readUserSpans', async (t) => {
+  let originalInfo;
+  let originalWarning;
+
+  t.beforeEach(() => {
+    originalInfo = core.info;
+    originalWarning = core.warning;
+    core.info = mock.fn();
+    core.warning = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.info = originalInfo;
+    core.warning = originalWarning;
+  });
+
+  await t.test('should read JSON objects, arrays and JSON lines', () => {
+    const dir = createDropDir({
+      'a.json': JSON.stringify({ name: 'compile', start: '2025-01-01T10:00:00Z', end: '2025-01-01T10:01:00Z' }),
+      'b.json': JSON.stringify([
+        { name: 'lint', start: 1735725600000, end: 1735725630000, status: 'OK' },
+        { name: 'bundle', start: '2025-01-01T10:01:00Z', end: '2025-01-01T10:02:00Z', attributes: { 'bundle.size': 1024 } },
+      ]),
+      'c.jsonl': [
+        JSON.stringify({ name: 'upload', start: '2025-01-01T10:02:00Z', end: '2025-01-01T10:03:00Z', status: 'error', statusMessage: 'timeout' }),
+        JSON.stringify({ name: 'retry', start: '2025-01-01T10:03:00Z', end: '2025-01-01T10:04:00Z' }),
+      ].join('\n'),
+      'notes.txt': 'ignored',
+    });
+
+    const spans = readUserSpans(dir);
+    fs.rmSync(dir, { recursive: true });
+
+    assert.deepStrictEqual(spans.map(s => s.name), ['compile', 'lint', 'bundle', 'upload', 'retry']);
+    assert.deepStrictEqual(spans[1].start, new Date('2025-01-01T10:00:00Z'));
+    assert.strictEqual(spans[1].status, 'ok');
+    assert.deepStrictEqual(spans[2].attributes, { 'bundle.size': 1024 });
+    assert.strictEqual(spans[3].statusMessage, 'timeout');
+    assert.strictEqual(core.warning.mock.callCount(), 0);
+  });
+
+  await t.test('should skip invalid records and files with a warning', () => {
+    const dir = createDropDir({
+      'bad.json': '{"name": ',
+      'mixed.json': JSON.stringify([
+        { name: 'ok', start: '2025-01-01T10:00:00Z', end: '2025-01-01T10:01:00Z' },
+        { name: '', start: '2025-01-01T10:00:00Z', end: '2025-01-01T10:01:00Z' },
+        { name: 'backwards', start: '2025-01-01T10:01:00Z', end: '2025-01-01T10:00:00Z' },
+        { name: 'no-end', start: '2025-01-01T10:00:00Z' },
+        { name: 'nested', start: '2025-01-01T10:00:00Z', end: '2025-01-01T10:01:00Z', attributes: { data: { a: 1 } } },
+        { name: 'status', start: '2025-01-01T10:00:00Z', end: '2025-01-01T10:01:00Z', status: 'failed' },
+      ]),
+    });
+
+    const spans = readUserSpans(dir);
+    fs.rmSync(dir, { recursive: true });
+
+    assert.deepStrictEqual(spans.map(s => s.name), ['ok']);
+    const warnings = core.warning.mock.calls.map(call => call.arguments[0]);
+    assert.strictEqual(warnings.length, 6);
+    assert.match(warnings[0], /Skipping span file bad\.json/);
+    assert.match(warnings[1], /record 2 in mixed\.json: "name" must be a non-empty string/);
+    assert.match(warnings[2], /"end" is before "start"/);
+    assert.match(warnings[3], /"start" and "end" must be/);
+    assert.match(warnings[4], /attribute "data"/);
+    assert.match(warnings[5], /"status" must be one of: unset, ok, error/);
+  });
+
+  await t.test('should return nothing when the directory is missing', () => {
+    assert.deepStrictEqual(readUserSpans(''), []);
+    assert.deepStrictEqual(readUserSpans(path.join(os.tmpdir(), 'does-not-exist-otel-spans')), []);
+  });
+});
+
+test('createUserSpans', async (t) => {
+  let originalWarning;
+
+  t.beforeEach(() => {
+    originalWarning = core.warning;
+    core.warning = mock.fn();
+  });
+
+  t.afterEach(() => {
+    core.warning = originalWarning;
+  });
+
+  /**
+   * Records span records under a fresh job span
+   * @param {Array<Object>} records - Normalized span records
+   * @param {Array<Object>} steps - Step time windows to create step spans for
+   * @returns {Object} Job span, step spans and finished spans keyed by name
+   */
+  function record(records, steps = []) {
+    const exporter = new InMemorySpanExporter();
+    const tracer = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }).getTracer('test');
+    const jobSpan = tracer.startSpan('Job: test-job');
+    const jobContext = trace.setSpan(context.active(), jobSpan);
+    const stepSpans = steps.map(step => tracer.startSpan(`Step: ${step.name}`, { startTime: step.start }, jobContext));
+    const stepParents = steps.map((step, i) => ({
+      spanId: stepSpans[i].spanContext().spanId,
+      start: step.start,
+      end: step.end,
+      context: trace.setSpan(context.active(), stepSpans[i]),
+    }));
+    createUserSpans(tracer, records, jobContext, { 'repository.name': 'test-repo' }, null, stepParents);
+
+    const spans = new Map(exporter.getFinishedSpans().map(span => [span.name, span]));
+    return { jobSpan, stepSpans, spans };
+  }
+
+  const at = minute => new Date(Date.UTC(2025, 0, 1, 10, minute));
+
+  await t.test('should nest records under their parent record or the job span', () => {
+    const { jobSpan, spans } = record([
+      { name: 'test:unit', start: at(1), end: at(2), attributes: {}, status: 'unset', parent: 'tests' },
+      { name: 'tests', start: at(0), end: at(3), attributes: { suite: 'all' }, status: 'error', statusMessage: '2 failed', id: 'tests' },
+    ]);
+
+    const tests = spans.get('tests');
+    const unit = spans.get('test:unit');
+    assert.strictEqual(tests.parentSpanContext.spanId, jobSpan.spanContext().spanId);
+    assert.strictEqual(unit.parentSpanContext.spanId, tests.spanContext().spanId);
+    assert.strictEqual(unit.spanContext().traceId, jobSpan.spanContext().traceId);
+    assert.deepStrictEqual(tests.status, { code: 2, message: '2 failed' });
+    assert.strictEqual(tests.attributes.suite, 'all');
+    assert.strictEqual(tests.attributes['repository.name'], 'test-repo');
+    assert.deepStrictEqual(tests.startTime, [Math.floor(at(0).getTime() / 1000), 0]);
+  });
+
+  await t.test('should fall back to the job span for unknown and circular parents', () => {
+    const { jobSpan, spans } = record([
+      { name: 'orphan', start: at(0), end: at(1), attributes: {}, status: 'unset', parent: 'missing' },
+      { name: 'a', start: at(0), end: at(1), attributes: {}, status: 'unset', id: 'a', parent: 'b' },
+      { name: 'b', start: at(0), end: at(1), attributes: {}, status: 'unset', id: 'b', parent: 'a' },
+    ]);
+
+    const jobSpanId = jobSpan.spanContext().spanId;
+    assert.strictEqual(spans.size, 3);
+    assert.strictEqual(spans.get('orphan').parentSpanContext.spanId, jobSpanId);
+    assert.strictEqual(spans.get('b').parentSpanContext.spanId, jobSpanId);
+    assert.strictEqual(spans.get('a').parentSpanContext.spanId, spans.get('b').spanContext().spanId);
+    assert.strictEqual(core.warning.mock.callCount(), 2);
+  });
+
+  await t.test('should nest records under the step they ran in', () => {
+    const steps = [{ name: 'build', start: at(0), end: at(2) }, { name: 'test', start: at(3), end: at(5) }];
+    const { jobSpan, stepSpans, spans } = record([
+      { name: 'compile', start: at(1), end: at(2), attributes: {}, status: 'unset', id: 'compile' },
+      { name: 'jest', start: at(3), end: at(4), attributes: {}, status: 'unset', parentSpanId: 'b7ad6b7169203331' },
+      { name: 'cleanup', start: at(6), end: at(7), attributes: {}, status: 'unset' },
+      { name: 'link', start: at(4), end: at(4), attributes: {}, status: 'unset', parent: 'compile' },
+    ], steps);
+
+    assert.strictEqual(spans.get('compile').parentSpanContext.spanId, stepSpans[0].spanContext().spanId);
+    assert.strictEqual(spans.get('jest').parentSpanContext.spanId, stepSpans[1].spanContext().spanId);
+    assert.strictEqual(spans.get('cleanup').parentSpanContext.spanId, jobSpan.spanContext().spanId);
+    assert.strictEqual(spans.get('link').parentSpanContext.spanId, spans.get('compile').spanContext().spanId);
+  });
+});
@@ -0,0 +1,298 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+  workflowTraceId,
+  workflowRunSpanId,
+  jobSpanId,
+  stepSpanId,
+  buildStepSpanMap,
+  parseWorkflowJobs,
+  fetchWorkflowJobs,
+  findUpstreamJobs,
+  findJobKey,
+  jobUsesAction,
+  findRunSpanJobId,
+  isLastJobInRun,
+  fetchPreviousAttemptJob,
+  findTriggeringRun,
+} = require('../lib/workflow');
+
+const WORKFLOW = `
+name: CI
+on: push
+jobs:
+  setup:
+    runs-on: ubuntu-latest
+  build:
+    name: Build \${{ matrix.os }}
+    needs: setup
+    strategy:
+      matrix:
+        os: [linux, windows]
+  test:
+    needs: [setup, build]
+    steps:
+      - uses: actions/checkout@v4
+      - uses: imjasonh/gcp-metrics-action@v1
+      - run: npm test
+  deploy:
+    needs: test
+`;
+
+test('derived trace and span IDs', async (t) => {
+  await t.test('should be stable per run attempt', () => {
+    assert.match(workflowTraceId(67890, '1'), /^[0-9a-f]{32}$/);
+    assert.strictEqual(workflowTraceId(67890, '1'), workflowTraceId('67890', 1));
+    assert.notStrictEqual(workflowTraceId(67890, '1'), workflowTraceId(67890, '2'));
+
+    assert.match(workflowRunSpanId(67890, '1'), /^[0-9a-f]{16}$/);
+    assert.match(jobSpanId(67890, '1', 12345), /^[0-9a-f]{16}$/);
+    assert.notStrictEqual(jobSpanId(67890, '1', 12345), jobSpanId(67890, '1', 12346));
+    assert.notStrictEqual(jobSpanId(67890, '1', 12345), workflowRunSpanId(67890, '1'));
+
+    assert.match(stepSpanId(67890, '1', 12345, 2), /^[0-9a-f]{16}$/);
+    assert.strictEqual(stepSpanId(67890, '1', 12345, 2), stepSpanId('67890', 1, '12345', 2));
+    assert.notStrictEqual(stepSpanId(67890, '1', 12345, 2), stepSpanId(67890, '1', 12345, 3));
+  });
+});
+
+test('buildStepSpanMap', async (t) => {
+  await t.test('should list the traceparent of each step span', () => {
+    const map = buildStepSpanMap(67890, '1', {
+      id: 12345,
+      steps: [{ name: 'Set up job', number: 1 }, { name: 'Run tests', number: 2 }],
+    });
+
+    assert.strictEqual(map.traceId, workflowTraceId(67890, '1'));
+    assert.strictEqual(map.jobSpanId, jobSpanId(67890, '1', 12345));
+    assert.deepStrictEqual(map.steps[1], {
+      number: 2,
+      name: 'Run tests',
+      spanId: stepSpanId(67890, '1', 12345, 2),
+      traceparent: `00-${workflowTraceId(67890, '1')}-${stepSpanId(67890, '1', 12345, 2)}-01`,
+    });
+  });
+});
+
+test('parseWorkflowJobs', async (t) => {
+  await t.test('should read display names and needs', () => {
+    const jobs = parseWorkflowJobs(WORKFLOW);
+
+    assert.deepStrictEqual(Object.keys(jobs), ['setup', 'build', 'test', 'deploy']);
+    assert.deepStrictEqual(jobs.setup, { name: 'setup', needs: [], uses: [] });
+    assert.deepStrictEqual(jobs.build, { name: 'Build ${{ matrix.os }}', needs: ['setup'], uses: [] });
+    assert.deepStrictEqual(jobs.test.needs, ['setup', 'build']);
+    assert.deepStrictEqual(jobs.test.uses, ['actions/checkout@v4', 'imjasonh/gcp-metrics-action@v1']);
+  });
+});
+
+test('jobUsesAction', async (t) => {
+  await t.test('should find jobs with a step using the action, at any ref', () => {
+    const jobs = parseWorkflowJobs(WORKFLOW);
+
+    assert.strictEqual(jobUsesAction(jobs.test, 'imjasonh/gcp-metrics-action'), true);
+    assert.strictEqual(jobUsesAction(jobs.test, 'Imjasonh/GCP-Metrics-Action'), true);
+    assert.strictEqual(jobUsesAction(jobs.build, 'imjasonh/gcp-metrics-action'), false);
+    assert.strictEqual(jobUsesAction(jobs.test, ''), false, 'unknown when the action repository is not set');
+    assert.strictEqual(jobUsesAction(undefined, 'imjasonh/gcp-metrics-action'), false);
+  });
+});
+
+test('findUpstreamJobs', async (t) => {
+  const workflowJobs = parseWorkflowJobs(WORKFLOW);
+  const runJobs = [
+    { id: 1, name: 'setup', run_attempt: 1 },
+    { id: 2, name: 'Build linux', run_attempt: 1 },
+    { id: 3, name: 'Build windows', run_attempt: 2 },
+    { id: 4, name: 'test', run_attempt: 2 },
+    { id: 5, name: 'Builder', run_attempt: 2 },
+  ];
+
+  await t.test('should resolve needs to the runs of each upstream job', () => {
+    const upstream = findUpstreamJobs(workflowJobs, 'test', runJobs);
+
+    assert.deepStrictEqual(upstream, [
+      { key: 'setup', name: 'setup', id: 1, attempt: '1' },
+      { key: 'build', name: 'Build linux', id: 2, attempt: '1' },
+      { key: 'build', name: 'Build windows', id: 3, attempt: '2' },
+    ]);
+  });
+
+  await t.test('should match matrix runs of jobs without a name', () => {
+    const upstream = findUpstreamJobs(workflowJobs, 'deploy', [{ id: 6, name: 'test (node 20)' }, { id: 7, name: 'tests' }]);
+    assert.deepStrictEqual(upstream, [{ key: 'test', name: 'test (node 20)', id: 6, attempt: null }]);
+  });
+
+  await t.test('should return nothing without a workflow definition', () => {
+    assert.deepStrictEqual(findUpstreamJobs(null, 'test', runJobs), []);
+    assert.deepStrictEqual(findUpstreamJobs(workflowJobs, 'unknown', runJobs), []);
+  });
+});
+
+test('findJobKey', async (t) => {
+  const workflowJobs = parseWorkflowJobs(WORKFLOW);
+
+  await t.test('should find the job ID of API job names, including matrix runs', () => {
+    assert.strictEqual(findJobKey(workflowJobs, 'setup'), 'setup');
+    assert.strictEqual(findJobKey(workflowJobs, 'Build windows'), 'build');
+    assert.strictEqual(findJobKey(workflowJobs, 'test (node 20)'), 'test');
+  });
+
+  await t.test('should return null for unknown jobs or without a workflow definition', () => {
+    assert.strictEqual(findJobKey(workflowJobs, 'lint'), null);
+    assert.strictEqual(findJobKey(null, 'setup'), null);
+  });
+});
+
+test('isLastJobInRun', async (t) => {
+  const workflowJobs = parseWorkflowJobs(WORKFLOW);
+
+  await t.test('should require every other job to have completed', () => {
+    const runJobs = [
+      { id: 1, name: 'setup', status: 'completed' },
+      { id: 4, name: 'deploy', status: 'in_progress' },
+    ];
+    assert.strictEqual(isLastJobInRun(workflowJobs, 'deploy', runJobs, 4), true);
+
+    runJobs.push({ id: 5, name: 'lint', status: 'queued' });
+    assert.strictEqual(isLastJobInRun(workflowJobs, 'deploy', runJobs, 4), false);
+  });
+
+  await t.test('should never treat a needed job as last', () => {
+    const runJobs = [{ id: 4, name: 'test', status: 'in_progress' }];
+    assert.strictEqual(isLastJobInRun(workflowJobs, 'test', runJobs, 4), false);
+    assert.strictEqual(isLastJobInRun(null, 'test', runJobs, 4), true);
+  });
+
+  await t.test('should leave the run to the final job with the largest ID', () => {
+    const runJobs = [
+      { id: 1, name: 'setup', status: 'completed' },
+      { id: 4, name: 'deploy', status: 'completed' },
+      { id: 5, name: 'lint', status: 'in_progress' },
+    ];
+    assert.strictEqual(findRunSpanJobId(workflowJobs, runJobs), 5);
+    assert.strictEqual(isLastJobInRun(workflowJobs, 'lint', runJobs, 5), true);
+
+    runJobs[1].status = 'in_progress';
+    runJobs[2].status = 'completed';
+    assert.strictEqual(isLastJobInRun(workflowJobs, 'deploy', runJobs, 4), false);
+    assert.strictEqual(findRunSpanJobId(workflowJobs, []), null);
+  });
+});
+
+test('fetchWorkflowJobs', async (t) => {
+  let originalEnv;
+
+  t.beforeEach(() => {
+    originalEnv = { ...process.env };
+  });
+
+  t.afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  await t.test('should read the workflow file at the workflow commit', async () => {
+    process.env.GITHUB_WORKFLOW_REF = 'test-owner/test-repo/.github/workflows/ci.yml@refs/heads/main';
+    process.env.GITHUB_WORKFLOW_SHA = 'def456';
+    const octokit = {
+      rest: {
+        repos: {
+          getContent: mock.fn(async () => ({
+            data: { content: Buffer.from(WORKFLOW).toString('base64'), encoding: 'base64' },
+          })),
+        },
+      },
+    };
+
+    const jobs = await fetchWorkflowJobs(octokit, { sha: 'abc123' });
+
+    assert.deepStrictEqual(jobs.deploy.needs, ['test']);
+    assert.deepStrictEqual(octokit.rest.repos.getContent.mock.calls[0].arguments[0], {
+      owner: 'test-owner',
+      repo: 'test-repo',
+      path: '.github/workflows/ci.yml',
+      ref: 'def456',
+    });
+  });
+
+  await t.test('should return null when the file cannot be read', async () => {
+    process.env.GITHUB_WORKFLOW_REF = 'test-owner/test-repo/.github/workflows/ci.yml@refs/heads/main';
+    const octokit = {
+      rest: {
+        repos: {
+          getContent: mock.fn(async () => {
+            throw new Error('Resource not accessible by integration');
+          }),
+        },
+      },
+    };
+
+    assert.strictEqual(await fetchWorkflowJobs(octokit, { sha: 'abc123' }), null);
+  });
+});
+
+test('fetchPreviousAttemptJob', async (t) => {
+  const context = { repo: { owner: 'test-owner', repo: 'test-repo' }, runId: 67890 };
+
+  await t.test('should find the same job in the previous attempt', async () => {
+    const octokit = {
+      rest: {
+        actions: {
+          listJobsForWorkflowRunAttempt: mock.fn(async () => ({
+            data: { jobs: [{ id: 1, name: 'build', run_attempt: 1 }, { id: 2, name: 'test', run_attempt: 2 }] },
+          })),
+        },
+      },
+    };
+
+    assert.deepStrictEqual(await fetchPreviousAttemptJob(octokit, context, 'build', '3'), { name: 'build', id: 1, attempt: '1' });
+    assert.strictEqual(octokit.rest.actions.listJobsForWorkflowRunAttempt.mock.calls[0].arguments[0].attempt_number, 2);
+    assert.strictEqual(await fetchPreviousAttemptJob(octokit, context, 'deploy', '3'), null);
+  });
+
+  await t.test('should follow pages for runs with more than 100 jobs', async () => {
+    const firstPage = Array.from({ length: 100 }, (_, i) => ({ id: i + 1, name: `shard ${i + 1}`, run_attempt: 1 }));
+    const pages = [firstPage, [{ id: 101, name: 'deploy', run_attempt: 1 }]];
+    const octokit = {
+      rest: {
+        actions: {
+          listJobsForWorkflowRunAttempt: mock.fn(async ({ page }) => ({ data: { total_count: 101, jobs: pages[page - 1] } })),
+        },
+      },
+    };
+
+    assert.deepStrictEqual(await fetchPreviousAttemptJob(octokit, context, 'deploy', '2'), { name: 'deploy', id: 101, attempt: '1' });
+    assert.deepStrictEqual(octokit.rest.actions.listJobsForWorkflowRunAttempt.mock.calls.map(call => call.arguments[0].page), [1, 2]);
+
+    assert.strictEqual(await fetchPreviousAttemptJob(octokit, context, 'lint', '2'), null);
+    assert.strictEqual(octokit.rest.actions.listJobsForWorkflowRunAttempt.mock.callCount(), 4);
+  });
+
+  await t.test('should skip first attempts and API failures', async () => {
+    const octokit = {
+      rest: {
+        actions: {
+          listJobsForWorkflowRunAttempt: mock.fn(async () => {
+            throw new Error('Not Found');
+          }),
+        },
+      },
+    };
+
+    assert.strictEqual(await fetchPreviousAttemptJob(octokit, context, 'build', '1'), null);
+    assert.strictEqual(octokit.rest.actions.listJobsForWorkflowRunAttempt.mock.callCount(), 0);
+    assert.strictEqual(await fetchPreviousAttemptJob(octokit, context, 'build', '2'), null);
+  });
+});
+
+test('findTriggeringRun', async (t) => {
+  await t.test('should read the triggering run of workflow_run events', () => {
+    const context = {
+      eventName: 'workflow_run',
+      payload: { workflow_run: { id: 55555, run_attempt: 2, name: 'Build', conclusion: 'success' } },
+    };
+
+    assert.deepStrictEqual(findTriggeringRun(context), { id: 55555, attempt: '2', workflow: 'Build', conclusion: 'success' });
+    assert.strictEqual(findTriggeringRun({ eventName: 'push', payload: {} }), null);
+  });
+});